@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react'
 import LoginScreen from './components/LoginScreen'
 import DashboardScreen from './components/DashboardScreen'
 import SurveyScreen from './components/SurveyScreen'
+import PacketDetailScreen from './components/PacketDetailScreen'
 import StorageService from './services/StorageService'
 import VerificationService from './services/VerificationService'
 import SyncService from './services/SyncService'
@@ -11,6 +12,8 @@ function App() {
   const [currentScreen, setCurrentScreen] = useState('login')
   const [user, setUser] = useState(null)
   const [currentSurvey, setCurrentSurvey] = useState(null)
+  const [currentDraft, setCurrentDraft] = useState(null)
+  const [currentPacket, setCurrentPacket] = useState(null)
   const [isOnline, setIsOnline] = useState(navigator.onLine)
   const [isInitialized, setIsInitialized] = useState(false)
 
@@ -20,6 +23,13 @@ function App() {
       try {
         await StorageService.initialize()
         console.log('App initialized successfully')
+        
+        // Keep the browser from evicting unsynced data and free space held by synced data
+        StorageService.requestPersistentStorage()
+        StorageService.applyRetentionPolicy()
+        
+        // Upload anything queued from previous sessions and keep syncing while online
+        SyncService.startAutoSync()
         setIsInitialized(true)
       } catch (error) {
         console.error('App initialization failed:', error)
@@ -40,37 +50,76 @@ function App() {
     return () => {
       window.removeEventListener('online', handleOnline)
       window.removeEventListener('offline', handleOffline)
+      SyncService.stopAutoSync()
     }
   }, [])
 
-  const handleLogin = (userData) => {
+  const handleLogin = async (userData, credential, { sponsor = null, previousCredential = null } = {}) => {
+    // Unlock encrypted local data; throws a KeyringError if the surveyor is
+    // not enrolled on this device or the credential does not match
+    const userId = userData.email.trim().toLowerCase()
+    if (sponsor) {
+      // An enrolled surveyor or supervisor adds this surveyor to the device
+      await StorageService.enrolUser(credential, userId, { ...sponsor, userId: sponsor.userId.trim().toLowerCase() })
+    } else if (previousCredential) {
+      // The surveyor's password changed since they last signed in here
+      await StorageService.changeEncryptionCredential(userId, previousCredential, credential)
+    } else {
+      await StorageService.unlock(credential, userId)
+    }
+    
     setUser(userData)
     setCurrentScreen('dashboard')
+    
+    // Upload anything that was waiting for the storage to be unlocked
+    SyncService.requestSync().catch(console.error)
   }
 
   const handleLogout = () => {
     setUser(null)
     setCurrentSurvey(null)
+    setCurrentDraft(null)
+    setCurrentPacket(null)
     setCurrentScreen('login')
     
-    // Clear any ongoing verification
-    if (VerificationService.getVerificationStatus().isActive) {
-      VerificationService.completeSurvey().catch(console.error)
+    // Pause any ongoing verification; the draft keeps the trail for resume
+    VerificationService.suspendSurvey()
+    
+    // Forget the decryption keys; stored data stays encrypted
+    StorageService.lock()
+  }
+
+  const handleResetDevice = async () => {
+    // Only data that already reached the server may be discarded
+    if (await StorageService.hasUnsyncedData()) {
+      throw new Error('This device still holds unsynced surveys. Ask an enrolled surveyor or supervisor to add you instead.')
     }
+    await StorageService.clearAllData()
   }
 
-  const handleStartSurvey = (survey) => {
+  const handleStartSurvey = (survey, draft = null) => {
     setCurrentSurvey(survey)
+    setCurrentDraft(draft)
     setCurrentScreen('survey')
   }
 
+  const handleViewPacket = (packet, survey = null) => {
+    setCurrentPacket({ packet, survey })
+    setCurrentScreen('packet')
+  }
+
   const handleCompleteSurvey = async (surveyPacket) => {
     try {
       // Save survey packet locally
       await StorageService.saveSurveyPacket(surveyPacket)
+      await StorageService.deleteDraft(surveyPacket.surveyId)
+      
+      // Upload now if online, otherwise queue a background sync
+      SyncService.requestSync().catch(console.error)
       
       // Return to dashboard
       setCurrentSurvey(null)
+      setCurrentDraft(null)
       setCurrentScreen('dashboard')
       
       console.log('Survey completed and saved:', surveyPacket.surveyId)
@@ -84,18 +133,19 @@ function App() {
     // If there's an active survey, ask for confirmation
     if (currentSurvey && VerificationService.getVerificationStatus().isActive) {
       const confirmExit = window.confirm(
-        'Are you sure you want to exit this survey? Your progress will be lost.'
+        'Exit this survey? Your progress is saved as a draft and you can resume it from the dashboard.'
       )
       
       if (!confirmExit) {
         return
       }
       
-      // Stop verification if active
-      VerificationService.completeSurvey().catch(console.error)
+      // Pause verification; the draft keeps the trail for resume
+      VerificationService.suspendSurvey()
     }
     
     setCurrentSurvey(null)
+    setCurrentDraft(null)
     setCurrentScreen('dashboard')
   }
 
@@ -122,6 +172,7 @@ function App() {
       return (
         <LoginScreen 
           onLogin={handleLogin} 
+          onResetDevice={handleResetDevice}
           isOnline={isOnline}
         />
       )
@@ -132,6 +183,7 @@ function App() {
           user={user}
           onLogout={handleLogout}
           onStartSurvey={handleStartSurvey}
+          onViewPacket={handleViewPacket}
           isOnline={isOnline}
         />
       )
@@ -140,12 +192,25 @@ function App() {
       return (
         <SurveyScreen 
           survey={currentSurvey}
+          draft={currentDraft}
           onComplete={handleCompleteSurvey}
           onBack={handleBackToDashboard}
           verificationService={VerificationService}
         />
       )
     
+    case 'packet':
+      return (
+        <PacketDetailScreen 
+          packet={currentPacket.packet}
+          survey={currentPacket.survey}
+          onBack={() => {
+            setCurrentPacket(null)
+            setCurrentScreen('dashboard')
+          }}
+        />
+      )
+    
     default:
       return (
         <div className="app-container flex items-center justify-center">
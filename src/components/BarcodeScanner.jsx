@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef } from 'react';
+
+const SCAN_INTERVAL_MS = 300;
+
+// Live camera preview that reports the first barcode or QR code found via
+// the BarcodeDetector API; reports why scanning is unavailable so the caller
+// can fall back to manual entry
+export default function BarcodeScanner({ formats = null, onScan }) {
+  const [scanError, setScanError] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    let cancelled = false;
+    let stream = null;
+    let timer = null;
+
+    const startScanner = async () => {
+      if (typeof window.BarcodeDetector === 'undefined') {
+        setScanError('Barcode scanning is not supported on this device');
+        return;
+      }
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setScanError('Live camera is not supported on this device');
+        return;
+      }
+
+      try {
+        // Only ask for formats the device can decode
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const wanted = formats ? formats.filter(format => supported.includes(format)) : supported;
+        if (wanted.length === 0) {
+          setScanError(`This device cannot read ${formats.join(', ')} codes`);
+          return;
+        }
+        const detector = new window.BarcodeDetector({ formats: wanted });
+
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+          audio: false
+        });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setIsReady(true);
+
+        const scan = async () => {
+          try {
+            const [code] = await detector.detect(videoRef.current);
+            if (cancelled) return;
+            if (code) {
+              onScanRef.current({ value: code.rawValue, format: code.format });
+              return;
+            }
+          } catch (error) {
+            console.error('Barcode detection failed:', error);
+          }
+          if (!cancelled) {
+            timer = setTimeout(scan, SCAN_INTERVAL_MS);
+          }
+        };
+        scan();
+      } catch (error) {
+        console.error('Failed to start barcode scanner:', error);
+        setScanError(error.name === 'NotAllowedError'
+          ? 'Camera permission denied'
+          : 'Unable to start the scanner');
+      }
+    };
+
+    startScanner();
+
+    // Release the camera when the scanner closes
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [formats]);
+
+  return (
+    <div className="media-capture">
+      {!scanError && (
+        <video
+          ref={videoRef}
+          className="photo-preview"
+          playsInline
+          muted
+          style={{ marginTop: 0, backgroundColor: '#111827' }}
+        />
+      )}
+
+      <div className="media-status">
+        {scanError
+          ? `${scanError}. Enter the code by hand instead.`
+          : isReady ? 'Point the camera at the code' : 'Starting camera...'}
+      </div>
+    </div>
+  );
+}
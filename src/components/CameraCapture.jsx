@@ -0,0 +1,114 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Live camera preview with a shutter button; falls back to the system camera
+// (file input) when getUserMedia is unavailable or permission is denied
+export default function CameraCapture({ onCapture, facingMode = 'environment', disabled = false }) {
+  const [cameraError, setCameraError] = useState(null);
+  const [isReady, setIsReady] = useState(false);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const startCamera = async () => {
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setCameraError('Live camera is not supported on this device');
+        return;
+      }
+
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode, width: { ideal: 1920 }, height: { ideal: 1080 } },
+          audio: false
+        });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setIsReady(true);
+      } catch (error) {
+        console.error('Failed to start camera:', error);
+        setCameraError(error.name === 'NotAllowedError'
+          ? 'Camera permission denied'
+          : 'Unable to access camera');
+      }
+    };
+
+    startCamera();
+
+    // Release the camera when the capture view closes
+    return () => {
+      cancelled = true;
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
+      }
+    };
+  }, [facingMode]);
+
+  const handleShutter = () => {
+    const video = videoRef.current;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    canvas.toBlob((blob) => {
+      if (blob) {
+        onCapture(blob, { source: 'camera', width: canvas.width, height: canvas.height });
+      }
+    }, 'image/jpeg', 0.92);
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      onCapture(file, { source: 'file' });
+    }
+  };
+
+  return (
+    <div className="media-capture">
+      {!cameraError && (
+        <video
+          ref={videoRef}
+          className="photo-preview"
+          playsInline
+          muted
+          style={{ marginTop: 0, backgroundColor: '#111827' }}
+        />
+      )}
+
+      <button
+        className="capture-button camera-button"
+        onClick={cameraError ? () => fileInputRef.current.click() : handleShutter}
+        disabled={disabled || (!cameraError && !isReady)}
+      >
+        <i className="fas fa-camera"></i>
+      </button>
+
+      <div className="media-status">
+        {cameraError
+          ? `${cameraError}. Tap to use the device camera instead.`
+          : isReady ? 'Tap to take the photo' : 'Starting camera...'}
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        capture={facingMode === 'user' ? 'user' : 'environment'}
+        onChange={handleFileChange}
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+}
@@ -1,10 +1,29 @@
 import { useState, useEffect } from 'react';
+import SyncService from '../services/SyncService';
+import StorageService from '../services/StorageService';
+import BundleService, { MIN_PASSPHRASE_LENGTH } from '../services/BundleService';
+import FormService from '../services/FormService';
+import QualityBadge from './QualityBadge';
 
-export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnline }) {
+export default function DashboardScreen({ user, onLogout, onStartSurvey, onViewPacket, isOnline }) {
   const [surveys, setSurveys] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isSyncing, setIsSyncing] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(null);
+  const [pendingSync, setPendingSync] = useState(0);
+  const [syncError, setSyncError] = useState(null);
+  const [failedPackets, setFailedPackets] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [completedPackets, setCompletedPackets] = useState([]);
+  const [capacity, setCapacity] = useState(null);
+  const [isTransferring, setIsTransferring] = useState(false);
+  const [handoverMessage, setHandoverMessage] = useState(null);
+  const [bundlePassphrase, setBundlePassphrase] = useState('');
+  const [isSecuring, setIsSecuring] = useState(false);
+  const [securityMessage, setSecurityMessage] = useState(null);
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
 
   // Mock survey data - in real app, this would come from API/local storage
   const mockSurveys = [
@@ -13,10 +32,11 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
       title: "Kisan Kendra - Farmer Needs Assessment",
       location: "Village Rampur, Block Sadar",
       address: "Near Primary School, Rampur Village",
+      target: { latitude: 25.6173, longitude: 85.1324, radiusMeters: 1500 },
       type: "Agricultural Survey",
       status: "pending",
       estimatedTime: "45 min",
-      questions: 25,
+      form: { formId: 'farmer-needs', version: 3 },
       priority: "high"
     },
     {
@@ -24,10 +44,11 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
       title: "SwasthyaLink - Healthcare Access Survey",
       location: "PHC Madhubani",
       address: "Primary Health Center, Madhubani",
+      target: { latitude: 26.3483, longitude: 86.0712, radiusMeters: 500 },
       type: "Healthcare Survey", 
       status: "pending",
       estimatedTime: "30 min",
-      questions: 18,
+      form: { formId: 'healthcare-access', version: 2 },
       priority: "medium"
     },
     {
@@ -35,10 +56,11 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
       title: "YojanaAI - Government Scheme Awareness",
       location: "Community Center, Darbhanga",
       address: "Main Road, Community Center",
+      target: { latitude: 26.1542, longitude: 85.8918, radiusMeters: 300 },
       type: "Government Survey",
       status: "completed",
       estimatedTime: "35 min",
-      questions: 22,
+      form: { formId: 'scheme-awareness', version: 1 },
       priority: "low"
     },
     {
@@ -46,10 +68,19 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
       title: "GetSaarthi - SME Business Assessment",
       location: "Market Area, Sitamarhi",
       address: "Central Market, Shop No. 45-50",
+      target: {
+        polygon: [
+          { latitude: 26.5960, longitude: 85.4795 },
+          { latitude: 26.5962, longitude: 85.4822 },
+          { latitude: 26.5941, longitude: 85.4825 },
+          { latitude: 26.5939, longitude: 85.4798 }
+        ],
+        radiusMeters: 50
+      },
       type: "Business Survey",
       status: "synced",
       estimatedTime: "40 min",
-      questions: 20,
+      form: { formId: 'sme-assessment', version: 1 },
       priority: "medium"
     }
   ];
@@ -57,14 +88,47 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
   useEffect(() => {
     // Load surveys on component mount
     loadSurveys();
+    loadSyncStatus();
+
+    // Refresh when an automatic/background sync finishes
+    const unsubscribe = SyncService.addSyncListener((event) => {
+      if (event.type === 'sync-complete') {
+        setLastSyncTime(new Date());
+      }
+      loadSyncStatus();
+    });
+    return unsubscribe;
   }, []);
 
+  const loadSyncStatus = async () => {
+    try {
+      const status = await SyncService.getSyncStatus();
+      setPendingSync(status.pendingSync);
+      setFailedPackets(await SyncService.getFailedPackets());
+      setCapacity(await StorageService.checkCapacity());
+    } catch (error) {
+      console.error('Failed to load sync status:', error);
+    }
+  };
+
   const loadSurveys = async () => {
     setIsLoading(true);
     try {
       // Simulate API call
       await new Promise(resolve => setTimeout(resolve, 1000));
       setSurveys(mockSurveys);
+
+      // Cache the questionnaires now so the interviews can run offline
+      if (isOnline) {
+        FormService.prefetchForms(mockSurveys.filter(s => s.status === 'pending').map(s => s.form));
+      }
+
+      // In-progress interviews that can be resumed
+      const savedDrafts = await StorageService.getAllDrafts();
+      setDrafts(Object.fromEntries(savedDrafts.map(draft => [draft.surveyId, draft])));
+
+      // Recently completed interviews with their quality score
+      setCompletedPackets(await StorageService.getRecentPackets(10));
     } catch (error) {
       console.error('Failed to load surveys:', error);
     } finally {
@@ -76,25 +140,161 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
     if (!isOnline) return;
     
     setIsSyncing(true);
+    setSyncError(null);
     try {
-      // Simulate sync process
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      const result = await SyncService.syncAllPendingData();
+      const syncedIds = (result.results || [])
+        .filter(r => r.success)
+        .map(r => r.surveyId);
       
-      // Update completed surveys to synced status
+      // Update surveys whose packets were confirmed by the server
       setSurveys(prev => prev.map(survey => 
-        survey.status === 'completed' 
+        syncedIds.includes(survey.id)
           ? { ...survey, status: 'synced' }
           : survey
       ));
       
+      if (result.failed > 0) {
+        setSyncError(`${result.failed} survey(s) failed to upload. They will be retried.`);
+      }
       setLastSyncTime(new Date());
+      await loadSyncStatus();
     } catch (error) {
       console.error('Sync failed:', error);
+      setSyncError(error.message);
     } finally {
       setIsSyncing(false);
     }
   };
 
+  const handleStart = (survey, draft) => {
+    // Warn before capture would fail for lack of space
+    if (capacity && capacity.level === 'critical') {
+      const proceed = window.confirm(
+        `${capacity.message}\n\nStart anyway? Recordings and photos may fail to save.`
+      );
+      if (!proceed) return;
+    }
+    onStartSurvey(survey, draft);
+  };
+
+  const handleRequeue = async (surveyId) => {
+    try {
+      await SyncService.requeuePacket(surveyId);
+      await loadSyncStatus();
+    } catch (error) {
+      console.error('Failed to requeue packet:', error);
+    }
+  };
+
+  const handleRequeueAll = async () => {
+    try {
+      await SyncService.requeueFailedPackets();
+      await loadSyncStatus();
+    } catch (error) {
+      console.error('Failed to requeue packets:', error);
+    }
+  };
+
+  const handleExportBundle = async () => {
+    setIsTransferring(true);
+    setHandoverMessage(null);
+    try {
+      const manifest = await BundleService.downloadBundle({ exportedBy: user?.email, passphrase: bundlePassphrase });
+      setHandoverMessage({
+        type: 'success',
+        text: `Exported ${manifest.packetCount} survey(s) and ${manifest.mediaCount} media file(s)`
+      });
+    } catch (error) {
+      console.error('Bundle export failed:', error);
+      setHandoverMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const handleImportBundle = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsTransferring(true);
+    setHandoverMessage(null);
+    try {
+      const result = await BundleService.importBundle(file, { passphrase: bundlePassphrase });
+      const parts = [`Imported ${result.imported.length} survey(s)`];
+      if (result.duplicates.length > 0) parts.push(`${result.duplicates.length} already on this device`);
+      if (result.errors.length > 0) parts.push(`${result.errors.length} failed`);
+      setHandoverMessage({ type: result.errors.length > 0 ? 'error' : 'success', text: parts.join(' • ') });
+      await loadSyncStatus();
+    } catch (error) {
+      console.error('Bundle import failed:', error);
+      setHandoverMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (newPassword.length < 6) {
+      setSecurityMessage({ type: 'error', text: 'New password must be at least 6 characters' });
+      return;
+    }
+
+    setIsSecuring(true);
+    setSecurityMessage(null);
+    try {
+      await StorageService.changeEncryptionCredential(user.email.trim().toLowerCase(), currentPassword, newPassword);
+      setShowPasswordForm(false);
+      setCurrentPassword('');
+      setNewPassword('');
+      setSecurityMessage({ type: 'success', text: 'Device password changed' });
+    } catch (error) {
+      console.error('Password change failed:', error);
+      setSecurityMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsSecuring(false);
+    }
+  };
+
+  const handleRotateKey = async () => {
+    setIsSecuring(true);
+    setSecurityMessage(null);
+    try {
+      await StorageService.rotateEncryptionKey();
+      setSecurityMessage({ type: 'success', text: 'Stored data re-encrypted under a new key' });
+    } catch (error) {
+      console.error('Key rotation failed:', error);
+      setSecurityMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsSecuring(false);
+    }
+  };
+
+  const handleWipeDevice = async () => {
+    if (!window.confirm('Erase all surveys, drafts, media and keys from this device?')) {
+      return;
+    }
+
+    setIsSecuring(true);
+    setSecurityMessage(null);
+    try {
+      if (await StorageService.hasUnsyncedData() &&
+          !window.confirm('This device holds surveys that have not been synced or exported. They will be lost for good. Erase anyway?')) {
+        setIsSecuring(false);
+        return;
+      }
+      await StorageService.clearAllData();
+    } catch (error) {
+      console.error('Device wipe failed:', error);
+      setSecurityMessage({ type: 'error', text: error.message });
+      setIsSecuring(false);
+      return;
+    }
+    onLogout();
+  };
+
   const getStatusBadge = (status) => {
     const statusConfig = {
       pending: { className: 'badge-pending', label: 'Pending' },
@@ -119,8 +319,6 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
     return colors[priority] || colors.medium;
   };
 
-  const completedSurveys = surveys.filter(s => s.status === 'completed');
-
   return (
     <div className="app-container">
       {/* Header */}
@@ -143,8 +341,8 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
             <div>
               <h3 style={{ fontWeight: '500', margin: 0 }}>Data Sync</h3>
               <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0.25rem 0 0 0' }}>
-                {completedSurveys.length > 0 
-                  ? `${completedSurveys.length} survey(s) ready to sync`
+                {pendingSync > 0 
+                  ? `${pendingSync} survey(s) ready to sync`
                   : lastSyncTime 
                     ? `Last synced: ${lastSyncTime.toLocaleTimeString()}`
                     : 'No data to sync'
@@ -153,13 +351,187 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
             </div>
             
             <button
-              className={`btn ${isOnline && completedSurveys.length > 0 ? 'btn-success' : 'btn-secondary'}`}
+              className={`btn ${isOnline && pendingSync > 0 ? 'btn-success' : 'btn-secondary'}`}
               onClick={handleSyncData}
-              disabled={!isOnline || isSyncing || completedSurveys.length === 0}
+              disabled={!isOnline || isSyncing || pendingSync === 0}
             >
               {isSyncing ? 'Syncing...' : 'Sync Data Now'}
             </button>
           </div>
+          
+          {syncError && (
+            <p style={{ fontSize: '0.875rem', color: '#b91c1c', margin: '0.5rem 0 0 0' }}>
+              {syncError}
+            </p>
+          )}
+          
+          {capacity && capacity.usage.quota && (
+            <p style={{ fontSize: '0.75rem', color: '#6b7280', margin: '0.5rem 0 0 0' }}>
+              Storage used: {StorageService.formatBytes(capacity.usage.usage)} of {StorageService.formatBytes(capacity.usage.quota)}
+              {!capacity.usage.persisted && ' (may be cleared by the browser)'}
+            </p>
+          )}
+        </div>
+
+        {/* Storage Warning */}
+        {capacity && capacity.level !== 'ok' && (
+          <div style={{ 
+            backgroundColor: capacity.level === 'critical' ? '#fef2f2' : '#fffbeb', 
+            color: capacity.level === 'critical' ? '#b91c1c' : '#92400e',
+            padding: '0.75rem',
+            borderRadius: '0.375rem',
+            marginBottom: '1rem',
+            fontSize: '0.875rem'
+          }}>
+            <strong>{capacity.level === 'critical' ? 'Storage Full' : 'Storage Low'}:</strong> {capacity.message}
+          </div>
+        )}
+
+        {/* Failed Uploads */}
+        {failedPackets.length > 0 && (
+          <div className="card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <h3 style={{ fontWeight: '500', margin: 0, color: '#b91c1c' }}>
+                Failed Uploads ({failedPackets.length})
+              </h3>
+              <button className="btn btn-secondary" onClick={handleRequeueAll}>
+                Retry All
+              </button>
+            </div>
+            
+            {failedPackets.map(packet => (
+              <div key={packet.surveyId} className="survey-item">
+                <div className="survey-info">
+                  <h3>Survey {packet.surveyId}</h3>
+                  <p>
+                    {packet.retry ? `${packet.retry.attempts} attempt(s)` : 'Upload rejected'}
+                    {packet.lastError && ` • ${packet.lastError}`}
+                  </p>
+                </div>
+                <div className="survey-actions">
+                  <button className="btn btn-primary" onClick={() => handleRequeue(packet.surveyId)}>
+                    Retry
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Device Handover */}
+        <div className="card">
+          <h3 style={{ fontWeight: '500', margin: 0 }}>Device Handover</h3>
+          <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0.25rem 0 0.75rem 0' }}>
+            Transfer unsynced surveys to a supervisor's device without internet.
+            Bundles are encrypted: share the passphrase separately from the file.
+          </p>
+          <div className="form-group">
+            <label htmlFor="bundle-passphrase" className="form-label">Bundle passphrase</label>
+            <input
+              id="bundle-passphrase"
+              type="password"
+              className="form-input"
+              value={bundlePassphrase}
+              onChange={(e) => setBundlePassphrase(e.target.value)}
+              placeholder={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+              disabled={isTransferring}
+            />
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              className="btn btn-secondary"
+              onClick={handleExportBundle}
+              disabled={isTransferring || bundlePassphrase.length < MIN_PASSPHRASE_LENGTH || (pendingSync === 0 && failedPackets.length === 0)}
+            >
+              Export Bundle
+            </button>
+            <label className={`btn btn-secondary ${isTransferring ? 'disabled' : ''}`} style={{ cursor: 'pointer' }}>
+              Import Bundle
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportBundle}
+                disabled={isTransferring}
+                style={{ display: 'none' }}
+              />
+            </label>
+          </div>
+          
+          {handoverMessage && (
+            <p style={{ fontSize: '0.875rem', color: handoverMessage.type === 'error' ? '#b91c1c' : '#047857', margin: '0.5rem 0 0 0' }}>
+              {handoverMessage.text}
+            </p>
+          )}
+        </div>
+
+        {/* Security */}
+        <div className="card">
+          <h3 style={{ fontWeight: '500', margin: 0 }}>Security</h3>
+          <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0.25rem 0 0.75rem 0' }}>
+            Survey data on this device is encrypted with your password
+          </p>
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowPasswordForm(!showPasswordForm)}
+              disabled={isSecuring}
+            >
+              Change Password
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={handleRotateKey}
+              disabled={isSecuring}
+            >
+              {isSecuring ? 'Working...' : 'Rotate Key'}
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={handleWipeDevice}
+              disabled={isSecuring}
+              style={{ color: '#b91c1c' }}
+            >
+              Wipe Device
+            </button>
+          </div>
+
+          {showPasswordForm && (
+            <form onSubmit={handleChangePassword} style={{ marginTop: '0.75rem' }}>
+              <div className="form-group">
+                <label htmlFor="current-password" className="form-label">Current password</label>
+                <input
+                  id="current-password"
+                  type="password"
+                  className="form-input"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  disabled={isSecuring}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="new-password" className="form-label">New password</label>
+                <input
+                  id="new-password"
+                  type="password"
+                  className="form-input"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  disabled={isSecuring}
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={isSecuring}>
+                Save Password
+              </button>
+            </form>
+          )}
+
+          {securityMessage && (
+            <p style={{ fontSize: '0.875rem', color: securityMessage.type === 'error' ? '#b91c1c' : '#047857', margin: '0.5rem 0 0 0' }}>
+              {securityMessage.text}
+            </p>
+          )}
         </div>
 
         {/* Survey Stats */}
@@ -225,13 +597,27 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
                   </div>
                   
                   <div className="survey-actions">
-                    {getStatusBadge(survey.status)}
+                    {drafts[survey.id] ? (
+                      <span className="badge badge-draft">In Progress</span>
+                    ) : (
+                      getStatusBadge(survey.status)
+                    )}
+                    
+                    {survey.status === 'pending' && drafts[survey.id] && (
+                      <button
+                        className="btn btn-primary"
+                        style={{ marginLeft: '0.5rem' }}
+                        onClick={() => handleStart(drafts[survey.id].survey || survey, drafts[survey.id])}
+                      >
+                        Resume
+                      </button>
+                    )}
                     
-                    {survey.status === 'pending' && (
+                    {survey.status === 'pending' && !drafts[survey.id] && (
                       <button
                         className="btn btn-primary"
                         style={{ marginLeft: '0.5rem' }}
-                        onClick={() => onStartSurvey(survey)}
+                        onClick={() => handleStart(survey)}
                       >
                         Start
                       </button>
@@ -243,6 +629,37 @@ export default function DashboardScreen({ user, onLogout, onStartSurvey, isOnlin
           )}
         </div>
 
+        {/* Completed Surveys */}
+        {completedPackets.length > 0 && (
+          <div className="card">
+            <h2 style={{ fontSize: '1.125rem', fontWeight: '600', margin: '0 0 1rem 0' }}>
+              Recently Completed
+            </h2>
+            
+            {completedPackets.map(packet => {
+              const survey = surveys.find(s => s.id === packet.surveyId);
+              const quality = packet.verification && packet.verification.quality;
+              return (
+                <div key={packet.surveyId} className="survey-item">
+                  <div className="survey-info">
+                    <h3>{survey ? survey.title : `Survey ${packet.surveyId}`}</h3>
+                    <p>
+                      {new Date(packet.completedAt).toLocaleString()}
+                      {quality && quality.reasons.length > 0 && ` • ${quality.reasons.length} issue(s)`}
+                    </p>
+                  </div>
+                  <div className="survey-actions">
+                    <QualityBadge quality={quality} />
+                    <button className="btn btn-secondary" onClick={() => onViewPacket(packet, survey)}>
+                      Details
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* Logout Button */}
         <div style={{ marginTop: '1.5rem', textAlign: 'center' }}>
           <button 
@@ -1,14 +1,20 @@
 import { useState } from 'react';
+import { KEYRING_ERROR_CODES } from '../services/CryptoService';
 
-export default function LoginScreen({ onLogin, isOnline }) {
+export default function LoginScreen({ onLogin, onResetDevice, isOnline }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  // Recovery when the device's encrypted data cannot be unlocked:
+  // 'enrol' (surveyor not enrolled here) or 'password' (credential changed)
+  const [recovery, setRecovery] = useState(null);
+  const [sponsorEmail, setSponsorEmail] = useState('');
+  const [sponsorPassword, setSponsorPassword] = useState('');
+  const [previousPassword, setPreviousPassword] = useState('');
 
-  const handleLogin = async (e) => {
-    e.preventDefault();
+  const signIn = async (options = {}) => {
     setIsLoading(true);
     setError('');
 
@@ -26,17 +32,63 @@ export default function LoginScreen({ onLogin, isOnline }) {
       // For demo purposes, accept any email/password combination
       // In a real app, this would validate against a backend
       if (email.includes('@') && password.length >= 6) {
-        onLogin({ email, name: email.split('@')[0] });
+        // The password also unlocks the encrypted data stored on this device
+        await onLogin({ email, name: email.split('@')[0] }, password, options);
       } else {
         setError('Invalid email or password (password must be at least 6 characters)');
       }
     } catch (err) {
-      setError('Login failed. Please try again.');
+      setError(err.message || 'Login failed. Please try again.');
+      if (err.code === KEYRING_ERROR_CODES.NOT_ENROLLED) {
+        setRecovery('enrol');
+      } else if (err.code === KEYRING_ERROR_CODES.INVALID_CREDENTIAL) {
+        setRecovery('password');
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleLogin = (e) => {
+    e.preventDefault();
+    signIn();
+  };
+
+  const handleEnrol = () => {
+    if (!sponsorEmail || !sponsorPassword) {
+      setError('Enter the email and password of a surveyor or supervisor enrolled on this device');
+      return;
+    }
+    signIn({ sponsor: { userId: sponsorEmail, credential: sponsorPassword } });
+  };
+
+  const handlePasswordUpdate = () => {
+    if (!previousPassword) {
+      setError('Enter the password you last used on this device');
+      return;
+    }
+    signIn({ previousCredential: previousPassword });
+  };
+
+  const handleResetDevice = async () => {
+    if (!window.confirm('Remove all survey data from this device and start fresh? Only allowed when everything has been synced.')) {
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    try {
+      await onResetDevice();
+      setRecovery(null);
+    } catch (err) {
+      setError(err.message);
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(false);
+    signIn();
+  };
+
   return (
     <div className="app-container">
       {/* Header with online status */}
@@ -124,6 +176,71 @@ export default function LoginScreen({ onLogin, isOnline }) {
             </div>
           )}
 
+          {recovery === 'enrol' && (
+            <div className="card" style={{ marginBottom: '1rem' }}>
+              <p style={{ fontSize: '0.875rem', color: '#374151', margin: '0 0 0.75rem 0' }}>
+                A surveyor or supervisor already enrolled on this device can add you. Unsynced surveys stay on the device.
+              </p>
+              <div className="form-group">
+                <label htmlFor="sponsor-email" className="form-label">Enrolled surveyor's email</label>
+                <input
+                  id="sponsor-email"
+                  type="email"
+                  className="form-input"
+                  value={sponsorEmail}
+                  onChange={(e) => setSponsorEmail(e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="sponsor-password" className="form-label">Their password</label>
+                <input
+                  id="sponsor-password"
+                  type="password"
+                  className="form-input"
+                  value={sponsorPassword}
+                  onChange={(e) => setSponsorPassword(e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button type="button" className="btn btn-primary" onClick={handleEnrol} disabled={isLoading}>
+                  Add Me to This Device
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={handleResetDevice} disabled={isLoading}>
+                  Reset Device
+                </button>
+              </div>
+            </div>
+          )}
+
+          {recovery === 'password' && (
+            <div className="card" style={{ marginBottom: '1rem' }}>
+              <p style={{ fontSize: '0.875rem', color: '#374151', margin: '0 0 0.75rem 0' }}>
+                Changed your password? Enter the one you last used on this device to update it.
+              </p>
+              <div className="form-group">
+                <label htmlFor="previous-password" className="form-label">Previous password</label>
+                <input
+                  id="previous-password"
+                  type="password"
+                  className="form-input"
+                  value={previousPassword}
+                  onChange={(e) => setPreviousPassword(e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button type="button" className="btn btn-primary" onClick={handlePasswordUpdate} disabled={isLoading}>
+                  Update Password
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => setRecovery('enrol')} disabled={isLoading}>
+                  Forgot It
+                </button>
+              </div>
+            </div>
+          )}
+
           <button
             type="submit"
             className="btn btn-primary btn-full"
@@ -0,0 +1,107 @@
+import QualityBadge from './QualityBadge';
+import QualityReasons from './QualityReasons';
+import { ANSWER_FLAGS } from '../services/answerTypes';
+
+// Details of a completed survey packet: its quality score with the reasons
+// behind it (the surveyor already saw a preview before completing)
+export default function PacketDetailScreen({ packet, survey, onBack }) {
+  const verification = packet.verification || {};
+  const quality = verification.quality;
+  const trail = verification.trailSummary;
+  const overrides = packet.validationOverrides || [];
+  // Older packets carry a single notes string
+  const questionNotes = packet.notes && typeof packet.notes === 'object' ? Object.entries(packet.notes) : [];
+
+  const formatDuration = (seconds) => {
+    if (typeof seconds !== 'number') return 'unknown';
+    const mins = Math.floor(seconds / 60);
+    return mins > 0 ? `${mins} min ${seconds % 60} s` : `${seconds} s`;
+  };
+
+  const facts = [
+    ['Completed', new Date(packet.completedAt).toLocaleString()],
+    ['Duration', formatDuration(verification.duration)],
+    ['Form', packet.form ? `${packet.form.formId} v${packet.form.version}` : 'unknown'],
+    ['Answers', Object.keys(packet.answers || {}).length],
+    ['Sync status', packet.syncStatus || packet.status],
+    ['Fraud risk', verification.fraud ? `${verification.fraud.riskLevel} (${verification.fraud.riskScore})` : 'not evaluated'],
+    ['Signed', verification.signature ? 'Yes' : 'No']
+  ];
+  if (trail) {
+    facts.push(['Distance moved', `${Math.round(trail.totalDistanceMeters)} m (${trail.pointCount} GPS points)`]);
+  }
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Back
+        </button>
+        <div className="location-badge">
+          <i className="fas fa-map-marker-alt"></i>
+          {survey ? survey.location : `Survey ${packet.surveyId}`}
+        </div>
+      </div>
+
+      <div style={{ padding: '1rem' }}>
+        <div className="card">
+          <h2 style={{ fontSize: '1.125rem', fontWeight: '600', margin: '0 0 0.5rem 0' }}>
+            {survey ? survey.title : `Survey ${packet.surveyId}`}
+          </h2>
+
+          {quality ? (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+              <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>{quality.score}</div>
+              <QualityBadge quality={quality} />
+            </div>
+          ) : (
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+              This survey was completed before quality scoring was available.
+            </p>
+          )}
+        </div>
+
+        {quality && <QualityReasons quality={quality} />}
+
+        {overrides.length > 0 && (
+          <div className="card">
+            <h3 style={{ fontWeight: '500', margin: '0 0 0.5rem 0' }}>Warnings Overridden</h3>
+            {overrides.map(override => (
+              <div key={`${override.questionId}:${override.rule}`} style={{ fontSize: '0.875rem', padding: '0.5rem 0' }}>
+                <p style={{ margin: 0, color: '#92400e' }}>{override.message}</p>
+                <p style={{ margin: '0.25rem 0 0 0', color: '#6b7280' }}>Reason: {override.reason}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {questionNotes.length > 0 && (
+          <div className="card">
+            <h3 style={{ fontWeight: '500', margin: '0 0 0.5rem 0' }}>Notes and Flags</h3>
+            {questionNotes.map(([questionId, { note, flag }]) => (
+              <div key={questionId} style={{ fontSize: '0.875rem', padding: '0.5rem 0' }}>
+                <p style={{ margin: 0, color: '#6b7280' }}>
+                  {questionId}
+                  {flag && ANSWER_FLAGS[flag] && (
+                    <span className="note-flag selected" style={{ marginLeft: '0.5rem' }}>{ANSWER_FLAGS[flag].label}</span>
+                  )}
+                </p>
+                {note && <p style={{ margin: '0.25rem 0 0 0' }}>{note}</p>}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="card">
+          <h3 style={{ fontWeight: '500', margin: '0 0 0.5rem 0' }}>Summary</h3>
+          {facts.map(([label, value]) => (
+            <div key={label} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.875rem', padding: '0.25rem 0' }}>
+              <span style={{ color: '#6b7280' }}>{label}</span>
+              <span>{value}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
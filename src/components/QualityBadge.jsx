@@ -0,0 +1,18 @@
+const GRADE_LABELS = {
+  good: 'Good',
+  fair: 'Needs Review',
+  poor: 'Likely Rejected'
+};
+
+// Data quality grade and score of a completed packet
+export default function QualityBadge({ quality }) {
+  if (!quality) {
+    return <span className="badge badge-quality-none">Not Scored</span>;
+  }
+
+  return (
+    <span className={`badge badge-quality-${quality.grade}`} title={`Quality score ${quality.score}/100`}>
+      {GRADE_LABELS[quality.grade] || quality.grade} · {quality.score}
+    </span>
+  );
+}
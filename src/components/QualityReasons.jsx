@@ -0,0 +1,25 @@
+// Issues behind a quality score, each with the points it cost
+export default function QualityReasons({ quality }) {
+  return (
+    <div className="card">
+      <h3 style={{ fontWeight: '500', margin: '0 0 0.5rem 0' }}>
+        {quality.reasons.length > 0 ? 'Issues Found' : 'No Issues Found'}
+      </h3>
+      {quality.reasons.length === 0 && (
+        <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+          This survey is likely to pass review.
+        </p>
+      )}
+      {quality.reasons.map(reason => (
+        <div key={reason.check} className="survey-item" style={{ padding: '0.75rem 0' }}>
+          <div className="survey-info">
+            <p style={{ fontSize: '0.875rem', color: '#111827' }}>{reason.message}</p>
+          </div>
+          <span style={{ fontSize: '0.75rem', color: '#b91c1c', whiteSpace: 'nowrap' }}>
+            -{reason.penalty}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,80 +1,180 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import StorageService from '../services/StorageService';
+import FormService from '../services/FormService';
+import { getFormRef } from '../services/formSchema';
+import { getRelevantQuestions, findRelevantIndex, pruneIrrelevantAnswers } from '../services/formLogic';
+import { isMediaAnswer } from '../services/mediaUtils';
+import { OTHER_OPTION, DATE_MODES, ANSWER_FLAGS, getLikertPoints } from '../services/answerTypes';
+import { checkAnswer, formatMessage } from '../services/answerValidation';
+import { compressImage, createThumbnail } from '../services/imageUtils';
+import { DEFAULT_AUDIO_OPTIONS, getSupportedAudioMimeType, transcodeToWav, createLevelMeter } from '../services/audioUtils';
+import CameraCapture from './CameraCapture';
+import BarcodeScanner from './BarcodeScanner';
+import QualityBadge from './QualityBadge';
+import QualityReasons from './QualityReasons';
 
-export default function SurveyScreen({ survey, onComplete, onBack, verificationService }) {
-  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
-  const [answers, setAnswers] = useState({});
+export default function SurveyScreen({ survey, draft, onComplete, onBack, verificationService }) {
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(draft ? draft.currentQuestionIndex : 0);
+  const [answers, setAnswers] = useState(draft ? draft.answers : {});
   const [isRecording, setIsRecording] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
-  const [notes, setNotes] = useState('');
+  const [isPaused, setIsPaused] = useState(false);
+  const [audioLevel, setAudioLevel] = useState(0);
+  // Surveyor's note and flag per question: { [questionId]: { note, flag, updatedAt } }
+  const [notes, setNotes] = useState(draft && draft.notes && typeof draft.notes === 'object' ? draft.notes : {});
+  const [isEditingNote, setIsEditingNote] = useState(false);
+  // Reasons given for keeping answers that triggered a warning, by question and rule
+  const [validationOverrides, setValidationOverrides] = useState(draft ? draft.validationOverrides || {} : {});
+  const [showRequired, setShowRequired] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [verificationData, setVerificationData] = useState(null);
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [geofenceCheck, setGeofenceCheck] = useState(null);
+  const [geofenceOverridden, setGeofenceOverridden] = useState(false);
+  const [environmentPhotoStage, setEnvironmentPhotoStage] = useState(null);
+  const [environmentPhotoSkipped, setEnvironmentPhotoSkipped] = useState(false);
+  const [isCapturingPhoto, setIsCapturingPhoto] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [isLocating, setIsLocating] = useState(false);
+  const [locateError, setLocateError] = useState(null);
+  // Quality estimate shown for review before the packet is sealed
+  const [qualityPreview, setQualityPreview] = useState(null);
   
   const mediaRecorderRef = useRef(null);
   const recordingIntervalRef = useRef(null);
   const audioChunksRef = useRef([]);
+  const pausedRef = useRef(false);
+  const recordedSecondsRef = useRef(0);
+  const stopLevelMeterRef = useRef(null);
 
-  // Mock survey questions - in real app, this would come from the survey data
-  const questions = [
-    {
-      id: 1,
-      type: 'multiple_choice',
-      question: 'What is your primary occupation?',
-      options: ['Farming', 'Business', 'Service', 'Daily Labor', 'Other'],
-      required: true
-    },
-    {
-      id: 2,
-      type: 'text',
-      question: 'What is your monthly household income (in ₹)?',
-      placeholder: 'Enter amount in rupees',
-      required: true
-    },
-    {
-      id: 3,
-      type: 'multiple_choice',
-      question: 'Do you have access to clean drinking water?',
-      options: ['Yes, always', 'Yes, sometimes', 'Rarely', 'No'],
-      required: true
-    },
-    {
-      id: 4,
-      type: 'audio',
-      question: 'Please share your opinion about healthcare facilities in your area.',
-      required: false
-    },
-    {
-      id: 5,
-      type: 'photo',
-      question: 'Please take a photo of your water source.',
-      required: false
-    },
-    {
-      id: 6,
-      type: 'text',
-      question: 'What are the main challenges you face in agriculture?',
-      placeholder: 'Describe the key challenges...',
-      multiline: true,
-      required: true
-    }
-  ];
-
+  // A resumed draft keeps the form version it was started with
+  const { formId, version: formVersion } = (draft && draft.form) || survey.form || {};
+  const questions = form ? form.questions : [];
   const currentQuestion = questions[currentQuestionIndex];
-  const progress = ((currentQuestionIndex + 1) / questions.length) * 100;
+  // Progress counts only the questions the current answers make relevant
+  const relevantQuestions = getRelevantQuestions(questions, answers);
+  const questionNumber = Math.max(0, relevantQuestions.indexOf(currentQuestion)) + 1;
+  const progress = (questionNumber / Math.max(1, relevantQuestions.length)) * 100;
+  const isLastQuestion = findRelevantIndex(questions, answers, currentQuestionIndex, 1) === -1;
+
+  useEffect(() => {
+    let cancelled = false;
+    FormService.getForm({ formId, version: formVersion })
+      .then(loaded => {
+        if (!cancelled) setForm(loaded);
+      })
+      .catch(error => {
+        console.error('Failed to load form:', error);
+        if (!cancelled) setFormError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [formId, formVersion]);
 
   useEffect(() => {
-    // Initialize verification service when survey starts
-    if (verificationService && !verificationData) {
+    // Initialize verification service when survey starts (or continue a draft's trail)
+    if (form && verificationService && !verificationData) {
       const initVerification = async () => {
         try {
-          const data = await verificationService.startSurvey(survey.id);
-          setVerificationData(data);
+          if (draft && draft.verificationState) {
+            setVerificationData(await verificationService.resumeSurvey(draft.verificationState));
+            return;
+          }
+
+          // Warn before starting when the surveyor is outside the assigned area
+          let geofenceWarning = null;
+          if (survey.target) {
+            const check = await verificationService.checkGeofence(survey.target);
+            if (check.status === 'outside') {
+              if (!geofenceOverridden) {
+                setGeofenceCheck(check);
+                return;
+              }
+              geofenceWarning = { ...check, overriddenAt: new Date().toISOString() };
+            }
+          }
+
+          setVerificationData(await verificationService.startSurvey(survey.id, {
+            geofenceTarget: survey.target,
+            geofenceWarning
+          }));
         } catch (error) {
           console.error('Failed to initialize verification:', error);
         }
       };
       initVerification();
     }
-  }, [survey.id, verificationService, verificationData]);
+  }, [form, survey.id, survey.target, draft, verificationService, verificationData, geofenceOverridden]);
+
+  useEffect(() => {
+    // Ask for the environment photo once verification has started
+    if (verificationData && verificationService && !environmentPhotoSkipped &&
+        verificationService.needsEnvironmentPhoto('start')) {
+      setEnvironmentPhotoStage('start');
+    }
+  }, [verificationData, verificationService, environmentPhotoSkipped]);
+
+  useEffect(() => {
+    // Object URLs do not survive a reload; recreate previews for restored media
+    if (!draft) return;
+
+    const restorePreviews = async () => {
+      for (const [questionId, answer] of Object.entries(draft.answers || {})) {
+        if (!isMediaAnswer(answer)) continue;
+        // Photos preview from their thumbnail when one was kept
+        const media = (answer.thumbnailId && await StorageService.getMedia(answer.thumbnailId)) ||
+          await StorageService.getMedia(answer.attachmentId);
+        if (media) {
+          const url = URL.createObjectURL(media.blob);
+          setAnswers(prev => prev[questionId] && prev[questionId].attachmentId === answer.attachmentId
+            ? { ...prev, [questionId]: { ...prev[questionId], url } }
+            : prev
+          );
+        }
+      }
+    };
+    restorePreviews().catch(error => console.error('Failed to restore media previews:', error));
+  }, [draft]);
+
+  const saveDraft = useCallback(() => {
+    return StorageService.saveDraft({
+      surveyId: survey.id,
+      survey,
+      form: getFormRef(form),
+      answers,
+      currentQuestionIndex,
+      notes,
+      validationOverrides,
+      verificationState: verificationService ? verificationService.getState() : null,
+      startedAt: draft ? draft.startedAt : verificationData.startTime
+    });
+  }, [survey, form, answers, currentQuestionIndex, notes, validationOverrides, verificationService, draft, verificationData]);
+
+  useEffect(() => {
+    // Autosave progress as a draft so an interruption never loses the interview
+    if (!verificationData) return;
+
+    saveDraft().catch(error => console.error('Failed to autosave draft:', error));
+  }, [saveDraft, verificationData]);
+
+  useEffect(() => {
+    // Clear answers to questions that an answer change made irrelevant
+    if (!form) return;
+    const { answers: remaining, cleared } = pruneIrrelevantAnswers(form.questions, answers);
+    if (cleared.length === 0) return;
+
+    setAnswers(remaining);
+    cleared.forEach(({ questionId, answer }) => {
+      if (verificationService) {
+        verificationService.logAnswer(questionId, null);
+      }
+      if (isMediaAnswer(answer)) {
+        StorageService.deleteMedia(answer.attachmentId).catch(console.error);
+      }
+    });
+  }, [form, answers, verificationService]);
 
   useEffect(() => {
     // Cleanup on unmount
@@ -82,49 +182,133 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
       if (recordingIntervalRef.current) {
         clearInterval(recordingIntervalRef.current);
       }
-      if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
+      if (stopLevelMeterRef.current) {
+        stopLevelMeterRef.current();
+      }
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
         mediaRecorderRef.current.stop();
       }
     };
   }, []);
 
+  const handleBack = async () => {
+    if (verificationData) {
+      try {
+        await commitCurrentAnswer();
+        await saveDraft();
+      } catch (error) {
+        console.error('Failed to save draft:', error);
+      }
+    }
+    onBack();
+  };
+
   const handleAnswerChange = (value) => {
     setAnswers(prev => ({
       ...prev,
       [currentQuestion.id]: value
     }));
-    
-    // Log answer timestamp for verification
-    if (verificationService) {
-      verificationService.logAnswer(currentQuestion.id, value);
+  };
+
+  // Log the current answer for verification once it is committed (field
+  // left, question left or survey exited), not on every keystroke
+  const commitCurrentAnswer = () => {
+    if (!verificationService || !currentQuestion) {
+      return Promise.resolve();
     }
+    return verificationService.commitAnswers({ [currentQuestion.id]: answers[currentQuestion.id] });
   };
 
+  const getDurationLimits = (question) => ({
+    minDurationSec: question.minDurationSec || DEFAULT_AUDIO_OPTIONS.minDurationSec,
+    maxDurationSec: question.maxDurationSec || DEFAULT_AUDIO_OPTIONS.maxDurationSec
+  });
+
   const startRecording = async () => {
+    const question = currentQuestion;
+    const { minDurationSec, maxDurationSec } = getDurationLimits(question);
+
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      mediaRecorderRef.current = new MediaRecorder(stream);
+      const mimeType = getSupportedAudioMimeType();
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      mediaRecorderRef.current = recorder;
       audioChunksRef.current = [];
 
-      mediaRecorderRef.current.ondataavailable = (event) => {
-        audioChunksRef.current.push(event.data);
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          audioChunksRef.current.push(event.data);
+        }
       };
 
-      mediaRecorderRef.current.onstop = () => {
-        const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/wav' });
-        const audioUrl = URL.createObjectURL(audioBlob);
-        handleAnswerChange({ type: 'audio', blob: audioBlob, url: audioUrl });
+      recorder.onstop = async () => {
+        // Label the recording with the container the browser actually produced
+        let audioBlob = new Blob(audioChunksRef.current, { type: recorder.mimeType || mimeType || 'audio/webm' });
+        let durationSec = recordedSecondsRef.current;
         
         // Stop all tracks to release microphone
         stream.getTracks().forEach(track => track.stop());
+
+        if (DEFAULT_AUDIO_OPTIONS.transcodeToWav) {
+          try {
+            const wav = await transcodeToWav(audioBlob);
+            audioBlob = wav.blob;
+            durationSec = wav.durationSec;
+          } catch (error) {
+            // Keep the original recording; the server can still transcode it
+            console.error('Failed to transcode recording to WAV:', error);
+          }
+        }
+
+        if (durationSec < minDurationSec) {
+          alert(`Recording is too short. Please record at least ${formatTime(minDurationSec)}.`);
+          return;
+        }
+
+        try {
+          // Persist the recording so it survives reloads until sync
+          const attachment = await StorageService.saveMedia(audioBlob, {
+            surveyId: survey.id,
+            questionId: question.id,
+            type: 'audio'
+          });
+          handleAnswerChange({
+            type: 'audio',
+            attachmentId: attachment.id,
+            mimeType: attachment.mimeType,
+            size: attachment.size,
+            checksum: attachment.checksum,
+            durationSec: Math.round(durationSec * 10) / 10,
+            url: URL.createObjectURL(audioBlob)
+          });
+
+          // Drop the recording this one replaces
+          const previous = answers[question.id];
+          if (isMediaAnswer(previous)) {
+            StorageService.deleteMedia(previous.attachmentId).catch(console.error);
+          }
+        } catch (error) {
+          console.error('Failed to save recording:', error);
+          alert('Unable to save the recording. Please free up storage and try again.');
+        }
       };
 
-      mediaRecorderRef.current.start();
+      stopLevelMeterRef.current = createLevelMeter(stream, setAudioLevel);
+      recorder.start(1000);
+      pausedRef.current = false;
+      recordedSecondsRef.current = 0;
+      setIsPaused(false);
       setIsRecording(true);
       setRecordingTime(0);
 
+      // Only count time actually recorded, not time spent paused
       recordingIntervalRef.current = setInterval(() => {
-        setRecordingTime(prev => prev + 1);
+        if (pausedRef.current) return;
+        recordedSecondsRef.current += 1;
+        setRecordingTime(recordedSecondsRef.current);
+        if (recordedSecondsRef.current >= maxDurationSec) {
+          stopRecording();
+        }
       }, 1000);
 
     } catch (error) {
@@ -134,59 +318,296 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
   };
 
   const stopRecording = () => {
-    if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
-      mediaRecorderRef.current.stop();
+    const recorder = mediaRecorderRef.current;
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.stop();
       setIsRecording(false);
+      setIsPaused(false);
+      setAudioLevel(0);
       clearInterval(recordingIntervalRef.current);
+      if (stopLevelMeterRef.current) {
+        stopLevelMeterRef.current();
+        stopLevelMeterRef.current = null;
+      }
+    }
+  };
+
+  const togglePauseRecording = () => {
+    const recorder = mediaRecorderRef.current;
+    if (!recorder) return;
+
+    if (recorder.state === 'recording') {
+      recorder.pause();
+      pausedRef.current = true;
+      setIsPaused(true);
+    } else if (recorder.state === 'paused') {
+      recorder.resume();
+      pausedRef.current = false;
+      setIsPaused(false);
     }
   };
 
-  const handlePhotoCapture = async () => {
+  const handlePhotoCapture = async (blob) => {
+    const questionId = currentQuestion.id;
+    setIsLoading(true);
     try {
-      // In a real app, this would use the device camera
-      // For this demo, we'll simulate a photo capture
-      handleAnswerChange({ type: 'photo', url: 'photo_placeholder.jpg' });
-      
+      const capturedAt = new Date().toISOString();
+      const location = verificationService ? await verificationService.getLocation('photo') : null;
+
+      const photo = await compressImage(blob);
+      const thumbnail = await createThumbnail(photo.blob);
+      const attachment = await StorageService.saveMedia(photo.blob, {
+        surveyId: survey.id,
+        questionId,
+        type: 'photo',
+        thumbnail
+      });
+
+      handleAnswerChange({
+        type: 'photo',
+        attachmentId: attachment.id,
+        thumbnailId: attachment.thumbnailId,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        checksum: attachment.checksum,
+        width: photo.width,
+        height: photo.height,
+        capturedAt,
+        location,
+        url: URL.createObjectURL(thumbnail)
+      });
+      setIsCapturingPhoto(false);
+
+      // Drop the photo this one replaces
+      const previous = answers[questionId];
+      if (isMediaAnswer(previous)) {
+        StorageService.deleteMedia(previous.attachmentId).catch(console.error);
+      }
     } catch (error) {
-      console.error('Failed to capture photo:', error);
-      alert('Unable to access camera. Please check permissions.');
+      console.error('Failed to save photo:', error);
+      alert('Unable to save the photo. Please free up storage and try again.');
+    } finally {
+      setIsLoading(false);
     }
   };
 
-  const canProceed = () => {
-    if (!currentQuestion.required) return true;
-    const answer = answers[currentQuestion.id];
-    return answer !== undefined && answer !== '' && answer !== null;
+  const handlePhotoDelete = () => {
+    const questionId = currentQuestion.id;
+    const previous = answers[questionId];
+    if (!window.confirm('Delete this photo?')) return;
+
+    setAnswers(prev => {
+      const { [questionId]: removed, ...rest } = prev;
+      return rest;
+    });
+    if (verificationService) {
+      verificationService.logAnswer(questionId, null);
+    }
+    if (isMediaAnswer(previous)) {
+      StorageService.deleteMedia(previous.attachmentId).catch(console.error);
+    }
+  };
+
+  const handleNumberChange = (raw) => {
+    handleAnswerChange(raw.trim() === '' ? null : {
+      type: 'number',
+      value: Number(raw),
+      unit: currentQuestion.unit || null
+    });
+  };
+
+  const handleMultiSelectToggle = (option) => {
+    const previous = answers[currentQuestion.id];
+    const values = previous ? previous.values : [];
+    const nextValues = values.includes(option)
+      ? values.filter(value => value !== option)
+      : [...values, option];
+    const other = nextValues.includes(OTHER_OPTION) && previous ? previous.other : null;
+
+    handleAnswerChange(nextValues.length > 0 ? { type: 'multi_select', values: nextValues, other } : null);
+  };
+
+  const handleGpsCapture = async () => {
+    setIsLocating(true);
+    setLocateError(null);
+    try {
+      const location = verificationService
+        ? await verificationService.getLocation('gps-point', { maximumAge: 0 })
+        : null;
+      if (!location) {
+        setLocateError('Could not get a location. Check that location is enabled and try again outdoors.');
+        return;
+      }
+      handleAnswerChange({
+        type: 'gps_point',
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        altitude: location.altitude,
+        timestamp: location.timestamp
+      });
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const handleBarcodeScan = ({ value, format }) => {
+    handleAnswerChange({ type: 'barcode', value, format, source: 'scan' });
+    setIsScanning(false);
+  };
+
+  const handleBarcodeEntry = (value) => {
+    handleAnswerChange(value.trim() === '' ? null : { type: 'barcode', value, format: null, source: 'manual' });
+  };
+
+  const getFlag = (questionId) => (notes[questionId] ? notes[questionId].flag : null);
+
+  const updateQuestionNote = (changes) => {
+    const questionId = currentQuestion.id;
+    setNotes(prev => {
+      const { [questionId]: previous, ...rest } = prev;
+      const note = { note: '', flag: null, ...previous, ...changes };
+      if (!note.note && !note.flag) return rest;
+      return { ...rest, [questionId]: { ...note, updatedAt: new Date().toISOString() } };
+    });
+  };
+
+  // Notes and flags of the questions that were asked, as recorded in the packet
+  const collectQuestionNotes = () => {
+    const result = {};
+    getRelevantQuestions(questions, answers).forEach(question => {
+      if (notes[question.id]) {
+        const { note, flag, updatedAt } = notes[question.id];
+        result[question.id] = { note: note.trim(), flag, updatedAt };
+      }
+    });
+    return result;
+  };
+
+  const getOverrideReason = (questionId, rule) => {
+    const override = (validationOverrides[questionId] || {})[rule];
+    return override ? override.reason : '';
+  };
+
+  const handleOverrideReason = (rule, reason) => {
+    const questionId = currentQuestion.id;
+    setValidationOverrides(prev => ({
+      ...prev,
+      [questionId]: {
+        ...prev[questionId],
+        [rule]: { reason, overriddenAt: new Date().toISOString() }
+      }
+    }));
+  };
+
+  // Whether a question's answer may be left as it is: no errors, and a
+  // reason for every warning
+  const isQuestionSettled = (question) => {
+    const { errors, warnings } = checkAnswer(question, answers, { requireAnswer: true, flag: getFlag(question.id) });
+    return errors.length === 0 &&
+      warnings.every(warning => getOverrideReason(question.id, warning.rule).trim() !== '');
+  };
+
+  // Overridden warnings that still apply, as recorded in the packet
+  const collectValidationOverrides = () => {
+    return getRelevantQuestions(questions, answers).flatMap(question =>
+      checkAnswer(question, answers).warnings
+        .filter(warning => getOverrideReason(question.id, warning.rule).trim() !== '')
+        .map(warning => ({
+          questionId: question.id,
+          rule: warning.rule,
+          message: warning.message,
+          reason: getOverrideReason(question.id, warning.rule).trim(),
+          overriddenAt: validationOverrides[question.id][warning.rule].overriddenAt
+        }))
+    );
   };
 
   const handleNext = () => {
-    if (currentQuestionIndex < questions.length - 1) {
-      setCurrentQuestionIndex(prev => prev + 1);
-      setNotes('');
+    if (!isQuestionSettled(currentQuestion)) {
+      setShowRequired(true);
+      return;
+    }
+
+    const nextIndex = findRelevantIndex(questions, answers, currentQuestionIndex, 1);
+    if (nextIndex !== -1) {
+      commitCurrentAnswer();
+      setCurrentQuestionIndex(nextIndex);
+      setShowRequired(false);
+      setIsEditingNote(false);
+      setIsCapturingPhoto(false);
+      setIsScanning(false);
+      setLocateError(null);
+      stopRecording();
     }
   };
 
   const handlePrevious = () => {
-    if (currentQuestionIndex > 0) {
-      setCurrentQuestionIndex(prev => prev - 1);
-      setNotes('');
+    const previousIndex = findRelevantIndex(questions, answers, currentQuestionIndex, -1);
+    if (previousIndex !== -1) {
+      commitCurrentAnswer();
+      setCurrentQuestionIndex(previousIndex);
+      setShowRequired(false);
+      setIsEditingNote(false);
+      setIsCapturingPhoto(false);
+      setIsScanning(false);
+      setLocateError(null);
+      stopRecording();
     }
   };
 
-  const handleComplete = async () => {
+  const handleComplete = async ({ skipEnvironmentPhoto = environmentPhotoSkipped, reviewed = false } = {}) => {
+    // A later answer can break a cross-question check on an earlier one
+    const unsettled = getRelevantQuestions(questions, answers).find(question => !isQuestionSettled(question));
+    if (unsettled) {
+      commitCurrentAnswer();
+      setCurrentQuestionIndex(questions.indexOf(unsettled));
+      setShowRequired(true);
+      return;
+    }
+
+    if (verificationService && !skipEnvironmentPhoto && verificationService.needsEnvironmentPhoto('end')) {
+      setEnvironmentPhotoStage('end');
+      return;
+    }
+
+    // Show the expected quality score first so issues can still be fixed
+    if (verificationService && !reviewed) {
+      commitCurrentAnswer();
+      setIsLoading(true);
+      try {
+        setQualityPreview(await verificationService.previewQuality({ answers, questions }));
+        return;
+      } catch (error) {
+        console.error('Failed to preview survey quality:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    }
+
     setIsLoading(true);
     try {
       // Finalize verification data
       let finalVerificationData = verificationData;
+      const overrides = collectValidationOverrides();
+      const questionNotes = collectQuestionNotes();
       if (verificationService) {
-        finalVerificationData = await verificationService.completeSurvey();
+        finalVerificationData = await verificationService.completeSurvey({
+          answers,
+          notes: questionNotes,
+          questions,
+          form: getFormRef(form),
+          validationOverrides: overrides
+        });
       }
 
       // Create survey packet
       const surveyPacket = {
         surveyId: survey.id,
+        form: getFormRef(form),
         answers,
-        notes,
+        notes: questionNotes,
+        validationOverrides: overrides,
         verification: finalVerificationData,
         completedAt: new Date().toISOString(),
         status: 'completed'
@@ -201,6 +622,46 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
     }
   };
 
+  const handleEnvironmentPhoto = async (blob, { source }) => {
+    const stage = environmentPhotoStage;
+    setIsLoading(true);
+    try {
+      const photo = await compressImage(blob);
+      await verificationService.attachEnvironmentPhoto(photo.blob, { source, stage });
+      setVerificationData(verificationService.getState());
+      setEnvironmentPhotoStage(null);
+    } catch (error) {
+      console.error('Failed to save environment photo:', error);
+      alert('Unable to save the photo. Please try again.');
+      return;
+    } finally {
+      setIsLoading(false);
+    }
+
+    // The end-of-survey photo was the last step before completing
+    if (stage === 'end') {
+      await handleComplete();
+    }
+  };
+
+  const handleEnvironmentPhotoSkip = async () => {
+    const stage = environmentPhotoStage;
+    setEnvironmentPhotoSkipped(true);
+    setEnvironmentPhotoStage(null);
+    if (stage === 'end') {
+      await handleComplete({ skipEnvironmentPhoto: true });
+    }
+  };
+
+  const handleGeofenceOverride = () => {
+    setGeofenceCheck(null);
+    setGeofenceOverridden(true);
+  };
+
+  const formatDistance = (meters) => {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`;
+  };
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -233,6 +694,7 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
             placeholder={currentQuestion.placeholder}
             value={answer || ''}
             onChange={(e) => handleAnswerChange(e.target.value)}
+            onBlur={commitCurrentAnswer}
             className="form-input"
             style={{ minHeight: '100px' }}
           />
@@ -242,47 +704,238 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
             placeholder={currentQuestion.placeholder}
             value={answer || ''}
             onChange={(e) => handleAnswerChange(e.target.value)}
+            onBlur={commitCurrentAnswer}
+            className="form-input"
+          />
+        );
+
+      case 'number':
+        return (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            {/* Uncontrolled so partial input such as "12." is not rewritten while typing */}
+            <input
+              key={currentQuestion.id}
+              type="number"
+              inputMode={currentQuestion.integer ? 'numeric' : 'decimal'}
+              step={currentQuestion.integer ? 1 : 'any'}
+              min={currentQuestion.min}
+              max={currentQuestion.max}
+              placeholder={currentQuestion.placeholder}
+              defaultValue={answer ? answer.value : ''}
+              onChange={(e) => handleNumberChange(e.target.value)}
+              onBlur={commitCurrentAnswer}
+              className="form-input"
+            />
+            {currentQuestion.unit && (
+              <span style={{ color: '#6b7280', whiteSpace: 'nowrap' }}>{currentQuestion.unit}</span>
+            )}
+          </div>
+        );
+
+      case 'date': {
+        const mode = currentQuestion.mode || 'date';
+        return (
+          <input
+            type={DATE_MODES[mode].inputType}
+            min={currentQuestion.min}
+            max={currentQuestion.max}
+            value={answer ? answer.value : ''}
+            onChange={(e) => handleAnswerChange(e.target.value ? { type: 'date', mode, value: e.target.value } : null)}
+            onBlur={commitCurrentAnswer}
             className="form-input"
           />
         );
+      }
+
+      case 'multi_select': {
+        const selected = answer ? answer.values : [];
+        const options = currentQuestion.allowOther
+          ? [...currentQuestion.options, OTHER_OPTION]
+          : currentQuestion.options;
+        return (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+            {options.map((option) => (
+              <div
+                key={option}
+                className={`option-card ${selected.includes(option) ? 'selected' : ''}`}
+                onClick={() => handleMultiSelectToggle(option)}
+              >
+                <div className="option-checkbox"></div>
+                {option === OTHER_OPTION ? 'Other (specify)' : option}
+              </div>
+            ))}
+            {selected.includes(OTHER_OPTION) && (
+              <input
+                type="text"
+                placeholder="Specify other"
+                value={answer.other || ''}
+                onChange={(e) => handleAnswerChange({ ...answer, other: e.target.value })}
+                onBlur={commitCurrentAnswer}
+                className="form-input"
+              />
+            )}
+          </div>
+        );
+      }
+
+      case 'likert': {
+        const points = getLikertPoints(currentQuestion);
+        const hasLabels = Array.isArray(currentQuestion.labels);
+        return (
+          <div>
+            <div className="likert-scale">
+              {points.map(point => (
+                <button
+                  key={point.value}
+                  className={`likert-point ${answer && answer.value === point.value ? 'selected' : ''}`}
+                  onClick={() => handleAnswerChange({ type: 'likert', value: point.value, label: point.label })}
+                >
+                  <span className="likert-value">{point.value}</span>
+                  {hasLabels && <span className="likert-label">{point.label}</span>}
+                </button>
+              ))}
+            </div>
+            {!hasLabels && (currentQuestion.minLabel || currentQuestion.maxLabel) && (
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', color: '#6b7280' }}>
+                <span>{currentQuestion.minLabel}</span>
+                <span>{currentQuestion.maxLabel}</span>
+              </div>
+            )}
+          </div>
+        );
+      }
 
-      case 'audio':
+      case 'gps_point':
         return (
           <div className="media-capture">
             <button
-              className={`capture-button record-button ${isRecording ? 'recording' : ''}`}
-              onClick={isRecording ? stopRecording : startRecording}
+              className="capture-button camera-button"
+              onClick={handleGpsCapture}
+              disabled={isLocating}
             >
-              <i className={`fas ${isRecording ? 'fa-stop' : 'fa-microphone'}`}></i>
+              <i className={`fas ${isLocating ? 'fa-spinner fa-spin' : 'fa-map-marker-alt'}`}></i>
             </button>
-            <div className={`media-status ${answer ? 'recorded' : ''}`}>
-              {isRecording ? (
-                `Recording... ${formatTime(recordingTime)}`
+            <div className={`media-status ${answer && !locateError ? 'recorded' : ''}`}>
+              {isLocating ? (
+                'Getting location...'
+              ) : locateError ? (
+                locateError
               ) : answer ? (
-                'Audio recorded successfully'
+                `Location captured: ${answer.latitude.toFixed(5)}, ${answer.longitude.toFixed(5)} (±${Math.round(answer.accuracy)} m)`
               ) : (
-                'Press the button below to record your response'
+                'Press the button to capture the current location'
               )}
             </div>
-            {answer && (
-              <div style={{ marginTop: '1rem' }}>
-                <audio controls>
-                  <source src={answer.url} type="audio/wav" />
-                </audio>
+            {answer && !isLocating && (
+              <button className="btn btn-secondary" onClick={() => handleAnswerChange(null)} style={{ marginTop: '0.75rem' }}>
+                Clear
+              </button>
+            )}
+          </div>
+        );
+
+      case 'barcode':
+        return (
+          <div>
+            {isScanning ? (
+              <>
+                <BarcodeScanner formats={currentQuestion.formats} onScan={handleBarcodeScan} />
+                <button className="btn btn-secondary btn-full" onClick={() => setIsScanning(false)}>
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <div className="media-capture">
+                <button className="capture-button camera-button" onClick={() => setIsScanning(true)}>
+                  <i className="fas fa-qrcode"></i>
+                </button>
+                <div className={`media-status ${answer ? 'recorded' : ''}`}>
+                  {answer
+                    ? `Code ${answer.source === 'scan' ? 'scanned' : 'entered'}`
+                    : 'Scan the code, or type it below'}
+                </div>
               </div>
             )}
+            <input
+              type="text"
+              placeholder="Enter code manually"
+              value={answer ? answer.value : ''}
+              onChange={(e) => handleBarcodeEntry(e.target.value)}
+              onBlur={commitCurrentAnswer}
+              className="form-input"
+            />
+          </div>
+        );
+
+      case 'audio': {
+        const { minDurationSec, maxDurationSec } = getDurationLimits(currentQuestion);
+        return (
+          <div className="media-capture">
+            {(!answer || isRecording) && (
+              <button
+                className={`capture-button record-button ${isRecording ? 'recording' : ''} ${isPaused ? 'paused' : ''}`}
+                onClick={isRecording ? stopRecording : startRecording}
+              >
+                <i className={`fas ${isRecording ? 'fa-stop' : 'fa-microphone'}`}></i>
+              </button>
+            )}
+            <div className={`media-status ${answer && !isRecording ? 'recorded' : ''}`}>
+              {isRecording ? (
+                `${isPaused ? 'Paused' : 'Recording...'} ${formatTime(recordingTime)} / ${formatTime(maxDurationSec)}`
+              ) : answer ? (
+                `Audio recorded successfully${answer.durationSec ? ` (${formatTime(Math.round(answer.durationSec))})` : ''}`
+              ) : minDurationSec > 0 ? (
+                `Press the button below to record your response (${formatTime(minDurationSec)} - ${formatTime(maxDurationSec)})`
+              ) : (
+                `Press the button below to record your response (up to ${formatTime(maxDurationSec)})`
+              )}
+            </div>
+            {isRecording && (
+              <>
+                <div className="level-meter">
+                  <div className="level-meter-fill" style={{ width: `${Math.round(audioLevel * 100)}%` }} />
+                </div>
+                <button className="btn btn-secondary" onClick={togglePauseRecording}>
+                  {isPaused ? 'Resume' : 'Pause'}
+                </button>
+              </>
+            )}
+            {answer && !isRecording && (
+              <>
+                <div style={{ marginTop: '1rem' }}>
+                  <audio controls src={answer.url} />
+                </div>
+                <button className="btn btn-secondary" onClick={startRecording}>
+                  Re-record
+                </button>
+              </>
+            )}
           </div>
         );
+      }
 
       case 'photo':
+        if (isCapturingPhoto) {
+          return (
+            <div>
+              <CameraCapture onCapture={handlePhotoCapture} disabled={isLoading} />
+              <button className="btn btn-secondary btn-full" onClick={() => setIsCapturingPhoto(false)}>
+                Cancel
+              </button>
+            </div>
+          );
+        }
+
         return (
           <div className="media-capture">
-            <button
-              className="capture-button camera-button"
-              onClick={handlePhotoCapture}
-            >
-              <i className="fas fa-camera"></i>
-            </button>
+            {!answer && (
+              <button
+                className="capture-button camera-button"
+                onClick={() => setIsCapturingPhoto(true)}
+              >
+                <i className="fas fa-camera"></i>
+              </button>
+            )}
             <div className={`media-status ${answer ? 'recorded' : ''}`}>
               {answer ? (
                 'Photo taken successfully'
@@ -291,11 +944,21 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
               )}
             </div>
             {answer && (
-              <img 
-                src={answer.url} 
-                alt="Captured" 
-                className="photo-preview"
-              />
+              <>
+                <img 
+                  src={answer.url} 
+                  alt="Captured" 
+                  className="photo-preview"
+                />
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                  <button className="btn btn-secondary" onClick={() => setIsCapturingPhoto(true)}>
+                    Retake
+                  </button>
+                  <button className="btn btn-secondary" onClick={handlePhotoDelete}>
+                    Delete
+                  </button>
+                </div>
+              </>
             )}
           </div>
         );
@@ -305,11 +968,175 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
     }
   };
 
+  if (!form) {
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <button className="btn btn-secondary" onClick={onBack}>
+            Back
+          </button>
+          <div className="location-badge">
+            <i className="fas fa-map-marker-alt"></i>
+            {survey.location}
+          </div>
+        </div>
+
+        <div className="question-container">
+          {formError ? (
+            <div style={{ 
+              backgroundColor: '#fef2f2', 
+              color: '#b91c1c',
+              padding: '0.75rem',
+              borderRadius: '0.375rem',
+              fontSize: '0.875rem'
+            }}>
+              <strong>Questionnaire unavailable:</strong> {formError}
+            </div>
+          ) : (
+            <div style={{ padding: '1rem', textAlign: 'center', color: '#6b7280' }}>
+              Loading questionnaire...
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (geofenceCheck) {
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <button className="btn btn-secondary" onClick={onBack}>
+            Back
+          </button>
+          <div className="location-badge">
+            <i className="fas fa-map-marker-alt"></i>
+            {survey.location}
+          </div>
+        </div>
+
+        <div className="question-container">
+          <div style={{ 
+            backgroundColor: '#fffbeb', 
+            color: '#92400e',
+            padding: '0.75rem',
+            borderRadius: '0.375rem',
+            marginBottom: '1rem',
+            fontSize: '0.875rem'
+          }}>
+            <strong>Outside survey area:</strong> You appear to be {formatDistance(geofenceCheck.outsideByMeters)} outside
+            the assigned area for {survey.location}. Interviews conducted outside the area are flagged for review.
+          </div>
+          <div style={{ display: 'flex', gap: '0.75rem' }}>
+            <button className="btn btn-secondary" onClick={onBack} style={{ flex: 1 }}>
+              Go Back
+            </button>
+            <button className="btn btn-primary" onClick={handleGeofenceOverride} style={{ flex: 1 }}>
+              Start Anyway
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (environmentPhotoStage) {
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <button className="btn btn-secondary" onClick={environmentPhotoStage === 'start' ? handleBack : () => setEnvironmentPhotoStage(null)}>
+            Back
+          </button>
+          <div className="location-badge">
+            <i className="fas fa-map-marker-alt"></i>
+            {survey.location}
+          </div>
+        </div>
+
+        <div className="question-container">
+          <h2 className="question-title">
+            Take a photo of the interview surroundings
+            {verificationService.environmentPhotoConfig.required && (
+              <span style={{ color: '#ef4444', marginLeft: '0.25rem' }}>*</span>
+            )}
+          </h2>
+          <div className="info-box">
+            <i className="fas fa-info-circle"></i>
+            <p>
+              {environmentPhotoStage === 'start'
+                ? 'Before you begin, photograph the place where the interview takes place.'
+                : 'Before you finish, photograph the place where the interview took place.'}
+              {' '}The photo is stored with your location for verification.
+            </p>
+          </div>
+
+          <CameraCapture onCapture={handleEnvironmentPhoto} disabled={isLoading} />
+
+          {!verificationService.environmentPhotoConfig.required && (
+            <button className="btn btn-secondary btn-full" onClick={handleEnvironmentPhotoSkip}>
+              Skip
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (qualityPreview) {
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <button className="btn btn-secondary" onClick={() => setQualityPreview(null)}>
+            Back
+          </button>
+          <div className="location-badge">
+            <i className="fas fa-map-marker-alt"></i>
+            {survey.location}
+          </div>
+        </div>
+
+        <div style={{ padding: '1rem' }}>
+          <div className="card">
+            <h2 style={{ fontSize: '1.125rem', fontWeight: '600', margin: '0 0 0.5rem 0' }}>
+              Review before completing
+            </h2>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+              <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>{qualityPreview.score}</div>
+              <QualityBadge quality={qualityPreview} />
+            </div>
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0.5rem 0 0 0' }}>
+              Expected quality score. Go back to fix any issues while you are still with the respondent.
+            </p>
+          </div>
+
+          <QualityReasons quality={qualityPreview} />
+        </div>
+
+        <div className="nav-buttons">
+          <button className="btn btn-secondary" onClick={() => setQualityPreview(null)} disabled={isLoading}>
+            Fix Issues
+          </button>
+          <button
+            className="btn btn-success"
+            onClick={() => handleComplete({ reviewed: true })}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Saving...' : 'Complete Survey'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Checked on every change; missing required answers only show after Next
+  const validation = checkAnswer(currentQuestion, answers, { requireAnswer: showRequired, flag: getFlag(currentQuestion.id) });
+  const questionNote = notes[currentQuestion.id] || { note: '', flag: null };
+
   return (
     <div className="app-container">
       {/* Header */}
       <div className="app-header">
-        <button className="btn btn-secondary" onClick={onBack}>
+        <button className="btn btn-secondary" onClick={handleBack}>
           Back
         </button>
         <div className="location-badge">
@@ -323,7 +1150,7 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
         <div className="progress-bar" style={{ width: `${progress}%` }}></div>
       </div>
       <div className="progress-text">
-        Question {currentQuestionIndex + 1} of {questions.length}
+        Question {questionNumber} of {relevantQuestions.length}
       </div>
 
       {/* Question */}
@@ -336,6 +1163,59 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
         </h2>
         
         {renderQuestionInput()}
+        {validation.errors.map(error => (
+          <div key={error.rule} className="validation-error">
+            <i className="fas fa-exclamation-circle"></i> {error.message}
+          </div>
+        ))}
+        {validation.warnings.map(warning => (
+          <div key={warning.rule} className="validation-warning">
+            <div>
+              <i className="fas fa-exclamation-triangle"></i> {warning.message}
+            </div>
+            <input
+              type="text"
+              placeholder={formatMessage('overrideReason')}
+              value={getOverrideReason(currentQuestion.id, warning.rule)}
+              onChange={(e) => handleOverrideReason(warning.rule, e.target.value)}
+              className="form-input"
+            />
+            {showRequired && !getOverrideReason(currentQuestion.id, warning.rule).trim() && (
+              <div style={{ color: '#b91c1c', marginTop: '0.25rem' }}>
+                {formatMessage('overrideRequired')}
+              </div>
+            )}
+          </div>
+        ))}
+
+        {/* Surveyor's note and flag for this question */}
+        <div className="question-note">
+          <div className="note-flags">
+            {Object.entries(ANSWER_FLAGS).map(([flag, { label }]) => (
+              <button
+                key={flag}
+                className={`note-flag ${questionNote.flag === flag ? 'selected' : ''}`}
+                onClick={() => updateQuestionNote({ flag: questionNote.flag === flag ? null : flag })}
+              >
+                {label}
+              </button>
+            ))}
+            {!isEditingNote && !questionNote.note && (
+              <button className="note-flag" onClick={() => setIsEditingNote(true)}>
+                <i className="fas fa-sticky-note"></i> Add note
+              </button>
+            )}
+          </div>
+          {(isEditingNote || questionNote.note) && (
+            <textarea
+              placeholder="Note about this question (not read to the respondent)"
+              value={questionNote.note}
+              onChange={(e) => updateQuestionNote({ note: e.target.value })}
+              className="form-input"
+              style={{ minHeight: '60px', marginTop: '0.5rem' }}
+            />
+          )}
+        </div>
       </div>
 
       {/* Navigation */}
@@ -343,16 +1223,16 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
         <button
           className="btn btn-secondary"
           onClick={handlePrevious}
-          disabled={currentQuestionIndex === 0}
+          disabled={findRelevantIndex(questions, answers, currentQuestionIndex, -1) === -1}
         >
           Previous
         </button>
         
-        {currentQuestionIndex === questions.length - 1 ? (
+        {isLastQuestion ? (
           <button
             className="btn btn-success"
-            onClick={handleComplete}
-            disabled={!canProceed() || isLoading}
+            onClick={() => handleComplete()}
+            disabled={isLoading}
           >
             {isLoading ? 'Saving...' : 'Complete Survey'}
           </button>
@@ -360,7 +1240,6 @@ export default function SurveyScreen({ survey, onComplete, onBack, verificationS
           <button
             className="btn btn-primary"
             onClick={handleNext}
-            disabled={!canProceed()}
           >
             Next
           </button>
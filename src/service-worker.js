@@ -0,0 +1,260 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * GroundTruth AI Service Worker
+ *
+ * Handles Background Sync for survey packets:
+ * - Delegates to an open app window when there is one and waits for its
+ *   reply, so a failed sync rejects and the browser retries it
+ * - Otherwise uploads pending packets itself, so data queued in a dead zone
+ *   leaves the device once connectivity returns even if the tab was closed
+ *
+ * Built by react-scripts (workbox InjectManifest) in production builds.
+ */
+
+import { createTransport, buildPacketKey, serializePacket, TransportError } from './services/SyncTransports';
+import { verifyPacket } from './services/packetSigning';
+import { nextRetryRecord, computeBackoffDelay, isBackingOff, DEFAULT_RETRY_POLICY } from './services/syncRetry';
+
+// Injection point required by the InjectManifest build step (no precaching yet)
+// eslint-disable-next-line no-unused-vars
+const precacheManifest = self.__WB_MANIFEST;
+
+const SYNC_TAG = 'groundtruth-sync';
+const CONFIG_CACHE = 'groundtruth-sync-config';
+const CONFIG_URL = '/__groundtruth/sync-config.json';
+
+// Browsers end a sync event after a few minutes; give up on the window first
+const WINDOW_SYNC_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Must match StorageService
+const DB_NAME = 'GroundTruthSurveyorDB';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SYNC_CONFIG') {
+    event.waitUntil(saveSyncConfig(event.data.config));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(handleBackgroundSync());
+  }
+});
+
+/**
+ * Let an open window run the full SyncService; upload directly otherwise.
+ * Rejects when the window's sync fails or it does not answer, so the
+ * browser reschedules the event.
+ */
+async function handleBackgroundSync() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  if (windows.length > 0) {
+    const client = windows.find(candidate => candidate.focused) || windows[0];
+    const reply = await requestWindowSync(client);
+    if (reply.ok) return;
+
+    // Nobody is signed in there; upload what needs no keys instead
+    if (!reply.locked) {
+      throw new Error(`Background sync in the app failed: ${reply.error}`);
+    }
+  }
+
+  await uploadPendingPackets();
+}
+
+/**
+ * Ask a window to sync and wait for its reply ({ ok, locked, error, result })
+ * on a MessageChannel
+ */
+function requestWindowSync(client) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      reject(new Error('The app window did not answer the background sync request'));
+    }, WINDOW_SYNC_TIMEOUT_MS);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      resolve(event.data || { ok: false, error: 'Empty reply' });
+    };
+    client.postMessage({ type: 'BACKGROUND_SYNC' }, [channel.port2]);
+  });
+}
+
+/**
+ * Upload pending packets straight from IndexedDB. Rejecting makes the
+ * browser reschedule the sync event with its own backoff.
+ */
+async function uploadPendingPackets() {
+  const config = await loadSyncConfig();
+  if (!config) {
+    console.log('Background sync skipped: no sync configuration received yet');
+    return;
+  }
+
+  const db = await openDatabase();
+  if (!db) return;
+
+  try {
+    const transport = createTransport(config);
+    const packets = await getAllByIndex(db, 'surveyPackets', 'syncStatus', 'pending');
+    const hasRetryStore = db.objectStoreNames.contains('syncRetries');
+    let synced = 0;
+    let failed = 0;
+
+    for (const packet of packets) {
+      // Encrypted packets need the keys of a signed-in surveyor, which never
+      // leave the app's memory, and media needs its resumable chunked upload;
+      // leave those packets to the next sign-in
+      if (packet.sealed || hasMediaAnswers(packet)) {
+        continue;
+      }
+
+      const retry = hasRetryStore ? await getRecord(db, 'syncRetries', packet.surveyId) : null;
+      if (isBackingOff(retry)) {
+        continue;
+      }
+
+      try {
+        // Same integrity gate as SyncService.uploadPacket: a signed packet
+        // edited since completion is never uploaded
+        const integrity = await verifyPacket(packet);
+        if (integrity.signed && !integrity.valid) {
+          throw new TransportError(`Packet failed integrity verification: ${integrity.reason}`, { retryable: false });
+        }
+
+        const upload = await transport.upload({
+          key: buildPacketKey(packet),
+          body: serializePacket(packet),
+          contentType: 'application/json'
+        });
+
+        await putRecord(db, 'surveyPackets', {
+          ...packet,
+          syncStatus: 'synced',
+          syncedAt: new Date().toISOString(),
+          syncDetails: { remoteKey: upload.key, etag: upload.etag }
+        });
+        if (retry) {
+          await deleteRecord(db, 'syncRetries', packet.surveyId);
+        }
+        synced++;
+      } catch (error) {
+        console.error(`Background upload failed for ${packet.surveyId}:`, error);
+        failed++;
+        if (hasRetryStore) {
+          await recordFailure(db, packet, retry, error, config);
+        }
+      }
+    }
+
+    await notifyClients({ type: 'BACKGROUND_SYNC_COMPLETE', result: { synced, failed } });
+
+    if (failed > 0) {
+      throw new Error(`${failed} packet(s) failed to upload in background sync`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Persist a failed attempt like SyncService.recordFailure: back off, and
+ * mark the packet failed once retries are exhausted
+ */
+async function recordFailure(db, packet, previous, error, config) {
+  const retryPolicy = config.retryPolicy || DEFAULT_RETRY_POLICY;
+  const { record, terminal } = nextRetryRecord(packet.surveyId, previous, error, {
+    maxRetries: config.maxRetries,
+    backoff: attempt => computeBackoffDelay(attempt, retryPolicy)
+  });
+
+  await putRecord(db, 'syncRetries', record);
+  if (terminal) {
+    await putRecord(db, 'surveyPackets', {
+      ...packet,
+      syncStatus: 'failed',
+      failedAt: new Date().toISOString(),
+      lastSyncError: error.message
+    });
+  }
+}
+
+function hasMediaAnswers(packet) {
+  return Array.isArray(packet.attachments) && packet.attachments.length > 0;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+async function saveSyncConfig(config) {
+  const cache = await caches.open(CONFIG_CACHE);
+  await cache.put(CONFIG_URL, new Response(JSON.stringify(config), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+async function loadSyncConfig() {
+  const cache = await caches.open(CONFIG_CACHE);
+  const response = await cache.match(CONFIG_URL);
+  return response ? response.json() : null;
+}
+
+// IndexedDB helpers (the app's StorageService depends on window)
+function openDatabase() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME);
+
+    // Never create or upgrade the schema from here; that is StorageService's job
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => resolve(null);
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('surveyPackets')) {
+        db.close();
+        resolve(null);
+        return;
+      }
+      resolve(db);
+    };
+  });
+}
+
+function runRequest(db, storeName, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], mode);
+    const request = operation(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getAllByIndex(db, storeName, indexName, value) {
+  return runRequest(db, storeName, 'readonly', store => store.index(indexName).getAll(value));
+}
+
+function getRecord(db, storeName, key) {
+  return runRequest(db, storeName, 'readonly', store => store.get(key));
+}
+
+function putRecord(db, storeName, value) {
+  return runRequest(db, storeName, 'readwrite', store => store.put(value));
+}
+
+function deleteRecord(db, storeName, key) {
+  return runRequest(db, storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,33 @@
+/**
+ * Service worker registration
+ *
+ * Registers the production service worker (src/service-worker.js), which
+ * provides Background Sync uploads for queued survey packets.
+ */
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    navigator.serviceWorker
+      .register(swUrl)
+      .then((registration) => {
+        console.log('Service worker registered:', registration.scope);
+      })
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+}
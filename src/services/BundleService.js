@@ -0,0 +1,357 @@
+/**
+ * GroundTruth AI Bundle Service
+ *
+ * This service handles device-to-device handover without connectivity:
+ * - Export of all unsynced packets plus their media into one
+ *   self-describing bundle file (manifest, checksums, verification data)
+ * - Encryption of the bundle file with a passphrase (PBKDF2 + AES-GCM), so
+ *   answers, locations and media never leave the device in plaintext
+ * - Validation and import of a bundle on another device, deduplicated by
+ *   packet ID and queued for that device's SyncService
+ */
+
+import StorageService from './StorageService';
+import SyncService from './SyncService';
+import { computeChecksum, blobToBase64, base64ToBlob, bufferToBase64, base64ToBuffer } from './mediaUtils';
+
+const BUNDLE_FORMAT = 'groundtruth-survey-bundle';
+// Version 2 files are encrypted; version 1 files were plaintext
+const BUNDLE_VERSION = 2;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+class BundleService {
+  constructor() {
+    this.pbkdf2Iterations = 310000;
+  }
+
+  /**
+   * Build a bundle of every pending/failed packet and its media. Throws if
+   * any referenced attachment is missing: the answers are covered by the
+   * packet signature, so the packet cannot be rewritten without it, and the
+   * receiving device would reject the whole bundle.
+   */
+  async exportBundle({ exportedBy = null } = {}) {
+    const packets = await StorageService.getUnsyncedPackets();
+    const media = [];
+    const missing = [];
+
+    for (const packet of packets) {
+      for (const attachmentId of packet.attachments || []) {
+        const record = await StorageService.getMedia(attachmentId);
+        if (!record) {
+          missing.push(`${attachmentId} (survey ${packet.surveyId})`);
+          continue;
+        }
+
+        const { blob, ...attachment } = record;
+        media.push({
+          ...attachment,
+          checksum: attachment.checksum || await computeChecksum(blob),
+          data: await blobToBase64(blob)
+        });
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`Cannot export: media missing from this device: ${missing.join(', ')}`);
+    }
+
+    const exportedPackets = packets.map(packet => ({
+      ...packet,
+      // Sync bookkeeping belongs to this device, not the receiving one
+      syncStatus: 'pending',
+      syncDetails: undefined,
+      failedAt: undefined,
+      lastSyncError: undefined
+    }));
+
+    const manifest = {
+      bundleId: StorageService.generateId(),
+      createdAt: new Date().toISOString(),
+      exportedBy,
+      packetCount: exportedPackets.length,
+      mediaCount: media.length,
+      packets: await Promise.all(exportedPackets.map(async packet => ({
+        surveyId: packet.surveyId,
+        completedAt: packet.completedAt,
+        attachments: packet.attachments || [],
+        verificationHash: packet.verification ? packet.verification.verificationHash : null,
+        checksum: await this.computeJSONChecksum(packet)
+      }))),
+      media: media.map(({ id, surveyId, mimeType, size, checksum }) => ({
+        id, surveyId, mimeType, size, checksum
+      }))
+    };
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      manifest,
+      manifestChecksum: await this.computeJSONChecksum(manifest),
+      packets: exportedPackets,
+      media
+    };
+
+    console.log(`Bundle exported: ${manifest.packetCount} packet(s), ${manifest.mediaCount} media file(s)`);
+    return bundle;
+  }
+
+  /**
+   * Export a bundle encrypted with `passphrase` as a file Blob
+   */
+  async createBundleFile({ passphrase, ...options } = {}) {
+    this.assertPassphrase(passphrase);
+
+    const bundle = await this.exportBundle(options);
+    if (bundle.manifest.packetCount === 0) {
+      throw new Error('No unsynced surveys to export');
+    }
+
+    const file = new Blob([JSON.stringify(await this.encryptBundle(bundle, passphrase))], { type: 'application/json' });
+    return { file, manifest: bundle.manifest };
+  }
+
+  /**
+   * Export an encrypted bundle and offer it as a file download; marks
+   * packets as exported. The passphrase must reach the receiving supervisor
+   * by another channel than the file.
+   */
+  async downloadBundle(options = {}) {
+    const { file, manifest } = await this.createBundleFile(options);
+
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `groundtruth-bundle-${manifest.createdAt.slice(0, 10)}-${manifest.bundleId}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    const exportedAt = new Date().toISOString();
+    for (const packet of manifest.packets) {
+      await StorageService.updatePacketSyncState(packet.surveyId, { exportedAt });
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Validate and import a bundle (File/Blob or parsed object), decrypting it
+   * with `passphrase`. Packets whose ID already exists on this device are
+   * skipped.
+   */
+  async importBundle(source, { passphrase = null } = {}) {
+    const bundle = await this.openBundle(await this.readBundle(source), passphrase);
+    await this.validateBundle(bundle);
+
+    const mediaById = new Map(bundle.media.map(item => [item.id, item]));
+    const result = { bundleId: bundle.manifest.bundleId, imported: [], duplicates: [], errors: [] };
+
+    for (const packet of bundle.packets) {
+      try {
+        if (await StorageService.hasSurveyPacket(packet.surveyId)) {
+          result.duplicates.push(packet.surveyId);
+          continue;
+        }
+
+        // Media first, so a stored packet never references missing attachments
+        for (const attachmentId of packet.attachments || []) {
+          const { data, ...attachment } = mediaById.get(attachmentId);
+          await StorageService.importMedia(attachment, base64ToBlob(data, attachment.mimeType));
+        }
+
+        await StorageService.saveSurveyPacket({
+          ...packet,
+          importedFrom: {
+            bundleId: bundle.manifest.bundleId,
+            exportedBy: bundle.manifest.exportedBy,
+            exportedAt: bundle.manifest.createdAt,
+            importedAt: new Date().toISOString()
+          }
+        });
+        result.imported.push(packet.surveyId);
+      } catch (error) {
+        console.error(`Failed to import packet ${packet.surveyId}:`, error);
+        result.errors.push({ surveyId: packet.surveyId, error: error.message });
+      }
+    }
+
+    if (result.imported.length > 0) {
+      SyncService.requestSync();
+    }
+
+    console.log('Bundle import completed:', result);
+    return result;
+  }
+
+  /**
+   * Parse a bundle from a File/Blob, JSON string or object
+   */
+  async readBundle(source) {
+    if (source && typeof source === 'object' && !(source instanceof Blob)) {
+      return source;
+    }
+
+    const text = source instanceof Blob ? await source.text() : source;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error('Invalid bundle: file is not valid JSON');
+    }
+  }
+
+  /**
+   * Decrypt an encrypted bundle file; plaintext version 1 bundles from older
+   * app versions pass through
+   */
+  async openBundle(file, passphrase) {
+    if (!file || file.format !== BUNDLE_FORMAT) {
+      throw new Error('Invalid bundle: not a GroundTruth survey bundle');
+    }
+    if (!file.encryption) {
+      if (file.version > 1) {
+        throw new Error('Invalid bundle: encryption details are missing');
+      }
+      return file;
+    }
+    if (!passphrase) {
+      throw new Error('This bundle is encrypted: enter its passphrase');
+    }
+
+    const { salt, iterations, iv } = file.encryption;
+    const key = await this.deriveBundleKey(passphrase, new Uint8Array(base64ToBuffer(salt)), iterations);
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: new Uint8Array(base64ToBuffer(iv)) },
+        key,
+        base64ToBuffer(file.ciphertext)
+      );
+    } catch (error) {
+      // AES-GCM authentication fails for a wrong passphrase or a modified file
+      throw new Error('Invalid bundle: wrong passphrase or the file was modified');
+    }
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Wrap a bundle in an encrypted file: only the format and version stay
+   * readable without the passphrase
+   */
+  async encryptBundle(bundle, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveBundleKey(passphrase, salt, this.pbkdf2Iterations);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(bundle))
+    );
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      encryption: {
+        algorithm: 'AES-GCM',
+        kdf: 'PBKDF2-SHA-256',
+        salt: bufferToBase64(salt),
+        iterations: this.pbkdf2Iterations,
+        iv: bufferToBase64(iv)
+      },
+      ciphertext: bufferToBase64(ciphertext)
+    };
+  }
+
+  async deriveBundleKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  assertPassphrase(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Choose a bundle passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Check format, manifest consistency and every checksum; throws on the
+   * first problem found
+   */
+  async validateBundle(bundle) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      throw new Error('Invalid bundle: not a GroundTruth survey bundle');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new Error(`Invalid bundle: version ${bundle.version} is newer than this app supports`);
+    }
+    if (!bundle.manifest || !Array.isArray(bundle.packets) || !Array.isArray(bundle.media)) {
+      throw new Error('Invalid bundle: missing manifest, packets or media');
+    }
+
+    if (await this.computeJSONChecksum(bundle.manifest) !== bundle.manifestChecksum) {
+      throw new Error('Invalid bundle: manifest checksum mismatch');
+    }
+
+    const { manifest } = bundle;
+    if (manifest.packetCount !== bundle.packets.length || manifest.mediaCount !== bundle.media.length) {
+      throw new Error('Invalid bundle: contents do not match the manifest');
+    }
+
+    const packetEntries = new Map(manifest.packets.map(entry => [entry.surveyId, entry]));
+    for (const packet of bundle.packets) {
+      const entry = packetEntries.get(packet.surveyId);
+      if (!entry) {
+        throw new Error(`Invalid bundle: packet ${packet.surveyId} is not in the manifest`);
+      }
+      if (await this.computeJSONChecksum(packet) !== entry.checksum) {
+        throw new Error(`Invalid bundle: packet ${packet.surveyId} failed its checksum`);
+      }
+    }
+
+    const mediaEntries = new Map(manifest.media.map(entry => [entry.id, entry]));
+    for (const item of bundle.media) {
+      const entry = mediaEntries.get(item.id);
+      if (!entry) {
+        throw new Error(`Invalid bundle: media ${item.id} is not in the manifest`);
+      }
+      const checksum = await computeChecksum(base64ToBlob(item.data, item.mimeType));
+      if (checksum !== entry.checksum) {
+        throw new Error(`Invalid bundle: media ${item.id} failed its checksum`);
+      }
+    }
+
+    for (const packet of bundle.packets) {
+      const missing = (packet.attachments || []).filter(id => !mediaEntries.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Invalid bundle: packet ${packet.surveyId} references missing media ${missing.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * SHA-256 of a value's JSON form (as it appears in the bundle file)
+   */
+  computeJSONChecksum(value) {
+    const json = JSON.stringify(value);
+    return computeChecksum(new Blob([json], { type: 'application/json' }));
+  }
+}
+
+// Export singleton instance
+export default new BundleService();
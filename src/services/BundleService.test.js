@@ -0,0 +1,134 @@
+import BundleService from './BundleService';
+import StorageService from './StorageService';
+import SyncService from './SyncService';
+import { blobToBase64 } from './mediaUtils';
+
+const PASSPHRASE = 'handover-2024';
+
+function packet(surveyId, extra = {}) {
+  return {
+    surveyId,
+    status: 'completed',
+    syncStatus: 'pending',
+    completedAt: '2024-03-05T12:00:00.000Z',
+    answers: { q1: 'Secret answer', q2: { attachmentId: `${surveyId}_q2`, mimeType: 'image/jpeg' } },
+    attachments: [`${surveyId}_q2`],
+    location: { latitude: 0.3476, longitude: 32.5825 },
+    ...extra
+  };
+}
+
+// In-memory stand-ins for the sending and receiving devices
+function mockDevices({ packets = [] } = {}) {
+  const received = { packets: new Map(), media: new Map() };
+
+  jest.spyOn(StorageService, 'getUnsyncedPackets').mockResolvedValue(packets);
+  jest.spyOn(StorageService, 'getMedia').mockImplementation(async id => ({
+    id,
+    surveyId: id.split('_')[0],
+    mimeType: 'image/jpeg',
+    size: 5,
+    checksum: null,
+    blob: new Blob(['photo'], { type: 'image/jpeg' })
+  }));
+  jest.spyOn(StorageService, 'generateId').mockReturnValue('bundle-1');
+  jest.spyOn(StorageService, 'hasSurveyPacket').mockImplementation(async id => received.packets.has(id));
+  jest.spyOn(StorageService, 'importMedia').mockImplementation(async (attachment, blob) => {
+    received.media.set(attachment.id, blob);
+  });
+  jest.spyOn(StorageService, 'saveSurveyPacket').mockImplementation(async saved => {
+    received.packets.set(saved.surveyId, saved);
+  });
+  jest.spyOn(SyncService, 'requestSync').mockResolvedValue(null);
+
+  return received;
+}
+
+beforeEach(() => {
+  BundleService.pbkdf2Iterations = 1000;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('BundleService encryption', () => {
+  test('the exported file reveals no answers, locations or media', async () => {
+    mockDevices({ packets: [packet('s1')] });
+
+    const { file, manifest } = await BundleService.createBundleFile({ exportedBy: 'alice@example.org', passphrase: PASSPHRASE });
+    const text = await file.text();
+    const contents = JSON.parse(text);
+
+    expect(manifest).toMatchObject({ packetCount: 1, mediaCount: 1 });
+    expect(Object.keys(contents).sort()).toEqual(['ciphertext', 'encryption', 'format', 'version']);
+    expect(contents.encryption).toMatchObject({ algorithm: 'AES-GCM', kdf: 'PBKDF2-SHA-256', iterations: 1000 });
+    ['Secret answer', '32.5825', 'alice@example.org', await blobToBase64(new Blob(['photo']))].forEach(secret => {
+      expect(text).not.toContain(secret);
+    });
+  });
+
+  test('imports with the right passphrase', async () => {
+    const received = mockDevices({ packets: [packet('s1'), packet('s2')] });
+    const { file } = await BundleService.createBundleFile({ passphrase: PASSPHRASE });
+
+    const result = await BundleService.importBundle(file, { passphrase: PASSPHRASE });
+
+    expect(result).toMatchObject({ bundleId: 'bundle-1', imported: ['s1', 's2'], duplicates: [], errors: [] });
+    expect(received.packets.get('s1').answers.q1).toBe('Secret answer');
+    expect(await received.media.get('s1_q2').text()).toBe('photo');
+  });
+
+  test('rejects a missing or wrong passphrase and a modified file', async () => {
+    mockDevices({ packets: [packet('s1')] });
+    const { file } = await BundleService.createBundleFile({ passphrase: PASSPHRASE });
+    const contents = JSON.parse(await file.text());
+
+    await expect(BundleService.importBundle(file)).rejects.toThrow('This bundle is encrypted: enter its passphrase');
+    await expect(BundleService.importBundle(file, { passphrase: 'not-the-one' }))
+      .rejects.toThrow('Invalid bundle: wrong passphrase or the file was modified');
+
+    const flipped = contents.ciphertext[0] === 'A' ? 'B' : 'A';
+    const tampered = { ...contents, ciphertext: `${flipped}${contents.ciphertext.slice(1)}` };
+    await expect(BundleService.importBundle(tampered, { passphrase: PASSPHRASE }))
+      .rejects.toThrow('Invalid bundle: wrong passphrase or the file was modified');
+    expect(StorageService.saveSurveyPacket).not.toHaveBeenCalled();
+  });
+
+  test('refuses to export without a strong enough passphrase', async () => {
+    mockDevices({ packets: [packet('s1')] });
+
+    await expect(BundleService.createBundleFile({ passphrase: 'short' }))
+      .rejects.toThrow('Choose a bundle passphrase of at least 8 characters');
+    expect(StorageService.getUnsyncedPackets).not.toHaveBeenCalled();
+  });
+
+  test('still imports plaintext version 1 bundles from older devices', async () => {
+    const received = mockDevices({ packets: [packet('s1')] });
+    const legacy = { ...(await BundleService.exportBundle()), version: 1 };
+
+    const result = await BundleService.importBundle(new Blob([JSON.stringify(legacy)]));
+
+    expect(result.imported).toEqual(['s1']);
+    expect(received.packets.has('s1')).toBe(true);
+  });
+
+  test('fails the export with a clear error when an attachment is missing', async () => {
+    mockDevices({ packets: [packet('s1'), packet('s2')] });
+    const getMedia = StorageService.getMedia.getMockImplementation();
+    StorageService.getMedia.mockImplementation(async id => (id === 's2_q2' ? null : getMedia(id)));
+
+    await expect(BundleService.createBundleFile({ passphrase: PASSPHRASE }))
+      .rejects.toThrow('Cannot export: media missing from this device: s2_q2 (survey s2)');
+  });
+
+  test('an unencrypted file claiming version 2 is rejected', async () => {
+    mockDevices({ packets: [packet('s1')] });
+    const plaintext = await BundleService.exportBundle();
+
+    await expect(BundleService.importBundle(plaintext, { passphrase: PASSPHRASE }))
+      .rejects.toThrow('Invalid bundle: encryption details are missing');
+  });
+});
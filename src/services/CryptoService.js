@@ -0,0 +1,451 @@
+/**
+ * GroundTruth AI Crypto Service
+ *
+ * This service handles encryption at rest for locally stored survey data:
+ * - Random AES-GCM data keys, wrapped with a random keyring master key
+ * - One key slot per surveyor on the device: the master key wrapped with a
+ *   key derived (PBKDF2) from that surveyor's credential, so every enrolled
+ *   surveyor can read the device's data and keys can rotate for all of them
+ * - Transparent encryption/decryption of JSON payloads and media Blobs
+ * - Data key rotation, enrolment of further surveyors and credential changes
+ * - Crypto-shredding of the keyring on wipe
+ *
+ * Unwrapped keys only live in memory while the surveyor is signed in.
+ */
+
+import { bufferToBase64, base64ToBuffer, bufferToHex } from './mediaUtils';
+
+export const KEYRING_ERROR_CODES = {
+  INVALID_CREDENTIAL: 'INVALID_CREDENTIAL',
+  NOT_ENROLLED: 'NOT_ENROLLED'
+};
+
+export class KeyringError extends Error {
+  constructor(message, { code = KEYRING_ERROR_CODES.INVALID_CREDENTIAL } = {}) {
+    super(message);
+    this.name = 'KeyringError';
+    this.code = code;
+  }
+}
+
+const KEYRING_VERSION = 2;
+
+class CryptoService {
+  constructor() {
+    this.keyringStorageKey = 'GroundTruthSurveyorDB_keyring';
+    this.pbkdf2Iterations = 310000;
+    this.masterKey = null;
+    this.keys = new Map(); // keyId -> non-extractable AES-GCM key
+    this.activeKeyId = null;
+    this.userId = null;
+  }
+
+  /**
+   * WebCrypto is only available in secure (HTTPS) contexts
+   */
+  isAvailable() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
+
+  isUnlocked() {
+    return this.activeKeyId !== null;
+  }
+
+  hasKeyring() {
+    return !!localStorage.getItem(this.keyringStorageKey);
+  }
+
+  /**
+   * Surveyors with a key slot on this device
+   */
+  getEnrolledUsers() {
+    const keyring = this.loadKeyring();
+    return keyring && keyring.version === KEYRING_VERSION ? Object.keys(keyring.slots) : [];
+  }
+
+  /**
+   * Unlock the keyring with a surveyor's credential, creating it on first
+   * use. Throws a KeyringError with code NOT_ENROLLED for a surveyor without
+   * a slot on this device, and INVALID_CREDENTIAL for a wrong credential.
+   */
+  async unlock(credential, userId) {
+    if (!this.isAvailable()) {
+      throw new Error('Secure storage requires a secure (HTTPS) context');
+    }
+
+    const keyring = this.loadKeyring();
+
+    if (!keyring) {
+      await this.createKeyring(credential, userId);
+      console.log('Encryption keyring created');
+      return;
+    }
+
+    if (keyring.version !== KEYRING_VERSION) {
+      await this.upgradeKeyring(keyring, credential, userId);
+      console.log('Encryption keyring upgraded to per-surveyor key slots');
+      return;
+    }
+
+    const masterKey = await this.openSlot(keyring, credential, userId, false);
+    await this.loadDataKeys(keyring, masterKey);
+    this.userId = userId;
+    console.log('Encryption keyring unlocked');
+  }
+
+  /**
+   * Forget all unwrapped keys (sign-out)
+   */
+  lock() {
+    this.masterKey = null;
+    this.keys = new Map();
+    this.activeKeyId = null;
+    this.userId = null;
+  }
+
+  /**
+   * Encrypt a JSON-serializable value into a storable envelope
+   */
+  async encryptJSON(value) {
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const { keyId, iv, ciphertext } = await this.encryptBuffer(plaintext);
+    return { keyId, iv, ciphertext: bufferToBase64(ciphertext) };
+  }
+
+  /**
+   * Decrypt an envelope produced by encryptJSON
+   */
+  async decryptJSON(envelope) {
+    const plaintext = await this.decryptBuffer(envelope, base64ToBuffer(envelope.ciphertext));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Encrypt a Blob; returns the ciphertext Blob and its envelope metadata
+   */
+  async encryptBlob(blob) {
+    const { keyId, iv, ciphertext } = await this.encryptBuffer(await blob.arrayBuffer());
+    return {
+      blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+      envelope: { keyId, iv }
+    };
+  }
+
+  /**
+   * Decrypt a ciphertext Blob produced by encryptBlob
+   */
+  async decryptBlob(blob, envelope, mimeType) {
+    const plaintext = await this.decryptBuffer(envelope, await blob.arrayBuffer());
+    return new Blob([plaintext], { type: mimeType });
+  }
+
+  /**
+   * Generate a new active data key. Data encrypted with older keys stays
+   * readable until `retireKey()` is called after re-encryption.
+   */
+  async rotateDataKey() {
+    this.assertUnlocked();
+
+    const keyring = this.loadKeyring();
+    const previousKeyId = keyring.activeKeyId;
+    await this.addDataKey(keyring);
+
+    console.log('Data key rotated:', this.activeKeyId);
+    return { previousKeyId, keyId: this.activeKeyId };
+  }
+
+  /**
+   * Remove a data key that no longer protects any data
+   */
+  retireKey(keyId) {
+    if (keyId === this.activeKeyId) {
+      throw new Error('Cannot retire the active data key');
+    }
+
+    const keyring = this.loadKeyring();
+    delete keyring.keys[keyId];
+    this.saveKeyring(keyring);
+    this.keys.delete(keyId);
+  }
+
+  /**
+   * Give a surveyor a key slot on this device. `sponsor` is an enrolled
+   * surveyor or supervisor ({ userId, credential }) who vouches for them;
+   * enrolling an existing surveyor again replaces their forgotten
+   * credential. Leaves the keyring unlocked for the new surveyor.
+   */
+  async enrolUser(credential, userId, sponsor) {
+    const keyring = this.loadKeyring();
+    if (!keyring) {
+      await this.unlock(credential, userId);
+      return;
+    }
+
+    if (keyring.version !== KEYRING_VERSION) {
+      await this.upgradeKeyring(keyring, sponsor.credential, sponsor.userId);
+    }
+
+    const current = this.loadKeyring();
+    const masterKey = await this.openSlot(current, sponsor.credential, sponsor.userId, true);
+    current.slots[userId] = await this.createSlot(masterKey, credential);
+    this.saveKeyring(current);
+
+    await this.loadDataKeys(current, await this.openSlot(current, credential, userId, false));
+    this.userId = userId;
+    console.log(`Surveyor ${userId} enrolled by ${sponsor.userId}`);
+  }
+
+  /**
+   * Re-wrap a surveyor's key slot under a new credential
+   */
+  async changeCredential(userId, currentCredential, newCredential) {
+    await this.unlock(currentCredential, userId);
+
+    const keyring = this.loadKeyring();
+    const masterKey = await this.openSlot(keyring, currentCredential, userId, true);
+    keyring.slots[userId] = await this.createSlot(masterKey, newCredential);
+    this.saveKeyring(keyring);
+    console.log('Key slot re-wrapped for new credential');
+  }
+
+  /**
+   * Destroy the keyring so any remaining ciphertext is unrecoverable
+   */
+  destroyKeyring() {
+    localStorage.removeItem(this.keyringStorageKey);
+    this.lock();
+  }
+
+  // Internal helpers
+
+  assertUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('Storage is locked. Sign in to access survey data.');
+    }
+  }
+
+  async encryptBuffer(plaintext) {
+    this.assertUnlocked();
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.keys.get(this.activeKeyId),
+      plaintext
+    );
+    return { keyId: this.activeKeyId, iv: bufferToBase64(iv), ciphertext };
+  }
+
+  async decryptBuffer(envelope, ciphertext) {
+    this.assertUnlocked();
+
+    const key = this.keys.get(envelope.keyId);
+    if (!key) {
+      throw new Error(`Data key ${envelope.keyId} is not available`);
+    }
+    return crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(base64ToBuffer(envelope.iv)) },
+      key,
+      ciphertext
+    );
+  }
+
+  async deriveWrappingKey(credential, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(credential),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  async addDataKey(keyring) {
+    const dataKey = await crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      true, // must be extractable to be wrapped; only the wrapped form is stored
+      ['encrypt', 'decrypt']
+    );
+    const keyId = bufferToHex(crypto.getRandomValues(new Uint8Array(8)));
+    const entry = await this.wrapDataKey(dataKey, this.masterKey);
+
+    this.saveKeyring({
+      ...keyring,
+      activeKeyId: keyId,
+      keys: { ...keyring.keys, [keyId]: entry }
+    });
+
+    this.keys.set(keyId, await this.unwrapDataKey(entry, this.masterKey, false));
+    this.activeKeyId = keyId;
+  }
+
+  /**
+   * New keyring with a fresh master key, one slot and one data key
+   */
+  async createKeyring(credential, userId) {
+    const masterKey = await this.generateMasterKey();
+    const keyring = {
+      version: KEYRING_VERSION,
+      activeKeyId: null,
+      keys: {},
+      slots: { [userId]: await this.createSlot(masterKey, credential) }
+    };
+
+    this.masterKey = await this.openSlot(keyring, credential, userId, false);
+    this.keys = new Map();
+    this.userId = userId;
+    await this.addDataKey(keyring);
+  }
+
+  /**
+   * Move a version 1 keyring (data keys wrapped with one credential) to key
+   * slots; whoever holds that credential gets the first slot
+   */
+  async upgradeKeyring(legacy, credential, userId) {
+    const wrappingKey = await this.deriveWrappingKey(
+      credential,
+      new Uint8Array(base64ToBuffer(legacy.salt)),
+      legacy.iterations
+    );
+
+    const dataKeys = {};
+    try {
+      for (const [keyId, entry] of Object.entries(legacy.keys)) {
+        dataKeys[keyId] = await this.unwrapDataKey(entry, wrappingKey, true);
+      }
+    } catch (error) {
+      // The legacy keyring does not record whose credential it was
+      throw new KeyringError('This device holds survey data for another surveyor. Ask an enrolled surveyor or supervisor to add you.', {
+        code: KEYRING_ERROR_CODES.NOT_ENROLLED
+      });
+    }
+
+    const masterKey = await this.generateMasterKey();
+    const keys = {};
+    for (const [keyId, dataKey] of Object.entries(dataKeys)) {
+      keys[keyId] = { ...(await this.wrapDataKey(dataKey, masterKey)), createdAt: legacy.keys[keyId].createdAt };
+    }
+
+    const keyring = {
+      version: KEYRING_VERSION,
+      activeKeyId: legacy.activeKeyId,
+      keys,
+      slots: { [userId]: await this.createSlot(masterKey, credential) }
+    };
+    this.saveKeyring(keyring);
+
+    await this.loadDataKeys(keyring, await this.openSlot(keyring, credential, userId, false));
+    this.userId = userId;
+  }
+
+  /**
+   * Unwrap every data key with the master key and make them current
+   */
+  async loadDataKeys(keyring, masterKey) {
+    const keys = new Map();
+    for (const [keyId, entry] of Object.entries(keyring.keys)) {
+      keys.set(keyId, await this.unwrapDataKey(entry, masterKey, false));
+    }
+
+    this.masterKey = masterKey;
+    this.keys = keys;
+    this.activeKeyId = keyring.activeKeyId;
+  }
+
+  generateMasterKey() {
+    return crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      true, // wrapped into each surveyor's slot
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  /**
+   * Wrap the master key with a key derived from a surveyor's credential
+   */
+  async createSlot(masterKey, credential) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const wrappingKey = await this.deriveWrappingKey(credential, salt, this.pbkdf2Iterations);
+    return {
+      salt: bufferToBase64(salt),
+      iterations: this.pbkdf2Iterations,
+      ...(await this.wrapDataKey(masterKey, wrappingKey))
+    };
+  }
+
+  /**
+   * Unwrap the master key from a surveyor's slot
+   */
+  async openSlot(keyring, credential, userId, extractable) {
+    const slot = keyring.slots[userId];
+    if (!slot) {
+      throw new KeyringError(`${userId} is not enrolled on this device. Ask an enrolled surveyor or supervisor to add you.`, {
+        code: KEYRING_ERROR_CODES.NOT_ENROLLED
+      });
+    }
+
+    const wrappingKey = await this.deriveWrappingKey(
+      credential,
+      new Uint8Array(base64ToBuffer(slot.salt)),
+      slot.iterations
+    );
+    try {
+      return await crypto.subtle.unwrapKey(
+        'raw',
+        base64ToBuffer(slot.wrapped),
+        wrappingKey,
+        { name: 'AES-GCM', iv: new Uint8Array(base64ToBuffer(slot.iv)) },
+        { name: 'AES-GCM', length: 256 },
+        extractable,
+        ['wrapKey', 'unwrapKey']
+      );
+    } catch (error) {
+      // AES-GCM authentication fails when the credential is wrong
+      throw new KeyringError('Invalid credential for the data stored on this device', {
+        code: KEYRING_ERROR_CODES.INVALID_CREDENTIAL
+      });
+    }
+  }
+
+  async wrapDataKey(dataKey, wrappingKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+    return {
+      iv: bufferToBase64(iv),
+      wrapped: bufferToBase64(wrapped),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  unwrapDataKey(entry, wrappingKey, extractable) {
+    return crypto.subtle.unwrapKey(
+      'raw',
+      base64ToBuffer(entry.wrapped),
+      wrappingKey,
+      { name: 'AES-GCM', iv: new Uint8Array(base64ToBuffer(entry.iv)) },
+      { name: 'AES-GCM', length: 256 },
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  loadKeyring() {
+    const keyringStr = localStorage.getItem(this.keyringStorageKey);
+    return keyringStr ? JSON.parse(keyringStr) : null;
+  }
+
+  saveKeyring(keyring) {
+    localStorage.setItem(this.keyringStorageKey, JSON.stringify(keyring));
+  }
+}
+
+// Export singleton instance
+export default new CryptoService();
@@ -0,0 +1,150 @@
+import CryptoService, { KEYRING_ERROR_CODES } from './CryptoService';
+import { bufferToBase64 } from './mediaUtils';
+
+const ALICE = 'alice@example.org';
+const BOB = 'bob@example.org';
+const ITERATIONS = 1000;
+
+// Keyring as written before key slots: data keys wrapped with one credential
+async function seedLegacyKeyring(credential, value) {
+  const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const wrappingKey = await CryptoService.deriveWrappingKey(credential, salt, ITERATIONS);
+
+  CryptoService.keys = new Map([['legacy', dataKey]]);
+  CryptoService.activeKeyId = 'legacy';
+  const envelope = await CryptoService.encryptJSON(value);
+  CryptoService.lock();
+
+  localStorage.setItem(CryptoService.keyringStorageKey, JSON.stringify({
+    version: 1,
+    salt: bufferToBase64(salt),
+    iterations: ITERATIONS,
+    activeKeyId: 'legacy',
+    keys: { legacy: await CryptoService.wrapDataKey(dataKey, wrappingKey) }
+  }));
+  return envelope;
+}
+
+beforeEach(() => {
+  CryptoService.pbkdf2Iterations = ITERATIONS;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  CryptoService.destroyKeyring();
+  jest.restoreAllMocks();
+});
+
+describe('CryptoService keyring', () => {
+  test('creates a keyring with a slot for the first surveyor', async () => {
+    await CryptoService.unlock('alice-pass', ALICE);
+
+    expect(CryptoService.isUnlocked()).toBe(true);
+    expect(CryptoService.getEnrolledUsers()).toEqual([ALICE]);
+
+    const envelope = await CryptoService.encryptJSON({ answer: 42 });
+    CryptoService.lock();
+    await CryptoService.unlock('alice-pass', ALICE);
+    expect(await CryptoService.decryptJSON(envelope)).toEqual({ answer: 42 });
+  });
+
+  test('rejects a wrong credential and an unknown surveyor with distinct codes', async () => {
+    await CryptoService.unlock('alice-pass', ALICE);
+    CryptoService.lock();
+
+    await expect(CryptoService.unlock('wrong-pass', ALICE)).rejects.toMatchObject({
+      name: 'KeyringError',
+      code: KEYRING_ERROR_CODES.INVALID_CREDENTIAL
+    });
+    await expect(CryptoService.unlock('bob-pass', BOB)).rejects.toMatchObject({
+      name: 'KeyringError',
+      code: KEYRING_ERROR_CODES.NOT_ENROLLED
+    });
+    expect(CryptoService.isUnlocked()).toBe(false);
+  });
+
+  test('a sponsor enrols another surveyor without losing existing data', async () => {
+    await CryptoService.unlock('alice-pass', ALICE);
+    const envelope = await CryptoService.encryptJSON({ pending: true });
+    CryptoService.lock();
+
+    await CryptoService.enrolUser('bob-pass', BOB, { userId: ALICE, credential: 'alice-pass' });
+    expect(CryptoService.userId).toBe(BOB);
+    expect(await CryptoService.decryptJSON(envelope)).toEqual({ pending: true });
+    expect(CryptoService.getEnrolledUsers().sort()).toEqual([ALICE, BOB]);
+
+    CryptoService.lock();
+    await CryptoService.unlock('alice-pass', ALICE);
+    expect(await CryptoService.decryptJSON(envelope)).toEqual({ pending: true });
+  });
+
+  test('enrolment needs the sponsor\'s real credential', async () => {
+    await CryptoService.unlock('alice-pass', ALICE);
+    CryptoService.lock();
+
+    await expect(
+      CryptoService.enrolUser('bob-pass', BOB, { userId: ALICE, credential: 'guess' })
+    ).rejects.toMatchObject({ code: KEYRING_ERROR_CODES.INVALID_CREDENTIAL });
+    expect(CryptoService.getEnrolledUsers()).toEqual([ALICE]);
+  });
+
+  test('changeCredential re-wraps only that surveyor\'s slot', async () => {
+    await CryptoService.unlock('alice-pass', ALICE);
+    const envelope = await CryptoService.encryptJSON('draft');
+    await CryptoService.enrolUser('bob-pass', BOB, { userId: ALICE, credential: 'alice-pass' });
+
+    await CryptoService.changeCredential(ALICE, 'alice-pass', 'alice-new');
+    CryptoService.lock();
+
+    await expect(CryptoService.unlock('alice-pass', ALICE)).rejects.toMatchObject({
+      code: KEYRING_ERROR_CODES.INVALID_CREDENTIAL
+    });
+    await CryptoService.unlock('alice-new', ALICE);
+    expect(await CryptoService.decryptJSON(envelope)).toBe('draft');
+
+    CryptoService.lock();
+    await CryptoService.unlock('bob-pass', BOB);
+    expect(await CryptoService.decryptJSON(envelope)).toBe('draft');
+  });
+
+  test('a rotated data key is available to every enrolled surveyor', async () => {
+    await CryptoService.unlock('alice-pass', ALICE);
+    await CryptoService.enrolUser('bob-pass', BOB, { userId: ALICE, credential: 'alice-pass' });
+
+    const { previousKeyId, keyId } = await CryptoService.rotateDataKey();
+    expect(keyId).not.toBe(previousKeyId);
+    const envelope = await CryptoService.encryptJSON({ rotated: true });
+    expect(envelope.keyId).toBe(keyId);
+    CryptoService.lock();
+
+    await CryptoService.unlock('alice-pass', ALICE);
+    expect(CryptoService.activeKeyId).toBe(keyId);
+    expect(await CryptoService.decryptJSON(envelope)).toEqual({ rotated: true });
+  });
+
+  test('upgrades a version 1 keyring for the surveyor who holds its credential', async () => {
+    const envelope = await seedLegacyKeyring('alice-pass', { legacy: 'answer' });
+
+    await expect(CryptoService.unlock('bob-pass', BOB)).rejects.toMatchObject({
+      code: KEYRING_ERROR_CODES.NOT_ENROLLED
+    });
+    expect(JSON.parse(localStorage.getItem(CryptoService.keyringStorageKey)).version).toBe(1);
+
+    await CryptoService.unlock('alice-pass', ALICE);
+    expect(await CryptoService.decryptJSON(envelope)).toEqual({ legacy: 'answer' });
+
+    const keyring = JSON.parse(localStorage.getItem(CryptoService.keyringStorageKey));
+    expect(keyring.version).toBe(2);
+    expect(Object.keys(keyring.slots)).toEqual([ALICE]);
+    expect(keyring.salt).toBeUndefined();
+  });
+
+  test('a sponsor holding the version 1 credential can enrol a new surveyor', async () => {
+    const envelope = await seedLegacyKeyring('alice-pass', { legacy: 'answer' });
+
+    await CryptoService.enrolUser('bob-pass', BOB, { userId: ALICE, credential: 'alice-pass' });
+    expect(await CryptoService.decryptJSON(envelope)).toEqual({ legacy: 'answer' });
+    expect(CryptoService.getEnrolledUsers().sort()).toEqual([ALICE, BOB]);
+  });
+});
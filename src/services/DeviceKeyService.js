@@ -0,0 +1,96 @@
+/**
+ * GroundTruth AI Device Key Service
+ *
+ * This service manages the device's packet signing identity:
+ * - A per-device ECDSA P-256 key pair generated with WebCrypto; the private
+ *   key is non-extractable and kept in IndexedDB
+ * - The public key and its fingerprint, used to enroll the device
+ * - Signing of completed survey verification records
+ *
+ * The key survives sign-out and data wipes, since it identifies the device
+ * rather than any surveyor's data.
+ */
+
+import StorageService from './StorageService';
+import { KEY_ALGORITHM, computeKeyFingerprint, signVerification } from './packetSigning';
+
+class DeviceKeyService {
+  constructor() {
+    this.keyId = 'packet-signing';
+    this.deviceKey = null;
+    this.loadingKey = null;
+  }
+
+  /**
+   * Load the device key, generating it on first use
+   */
+  getDeviceKey() {
+    if (this.deviceKey) {
+      return Promise.resolve(this.deviceKey);
+    }
+
+    // Concurrent callers share one load so only one key is ever generated
+    if (!this.loadingKey) {
+      this.loadingKey = this.loadOrCreateKey()
+        .then(deviceKey => {
+          this.deviceKey = deviceKey;
+          return deviceKey;
+        })
+        .finally(() => {
+          this.loadingKey = null;
+        });
+    }
+    return this.loadingKey;
+  }
+
+  /**
+   * Public identity of this device, for enrollment with the backend
+   */
+  async getDeviceIdentity() {
+    const { fingerprint, publicKeyJwk, createdAt, persistent } = await this.getDeviceKey();
+    return { fingerprint, publicKey: publicKeyJwk, createdAt, persistent };
+  }
+
+  /**
+   * Sign a completed verification record with the device key
+   */
+  async signVerification(verification) {
+    return signVerification(verification, await this.getDeviceKey());
+  }
+
+  // Internal helpers
+
+  async loadOrCreateKey() {
+    const stored = await StorageService.getDeviceKey(this.keyId);
+    if (stored) {
+      return { ...stored, persistent: true };
+    }
+
+    const { privateKey, publicKey } = await crypto.subtle.generateKey(
+      KEY_ALGORITHM,
+      false, // the private key can sign but never be exported
+      ['sign', 'verify']
+    );
+    // Public keys stay exportable regardless of the flag above
+    const publicKeyJwk = await crypto.subtle.exportKey('jwk', publicKey);
+    const record = {
+      id: this.keyId,
+      privateKey,
+      publicKey,
+      publicKeyJwk,
+      fingerprint: await computeKeyFingerprint(publicKeyJwk),
+      createdAt: new Date().toISOString()
+    };
+
+    const persistent = await StorageService.saveDeviceKey(record);
+    if (persistent) {
+      console.log('Device signing key created:', record.fingerprint);
+    } else {
+      console.warn('Device signing key cannot be persisted; using a key for this session only');
+    }
+    return { ...record, persistent };
+  }
+}
+
+// Export singleton instance
+export default new DeviceKeyService();
@@ -0,0 +1,66 @@
+import DeviceKeyService from './DeviceKeyService';
+import StorageService from './StorageService';
+import { computeKeyFingerprint, verifyVerificationSignature } from './packetSigning';
+
+let stored;
+
+beforeEach(() => {
+  stored = null;
+  DeviceKeyService.deviceKey = null;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(StorageService, 'getDeviceKey').mockImplementation(async () => stored);
+  jest.spyOn(StorageService, 'saveDeviceKey').mockImplementation(async record => {
+    stored = record;
+    return true;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DeviceKeyService', () => {
+  test('generates one non-extractable key for concurrent callers', async () => {
+    const [first, second] = await Promise.all([DeviceKeyService.getDeviceKey(), DeviceKeyService.getDeviceKey()]);
+
+    expect(first).toBe(second);
+    expect(StorageService.saveDeviceKey).toHaveBeenCalledTimes(1);
+    expect(first.privateKey.extractable).toBe(false);
+    await expect(crypto.subtle.exportKey('jwk', first.privateKey)).rejects.toThrow();
+  });
+
+  test('the identity fingerprint is computed from the public key', async () => {
+    const identity = await DeviceKeyService.getDeviceIdentity();
+
+    expect(identity).toMatchObject({ persistent: true, publicKey: { kty: 'EC', crv: 'P-256' } });
+    expect(identity.publicKey.d).toBeUndefined();
+    expect(identity.fingerprint).toBe(await computeKeyFingerprint(identity.publicKey));
+  });
+
+  test('reuses the stored key after a restart', async () => {
+    const { fingerprint } = await DeviceKeyService.getDeviceIdentity();
+    DeviceKeyService.deviceKey = null;
+
+    expect((await DeviceKeyService.getDeviceIdentity()).fingerprint).toBe(fingerprint);
+    expect(StorageService.saveDeviceKey).toHaveBeenCalledTimes(1);
+  });
+
+  test('signatures verify and break when the record is edited', async () => {
+    const verification = { surveyId: 's1', contentHash: 'abc', answerChain: { head: 'def', length: 2 } };
+    verification.signature = await DeviceKeyService.signVerification(verification);
+    const { fingerprint } = await DeviceKeyService.getDeviceIdentity();
+
+    expect(await verifyVerificationSignature(verification, { trustedFingerprints: [fingerprint] }))
+      .toEqual({ valid: true, fingerprint, reason: null });
+    expect(await verifyVerificationSignature({ ...verification, contentHash: 'abd' }))
+      .toMatchObject({ valid: false, reason: 'Signature does not match packet contents' });
+  });
+
+  test('a key that cannot be persisted is used for the session only', async () => {
+    StorageService.saveDeviceKey.mockResolvedValue(false);
+
+    expect(await DeviceKeyService.getDeviceIdentity()).toMatchObject({ persistent: false });
+    expect(console.warn).toHaveBeenCalledWith('Device signing key cannot be persisted; using a key for this session only');
+  });
+});
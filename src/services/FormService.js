@@ -0,0 +1,101 @@
+/**
+ * GroundTruth AI Form Service
+ *
+ * Loads the questionnaire each assignment references:
+ * - Form definitions are fetched from `<formsBaseUrl>/<formId>/v<version>.json`
+ * - Every definition is validated (see formSchema.js) before use
+ * - Validated forms are cached in StorageService so surveys work offline
+ */
+
+import StorageService from './StorageService';
+import { parseForm, FormValidationError } from './formSchema';
+
+class FormService {
+  constructor() {
+    this.config = {
+      formsBaseUrl: process.env.REACT_APP_FORMS_URL || '/forms',
+      timeoutMs: 15000,
+      fetchImpl: null
+    };
+  }
+
+  /**
+   * Override the form source (formsBaseUrl, timeoutMs, fetchImpl)
+   */
+  configure(options = {}) {
+    this.config = { ...this.config, ...options };
+    return this.config;
+  }
+
+  /**
+   * Get a form by reference, from the offline cache or else the server.
+   * Throws a FormValidationError for malformed forms.
+   */
+  async getForm({ formId, version } = {}) {
+    if (!formId || !version) {
+      throw new Error('This assignment does not reference a form');
+    }
+
+    const cached = await StorageService.getForm(formId, version);
+    if (cached) {
+      return cached;
+    }
+
+    const form = await this.fetchForm(formId, version);
+    await StorageService.saveForm(form);
+    console.log(`Form ${formId} v${version} cached for offline use`);
+    return form;
+  }
+
+  /**
+   * Download and validate a form definition
+   */
+  async fetchForm(formId, version) {
+    const url = `${this.config.formsBaseUrl}/${encodeURIComponent(formId)}/v${version}.json`;
+    const fetchImpl = this.config.fetchImpl || ((...args) => fetch(...args));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeoutMs);
+
+    let response;
+    try {
+      response = await fetchImpl(url, { signal: controller.signal });
+    } catch (error) {
+      throw new Error(`Form ${formId} v${version} is not available offline and could not be downloaded`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Form ${formId} v${version} could not be downloaded (HTTP ${response.status})`);
+    }
+
+    const form = parseForm(await response.text());
+    if (form.formId !== formId || form.version !== version) {
+      throw new FormValidationError(
+        `Form ${formId} v${version} is invalid: the file contains ${form.formId} v${form.version}`,
+        { errors: ['formId or version does not match the reference'] }
+      );
+    }
+    return form;
+  }
+
+  /**
+   * Cache the forms of upcoming assignments while online. Returns the
+   * references that could not be loaded, with the reason.
+   */
+  async prefetchForms(refs) {
+    const failed = [];
+    for (const ref of refs) {
+      try {
+        await this.getForm(ref);
+      } catch (error) {
+        console.error(`Failed to prefetch form ${ref.formId} v${ref.version}:`, error);
+        failed.push({ ...ref, error: error.message });
+      }
+    }
+    return failed;
+  }
+}
+
+// Export singleton instance
+export default new FormService();
@@ -0,0 +1,83 @@
+import FormService from './FormService';
+import StorageService from './StorageService';
+import { FormValidationError } from './formSchema';
+import { createStubServer } from '../testUtils/stubServer';
+
+const BASE_URL = 'https://forms.test';
+const REF = { formId: 'farmer-needs', version: 2 };
+
+const form = (extra = {}) => ({
+  schemaVersion: 1,
+  ...REF,
+  title: 'Farmer Needs Assessment',
+  questions: [{ id: 'q1', type: 'text', question: 'Which crops?' }],
+  ...extra
+});
+
+let server;
+let cache;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  cache = new Map();
+  jest.spyOn(StorageService, 'getForm').mockImplementation(async (formId, version) => cache.get(`${formId}:${version}`) || null);
+  jest.spyOn(StorageService, 'saveForm').mockImplementation(async saved => cache.set(`${saved.formId}:${saved.version}`, saved));
+  server = createStubServer();
+  FormService.configure({ formsBaseUrl: BASE_URL, fetchImpl: server.fetchImpl });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('FormService', () => {
+  test('downloads a form once and then serves it from the offline cache', async () => {
+    server.on('GET', `${BASE_URL}/farmer-needs/v2.json`, () => ({ body: form() }));
+
+    expect(await FormService.getForm(REF)).toEqual(form());
+    expect(await FormService.getForm(REF)).toEqual(form());
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('a form that is not cached fails clearly while offline', async () => {
+    server.on('GET', `${BASE_URL}/farmer-needs/v2.json`, () => Promise.reject(new Error('Failed to fetch')));
+
+    await expect(FormService.getForm(REF))
+      .rejects.toThrow('Form farmer-needs v2 is not available offline and could not be downloaded');
+    expect(StorageService.saveForm).not.toHaveBeenCalled();
+  });
+
+  test('rejects a file holding another version of the form', async () => {
+    server.on('GET', `${BASE_URL}/farmer-needs/v2.json`, () => ({ body: form({ version: 3 }) }));
+
+    const error = await FormService.getForm(REF).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(FormValidationError);
+    expect(error.message).toBe('Form farmer-needs v2 is invalid: the file contains farmer-needs v3');
+    expect(cache.size).toBe(0);
+  });
+
+  test('malformed forms and HTTP errors are not cached', async () => {
+    server
+      .on('GET', `${BASE_URL}/farmer-needs/v2.json`, () => ({ body: form({ questions: [] }) }))
+      .on('GET', `${BASE_URL}/missing/v1.json`, () => ({ status: 404 }));
+
+    await expect(FormService.getForm(REF)).rejects.toThrow('Form farmer-needs v2 is invalid: questions must be a non-empty list');
+    await expect(FormService.getForm({ formId: 'missing', version: 1 }))
+      .rejects.toThrow('Form missing v1 could not be downloaded (HTTP 404)');
+    await expect(FormService.getForm({ formId: 'farmer-needs' })).rejects.toThrow('This assignment does not reference a form');
+    expect(cache.size).toBe(0);
+  });
+
+  test('prefetching reports the forms that could not be loaded', async () => {
+    server
+      .on('GET', `${BASE_URL}/farmer-needs/v2.json`, () => ({ body: form() }))
+      .on('GET', `${BASE_URL}/missing/v1.json`, () => ({ status: 404 }));
+
+    const failed = await FormService.prefetchForms([REF, { formId: 'missing', version: 1 }]);
+
+    expect(failed).toEqual([{ formId: 'missing', version: 1, error: 'Form missing v1 could not be downloaded (HTTP 404)' }]);
+    expect(cache.has('farmer-needs:2')).toBe(true);
+  });
+});
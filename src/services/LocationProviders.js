@@ -0,0 +1,234 @@
+/**
+ * GroundTruth AI Location Providers
+ *
+ * Position sources used by VerificationService:
+ * - BrowserLocationProvider, backed by navigator.geolocation
+ * - FakeLocationProvider, a scriptable provider for tests and demos
+ *
+ * Every provider exposes `getCurrentPosition(options)`, which resolves with a
+ * plain location object, and `watchPosition(onLocation, onError, options)`,
+ * which returns a function that stops the watch. Failures are reported as
+ * LocationError with a stable `code` so they can be recorded in the packet.
+ */
+
+export const LOCATION_ERROR_CODES = {
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+  POSITION_UNAVAILABLE: 'POSITION_UNAVAILABLE',
+  TIMEOUT: 'TIMEOUT',
+  UNSUPPORTED: 'UNSUPPORTED'
+};
+
+export class LocationError extends Error {
+  constructor(message, { code = LOCATION_ERROR_CODES.POSITION_UNAVAILABLE } = {}) {
+    super(message);
+    this.name = 'LocationError';
+    this.code = code;
+  }
+}
+
+export const DEFAULT_LOCATION_OPTIONS = {
+  enableHighAccuracy: true,
+  timeout: 15000,
+  maximumAge: 0
+};
+
+/**
+ * Map a GeolocationPositionError (numeric codes 1-3) to a LocationError
+ */
+function toLocationError(error) {
+  const codes = {
+    1: LOCATION_ERROR_CODES.PERMISSION_DENIED,
+    2: LOCATION_ERROR_CODES.POSITION_UNAVAILABLE,
+    3: LOCATION_ERROR_CODES.TIMEOUT
+  };
+  return new LocationError(error.message || 'Location unavailable', {
+    code: codes[error.code] || LOCATION_ERROR_CODES.POSITION_UNAVAILABLE
+  });
+}
+
+/**
+ * Flatten a GeolocationPosition into a serializable location
+ */
+function toLocation(position, source) {
+  const { coords } = position;
+  return {
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: coords.accuracy,
+    altitude: coords.altitude,
+    altitudeAccuracy: coords.altitudeAccuracy,
+    heading: coords.heading,
+    speed: coords.speed,
+    timestamp: new Date(position.timestamp).toISOString(),
+    source
+  };
+}
+
+export class BrowserLocationProvider {
+  constructor({ geolocation = null } = {}) {
+    this.geolocation = geolocation || (typeof navigator !== 'undefined' ? navigator.geolocation : null);
+    this.source = 'gps';
+  }
+
+  isSupported() {
+    return !!this.geolocation;
+  }
+
+  /**
+   * Current permission state: 'granted', 'denied', 'prompt' or 'unknown'
+   */
+  async getPermissionState() {
+    if (typeof navigator === 'undefined' || !navigator.permissions) {
+      return 'unknown';
+    }
+
+    try {
+      const status = await navigator.permissions.query({ name: 'geolocation' });
+      return status.state;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  getCurrentPosition(options = {}) {
+    if (!this.isSupported()) {
+      return Promise.reject(new LocationError('Geolocation is not supported on this device', {
+        code: LOCATION_ERROR_CODES.UNSUPPORTED
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.geolocation.getCurrentPosition(
+        position => resolve(toLocation(position, this.source)),
+        error => reject(toLocationError(error)),
+        { ...DEFAULT_LOCATION_OPTIONS, ...options }
+      );
+    });
+  }
+
+  watchPosition(onLocation, onError = () => {}, options = {}) {
+    if (!this.isSupported()) {
+      onError(new LocationError('Geolocation is not supported on this device', {
+        code: LOCATION_ERROR_CODES.UNSUPPORTED
+      }));
+      return () => {};
+    }
+
+    const watchId = this.geolocation.watchPosition(
+      position => onLocation(toLocation(position, this.source)),
+      error => onError(toLocationError(error)),
+      { ...DEFAULT_LOCATION_OPTIONS, ...options }
+    );
+    return () => this.geolocation.clearWatch(watchId);
+  }
+}
+
+/**
+ * Scriptable provider: queue positions or errors, then push updates to
+ * watchers with `emit()`/`emitError()`. Resolves immediately (no timers).
+ */
+export class FakeLocationProvider {
+  constructor({ position = null, permission = 'granted' } = {}) {
+    this.source = 'fake';
+    this.position = position;
+    this.permission = permission;
+    this.queue = [];
+    this.watchers = new Set();
+    this.requests = [];
+  }
+
+  isSupported() {
+    return true;
+  }
+
+  async getPermissionState() {
+    return this.permission;
+  }
+
+  /**
+   * Set the position returned once the queue is empty
+   */
+  setPosition(position) {
+    this.position = position;
+  }
+
+  /**
+   * Queue one-shot results (locations or LocationError codes) for
+   * subsequent getCurrentPosition calls
+   */
+  enqueue(...results) {
+    this.queue.push(...results);
+  }
+
+  /**
+   * Simulate the surveyor revoking or granting location access
+   */
+  setPermission(permission) {
+    this.permission = permission;
+  }
+
+  async getCurrentPosition(options = {}) {
+    this.requests.push(options);
+
+    const result = this.queue.length > 0 ? this.queue.shift() : this.position;
+    if (this.permission === 'denied') {
+      throw new LocationError('User denied Geolocation', { code: LOCATION_ERROR_CODES.PERMISSION_DENIED });
+    }
+    if (typeof result === 'string') {
+      throw new LocationError(`Fake location error: ${result}`, { code: result });
+    }
+    if (!result) {
+      throw new LocationError('No fake position configured', { code: LOCATION_ERROR_CODES.POSITION_UNAVAILABLE });
+    }
+    return this.normalize(result);
+  }
+
+  watchPosition(onLocation, onError = () => {}) {
+    const watcher = { onLocation, onError };
+    this.watchers.add(watcher);
+    return () => this.watchers.delete(watcher);
+  }
+
+  /**
+   * Push a position to every active watcher
+   */
+  emit(position) {
+    this.position = position;
+    const location = this.normalize(position);
+    this.watchers.forEach(watcher => watcher.onLocation(location));
+  }
+
+  /**
+   * Push an error to every active watcher
+   */
+  emitError(code = LOCATION_ERROR_CODES.POSITION_UNAVAILABLE) {
+    const error = new LocationError(`Fake location error: ${code}`, { code });
+    this.watchers.forEach(watcher => watcher.onError(error));
+  }
+
+  normalize(position) {
+    return {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      accuracy: position.accuracy !== undefined ? position.accuracy : 10,
+      altitude: position.altitude !== undefined ? position.altitude : null,
+      altitudeAccuracy: null,
+      heading: position.heading !== undefined ? position.heading : null,
+      speed: position.speed !== undefined ? position.speed : null,
+      timestamp: position.timestamp || new Date().toISOString(),
+      source: this.source
+    };
+  }
+}
+
+/**
+ * Build the provider for the current environment; `REACT_APP_LOCATION_PROVIDER=fake`
+ * swaps in a fake provider anchored at REACT_APP_FAKE_LOCATION ("lat,lng")
+ */
+export function createLocationProvider(type = process.env.REACT_APP_LOCATION_PROVIDER) {
+  if (type === 'fake') {
+    const [latitude, longitude] = (process.env.REACT_APP_FAKE_LOCATION || '0,0').split(',').map(Number);
+    return new FakeLocationProvider({ position: { latitude, longitude } });
+  }
+  return new BrowserLocationProvider();
+}
@@ -0,0 +1,142 @@
+import {
+  BrowserLocationProvider,
+  FakeLocationProvider,
+  LocationError,
+  LOCATION_ERROR_CODES,
+  createLocationProvider
+} from './LocationProviders';
+
+const HOME = { latitude: 0.3476, longitude: 32.5825 };
+
+describe('FakeLocationProvider', () => {
+  test('returns queued results in order, then the fixed position', async () => {
+    const provider = new FakeLocationProvider({ position: HOME });
+    provider.enqueue({ latitude: 1, longitude: 2, accuracy: 5 }, LOCATION_ERROR_CODES.TIMEOUT);
+
+    await expect(provider.getCurrentPosition()).resolves.toMatchObject({ latitude: 1, longitude: 2, accuracy: 5, source: 'fake' });
+    await expect(provider.getCurrentPosition()).rejects.toMatchObject({ name: 'LocationError', code: 'TIMEOUT' });
+    await expect(provider.getCurrentPosition({ maximumAge: 100 })).resolves.toMatchObject(HOME);
+    expect(provider.requests).toEqual([{}, {}, { maximumAge: 100 }]);
+  });
+
+  test('fills in the fields a real fix would have', async () => {
+    const provider = new FakeLocationProvider({ position: { ...HOME, timestamp: '2024-03-05T10:00:00.000Z' } });
+
+    expect(await provider.getCurrentPosition()).toEqual({
+      ...HOME,
+      accuracy: 10,
+      altitude: null,
+      altitudeAccuracy: null,
+      heading: null,
+      speed: null,
+      timestamp: '2024-03-05T10:00:00.000Z',
+      source: 'fake'
+    });
+  });
+
+  test('reports denied permission and a missing position', async () => {
+    const provider = new FakeLocationProvider();
+    await expect(provider.getCurrentPosition()).rejects.toMatchObject({ code: 'POSITION_UNAVAILABLE' });
+
+    provider.setPosition(HOME);
+    provider.setPermission('denied');
+    await expect(provider.getPermissionState()).resolves.toBe('denied');
+    await expect(provider.getCurrentPosition()).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+  });
+
+  test('pushes positions and errors to watchers until they stop', () => {
+    const provider = new FakeLocationProvider();
+    const locations = [];
+    const errors = [];
+    const stop = provider.watchPosition(location => locations.push(location), error => errors.push(error));
+
+    provider.emit({ ...HOME, accuracy: 3 });
+    provider.emitError(LOCATION_ERROR_CODES.TIMEOUT);
+    stop();
+    provider.emit(HOME);
+
+    expect(locations).toHaveLength(1);
+    expect(locations[0]).toMatchObject({ ...HOME, accuracy: 3 });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(LocationError);
+    expect(errors[0].code).toBe('TIMEOUT');
+    expect(provider.position).toEqual(HOME);
+  });
+});
+
+describe('BrowserLocationProvider', () => {
+  const position = {
+    coords: { ...HOME, accuracy: 8, altitude: 1190, altitudeAccuracy: 4, heading: null, speed: 0 },
+    timestamp: Date.parse('2024-03-05T10:00:00.000Z')
+  };
+
+  test('flattens positions and passes default options', async () => {
+    const geolocation = { getCurrentPosition: jest.fn(success => success(position)) };
+    const provider = new BrowserLocationProvider({ geolocation });
+
+    await expect(provider.getCurrentPosition({ maximumAge: 30000 })).resolves.toEqual({
+      ...HOME,
+      accuracy: 8,
+      altitude: 1190,
+      altitudeAccuracy: 4,
+      heading: null,
+      speed: 0,
+      timestamp: '2024-03-05T10:00:00.000Z',
+      source: 'gps'
+    });
+    expect(geolocation.getCurrentPosition.mock.calls[0][2]).toEqual({ enableHighAccuracy: true, timeout: 15000, maximumAge: 30000 });
+  });
+
+  test('maps geolocation error codes', async () => {
+    const failWith = code => new BrowserLocationProvider({
+      geolocation: { getCurrentPosition: (success, error) => error({ code, message: `code ${code}` }) }
+    });
+
+    await expect(failWith(1).getCurrentPosition()).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+    await expect(failWith(2).getCurrentPosition()).rejects.toMatchObject({ code: 'POSITION_UNAVAILABLE' });
+    await expect(failWith(3).getCurrentPosition()).rejects.toMatchObject({ code: 'TIMEOUT', message: 'code 3' });
+  });
+
+  test('watches until stopped', () => {
+    const geolocation = {
+      watchPosition: jest.fn(success => {
+        success(position);
+        return 7;
+      }),
+      clearWatch: jest.fn()
+    };
+    const onLocation = jest.fn();
+    const stop = new BrowserLocationProvider({ geolocation }).watchPosition(onLocation);
+
+    expect(onLocation).toHaveBeenCalledWith(expect.objectContaining({ ...HOME, source: 'gps' }));
+    stop();
+    expect(geolocation.clearWatch).toHaveBeenCalledWith(7);
+  });
+
+  test('reports unsupported devices', async () => {
+    const provider = new BrowserLocationProvider();
+    provider.geolocation = null;
+    const onError = jest.fn();
+
+    await expect(provider.getCurrentPosition()).rejects.toMatchObject({ code: 'UNSUPPORTED' });
+    provider.watchPosition(() => {}, onError)();
+    expect(onError.mock.calls[0][0].code).toBe('UNSUPPORTED');
+  });
+});
+
+test('createLocationProvider builds a fake provider from the environment', async () => {
+  const previous = process.env.REACT_APP_FAKE_LOCATION;
+  process.env.REACT_APP_FAKE_LOCATION = '-1.2921,36.8219';
+
+  const provider = createLocationProvider('fake');
+
+  expect(provider).toBeInstanceOf(FakeLocationProvider);
+  await expect(provider.getCurrentPosition()).resolves.toMatchObject({ latitude: -1.2921, longitude: 36.8219 });
+  expect(createLocationProvider('gps')).toBeInstanceOf(BrowserLocationProvider);
+
+  if (previous === undefined) {
+    delete process.env.REACT_APP_FAKE_LOCATION;
+  } else {
+    process.env.REACT_APP_FAKE_LOCATION = previous;
+  }
+});
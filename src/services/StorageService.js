@@ -6,14 +6,60 @@
  * - Survey packet management
  * - Data synchronization status tracking
  * - Offline-first data operations
+ * - Encryption at rest of packet payloads, drafts and media (via CryptoService)
+ * - Storage quota monitoring and retention of already-synced data
  */
 
+import { LATEST_VERSION, getPendingMigrations, runMigrations, transformPacket } from './storageMigrations';
+import { computeChecksum, blobToBase64, base64ToBlob, isMediaAnswer } from './mediaUtils';
+import CryptoService from './CryptoService';
+
+// Fields kept in plaintext so stores can be indexed and sync state updated
+// without decrypting; everything else is sealed
+const PACKET_PLAIN_FIELDS = [
+  'surveyId', 'status', 'syncStatus', 'completedAt', 'createdAt', 'syncedAt',
+  'syncDetails', 'failedAt', 'lastSyncError', 'attachments', 'exportedAt'
+];
+const DRAFT_PLAIN_FIELDS = ['surveyId', 'startedAt', 'updatedAt'];
+const TRAIL_PLAIN_FIELDS = ['surveyId', 'updatedAt'];
+
+// Object stores (and their localStorage fallback key prefixes) counted in usage
+const STORE_PREFIXES = {
+  surveyPackets: 'survey_',
+  media: 'media_',
+  drafts: 'draft_',
+  locationTrails: 'trail_',
+  forms: 'form_',
+  syncRetries: 'retry_',
+  uploadSessions: 'upload_'
+};
+
+// Typical localStorage limit; navigator.storage.estimate() does not cover it
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
 class StorageService {
   constructor() {
     this.dbName = 'GroundTruthSurveyorDB';
-    this.dbVersion = 1;
+    this.dbVersion = LATEST_VERSION;
     this.db = null;
     this.isInitialized = false;
+
+    // Retention of data that already reached the server
+    this.retentionPolicy = {
+      syncedRetentionDays: 14, // purge synced packets and media after N days
+      purgeAboveUsageRatio: 0.8, // purge synced data early above this share of quota
+      warningUsageRatio: 0.8,
+      criticalUsageRatio: 0.95,
+      minFreeBytes: 50 * 1024 * 1024 // room for one survey with audio and photos
+    };
+  }
+
+  /**
+   * Override retention/quota thresholds
+   */
+  configureRetention(options = {}) {
+    this.retentionPolicy = { ...this.retentionPolicy, ...options };
+    return this.retentionPolicy;
   }
 
   /**
@@ -35,7 +81,7 @@ class StorageService {
   }
 
   /**
-   * Initialize IndexedDB database
+   * Initialize IndexedDB database, running any pending schema migrations
    */
   initializeDB() {
     return new Promise((resolve, reject) => {
@@ -43,6 +89,7 @@ class StorageService {
       if (!window.indexedDB) {
         console.log("Your browser doesn't support IndexedDB. Using localStorage fallback.");
         this.useLocalStorageFallback = true;
+        this.migrateLocalStorage();
         resolve();
         return;
       }
@@ -52,28 +99,54 @@ class StorageService {
       request.onerror = () => {
         console.log("IndexedDB error. Using localStorage fallback.");
         this.useLocalStorageFallback = true;
+        this.migrateLocalStorage();
         resolve();
       };
 
+      request.onblocked = () => {
+        console.warn('Storage upgrade blocked: close other tabs running the surveyor app');
+      };
+
       request.onsuccess = (event) => {
         this.db = event.target.result;
+
+        // Let a newer version of the app in another tab upgrade the schema
+        this.db.onversionchange = () => {
+          this.db.close();
+          console.warn('Storage schema upgraded by a newer version of the app. Reload to continue.');
+        };
         resolve();
       };
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Create survey packets object store
-        if (!db.objectStoreNames.contains('surveyPackets')) {
-          const packetStore = db.createObjectStore('surveyPackets', { keyPath: 'surveyId' });
-          packetStore.createIndex('status', 'status', { unique: false });
-          packetStore.createIndex('completedAt', 'completedAt', { unique: false });
-          packetStore.createIndex('syncStatus', 'syncStatus', { unique: false });
-        }
+        console.log(`Upgrading storage schema from v${event.oldVersion} to v${event.newVersion}`);
+        runMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
       };
     });
   }
 
+  /**
+   * Apply packet transforms to localStorage fallback data
+   */
+  migrateLocalStorage() {
+    const versionKey = `${this.dbName}_schemaVersion`;
+    const storedVersion = parseInt(localStorage.getItem(versionKey), 10);
+
+    // A fresh install has nothing to migrate
+    const hasPackets = this.getLocalStorageKeys('survey_').length > 0;
+    const fromVersion = Number.isNaN(storedVersion) ? (hasPackets ? 1 : this.dbVersion) : storedVersion;
+    const pending = getPendingMigrations(fromVersion, this.dbVersion);
+
+    if (pending.some(migration => migration.migratePacket)) {
+      this.getLocalStorageKeys('survey_').forEach(key => {
+        const packet = JSON.parse(localStorage.getItem(key));
+        localStorage.setItem(key, JSON.stringify(transformPacket(packet, pending)));
+      });
+    }
+
+    localStorage.setItem(versionKey, String(this.dbVersion));
+  }
+
   /**
    * Save completed survey packet
    */
@@ -83,16 +156,19 @@ class StorageService {
     try {
       const packetData = {
         ...packet,
+        ...this.normalizePacketMedia(packet),
         surveyId: packet.surveyId,
         status: packet.status || 'completed',
         syncStatus: 'pending',
         createdAt: new Date().toISOString()
       };
 
+      const sealedPacket = await this.sealRecord(packetData, PACKET_PLAIN_FIELDS);
+
       if (this.useLocalStorageFallback) {
-        localStorage.setItem(`survey_${packet.surveyId}`, JSON.stringify(packetData));
+        localStorage.setItem(`survey_${packet.surveyId}`, JSON.stringify(sealedPacket));
       } else {
-        await this.putData('surveyPackets', packetData);
+        await this.putData('surveyPackets', sealedPacket);
       }
       
       console.log('Survey packet saved:', packetData.surveyId);
@@ -103,6 +179,339 @@ class StorageService {
     }
   }
 
+  /**
+   * Strip transient object URLs from media answers and list attachment IDs
+   * (including the verification's environment photo)
+   */
+  normalizePacketMedia(packet) {
+    const answers = {};
+    const attachments = [];
+
+    Object.entries(packet.answers || {}).forEach(([questionId, answer]) => {
+      if (isMediaAnswer(answer)) {
+        const { url, ...rest } = answer;
+        answers[questionId] = rest;
+        attachments.push(answer.attachmentId);
+      } else {
+        answers[questionId] = answer;
+      }
+    });
+
+    const environmentPhoto = packet.verification && packet.verification.environmentPhoto;
+    if (environmentPhoto && environmentPhoto.attachmentId) {
+      attachments.push(environmentPhoto.attachmentId);
+    }
+
+    return { answers, attachments };
+  }
+
+  /**
+   * Save a captured media Blob and return its attachment metadata. An
+   * optional thumbnail is kept as a local-only record (never synced) and
+   * removed together with the media.
+   */
+  async saveMedia(blob, { surveyId, questionId, type, thumbnail = null }) {
+    await this.ensureInitialized();
+
+    try {
+      const attachment = {
+        id: this.generateId(),
+        surveyId,
+        questionId: String(questionId),
+        type,
+        mimeType: blob.type || 'application/octet-stream',
+        size: blob.size,
+        checksum: await computeChecksum(blob),
+        createdAt: new Date().toISOString()
+      };
+
+      await this.putMediaRecord(attachment, blob);
+
+      if (thumbnail) {
+        attachment.thumbnailId = this.getThumbnailId(attachment.id);
+        await this.putMediaRecord({
+          id: attachment.thumbnailId,
+          surveyId,
+          questionId: String(questionId),
+          type: 'thumbnail',
+          mimeType: thumbnail.type || 'image/jpeg',
+          size: thumbnail.size,
+          createdAt: attachment.createdAt
+        }, thumbnail);
+      }
+
+      console.log('Media saved:', attachment.id);
+      return attachment;
+    } catch (error) {
+      console.error('Failed to save media:', error);
+      throw new Error('Media save failed');
+    }
+  }
+
+  /**
+   * Encrypt and store a media Blob with its attachment metadata
+   */
+  async putMediaRecord(attachment, blob) {
+    const { blob: ciphertext, envelope } = await CryptoService.encryptBlob(blob);
+
+    if (this.useLocalStorageFallback) {
+      // localStorage only holds strings; JSON.stringify would turn the Blob into {}
+      const data = await blobToBase64(ciphertext);
+      localStorage.setItem(`media_${attachment.id}`, JSON.stringify({ ...attachment, data, sealed: envelope }));
+    } else {
+      await this.putData('media', { ...attachment, blob: ciphertext, sealed: envelope });
+    }
+  }
+
+  /**
+   * Store media received from another device, keeping its ID and checksum
+   */
+  async importMedia(attachment, blob) {
+    await this.ensureInitialized();
+    await this.putMediaRecord(attachment, blob);
+    return attachment;
+  }
+
+  /**
+   * Get a media attachment including its (decrypted) Blob
+   */
+  async getMedia(id) {
+    await this.ensureInitialized();
+
+    let record;
+    if (this.useLocalStorageFallback) {
+      const recordStr = localStorage.getItem(`media_${id}`);
+      if (!recordStr) return null;
+      const { data, ...attachment } = JSON.parse(recordStr);
+      record = { ...attachment, blob: base64ToBlob(data, attachment.mimeType) };
+    } else {
+      record = await this.getData('media', id);
+      if (!record) return null;
+    }
+
+    if (!record.sealed) {
+      return record;
+    }
+
+    const { sealed, ...attachment } = record;
+    return { ...attachment, blob: await CryptoService.decryptBlob(record.blob, sealed, record.mimeType) };
+  }
+
+  /**
+   * Get all media attachments captured for a survey
+   */
+  async getMediaForSurvey(surveyId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      const ids = this.getLocalStorageItems('media_')
+        .filter(record => record.surveyId === surveyId)
+        .map(record => record.id);
+      return Promise.all(ids.map(id => this.getMedia(id)));
+    }
+    const records = await this.getDataByIndex('media', 'surveyId', surveyId);
+    return Promise.all(records.map(record => this.getMedia(record.id)));
+  }
+
+  /**
+   * Delete a media attachment
+   */
+  async deleteMedia(id) {
+    await this.ensureInitialized();
+
+    // Deleting a missing thumbnail is a no-op
+    const ids = [id, this.getThumbnailId(id)];
+    for (const mediaId of ids) {
+      if (this.useLocalStorageFallback) {
+        localStorage.removeItem(`media_${mediaId}`);
+      } else {
+        await this.deleteData('media', mediaId);
+      }
+    }
+  }
+
+  getThumbnailId(id) {
+    return `${id}_thumb`;
+  }
+
+  /**
+   * Save (or overwrite) the draft of an in-progress survey
+   */
+  async saveDraft(draft) {
+    await this.ensureInitialized();
+
+    try {
+      const draftData = {
+        ...draft,
+        answers: this.normalizePacketMedia(draft).answers,
+        updatedAt: new Date().toISOString()
+      };
+      const sealedDraft = await this.sealRecord(draftData, DRAFT_PLAIN_FIELDS);
+
+      if (this.useLocalStorageFallback) {
+        localStorage.setItem(`draft_${draft.surveyId}`, JSON.stringify(sealedDraft));
+      } else {
+        await this.putData('drafts', sealedDraft);
+      }
+      return draftData;
+    } catch (error) {
+      console.error('Failed to save draft:', error);
+      throw new Error('Draft save failed');
+    }
+  }
+
+  /**
+   * Get the draft of a survey, if one exists
+   */
+  async getDraft(surveyId) {
+    await this.ensureInitialized();
+
+    const draft = this.useLocalStorageFallback
+      ? JSON.parse(localStorage.getItem(`draft_${surveyId}`))
+      : await this.getData('drafts', surveyId);
+    return draft ? this.openRecord(draft) : null;
+  }
+
+  /**
+   * Get all in-progress survey drafts
+   */
+  async getAllDrafts() {
+    await this.ensureInitialized();
+
+    try {
+      const drafts = this.useLocalStorageFallback
+        ? this.getLocalStorageItems('draft_')
+        : await this.getAllData('drafts');
+      return await Promise.all(drafts.map(draft => this.openRecord(draft)));
+    } catch (error) {
+      console.error('Failed to get drafts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete the draft of a survey (after completion or discard)
+   */
+  async deleteDraft(surveyId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      localStorage.removeItem(`draft_${surveyId}`);
+    } else {
+      await this.deleteData('drafts', surveyId);
+    }
+  }
+
+  /**
+   * Save (or overwrite) the location trail of an in-progress survey
+   */
+  async saveLocationTrail(surveyId, trail) {
+    await this.ensureInitialized();
+
+    const sealedTrail = await this.sealRecord({
+      surveyId,
+      ...trail,
+      updatedAt: new Date().toISOString()
+    }, TRAIL_PLAIN_FIELDS);
+
+    if (this.useLocalStorageFallback) {
+      localStorage.setItem(`trail_${surveyId}`, JSON.stringify(sealedTrail));
+    } else {
+      await this.putData('locationTrails', sealedTrail);
+    }
+  }
+
+  /**
+   * Get the persisted location trail of a survey, if one exists
+   */
+  async getLocationTrail(surveyId) {
+    await this.ensureInitialized();
+
+    const trail = this.useLocalStorageFallback
+      ? JSON.parse(localStorage.getItem(`trail_${surveyId}`))
+      : await this.getData('locationTrails', surveyId);
+    return trail ? this.openRecord(trail) : null;
+  }
+
+  /**
+   * Delete the persisted location trail of a survey
+   */
+  async deleteLocationTrail(surveyId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      localStorage.removeItem(`trail_${surveyId}`);
+    } else {
+      await this.deleteData('locationTrails', surveyId);
+    }
+  }
+
+  /**
+   * Get a cached form definition. Forms hold no survey data, so they are
+   * stored unencrypted and readable before login.
+   */
+  async getForm(formId, version) {
+    await this.ensureInitialized();
+
+    const key = this.getFormKey(formId, version);
+    const record = this.useLocalStorageFallback
+      ? JSON.parse(localStorage.getItem(`form_${key}`))
+      : await this.getData('forms', key);
+    return record ? record.form : null;
+  }
+
+  /**
+   * Cache a validated form definition for offline use
+   */
+  async saveForm(form) {
+    await this.ensureInitialized();
+
+    const record = {
+      key: this.getFormKey(form.formId, form.version),
+      formId: form.formId,
+      version: form.version,
+      form,
+      cachedAt: new Date().toISOString()
+    };
+
+    if (this.useLocalStorageFallback) {
+      localStorage.setItem(`form_${record.key}`, JSON.stringify(record));
+    } else {
+      await this.putData('forms', record);
+    }
+  }
+
+  getFormKey(formId, version) {
+    return `${formId}@${version}`;
+  }
+
+  /**
+   * Get a device signing key record. CryptoKeys are stored as-is: IndexedDB
+   * keeps non-extractable keys usable without exposing their material.
+   */
+  async getDeviceKey(id) {
+    await this.ensureInitialized();
+
+    // localStorage can only hold strings, so non-extractable keys cannot persist there
+    if (this.useLocalStorageFallback) {
+      return null;
+    }
+    return this.getData('deviceKeys', id);
+  }
+
+  /**
+   * Persist a device signing key record; returns false when it cannot be kept
+   */
+  async saveDeviceKey(record) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      return false;
+    }
+    await this.putData('deviceKeys', record);
+    return true;
+  }
+
   /**
    * Get survey packets ready for sync
    */
@@ -110,8 +519,9 @@ class StorageService {
     await this.ensureInitialized();
     
     try {
+      let packets;
       if (this.useLocalStorageFallback) {
-        const packets = [];
+        packets = [];
         for (let i = 0; i < localStorage.length; i++) {
           const key = localStorage.key(i);
           if (key.startsWith('survey_')) {
@@ -121,10 +531,10 @@ class StorageService {
             }
           }
         }
-        return packets;
       } else {
-        return await this.getDataByIndex('surveyPackets', 'syncStatus', 'pending');
+        packets = await this.getDataByIndex('surveyPackets', 'syncStatus', 'pending');
       }
+      return await Promise.all(packets.map(packet => this.openRecord(packet)));
     } catch (error) {
       console.error('Failed to get sync packets:', error);
       return [];
@@ -132,9 +542,53 @@ class StorageService {
   }
 
   /**
-   * Mark survey packet as synced
+   * Get every packet that has not reached the server (pending or failed)
    */
-  async markPacketAsSynced(surveyId) {
+  async getUnsyncedPackets() {
+    await this.ensureInitialized();
+
+    const packets = this.useLocalStorageFallback
+      ? this.getLocalStorageItems('survey_')
+      : await this.getAllData('surveyPackets');
+
+    return Promise.all(packets
+      .filter(packet => packet.syncStatus === 'pending' || packet.syncStatus === 'failed')
+      .map(packet => this.openRecord(packet)));
+  }
+
+  /**
+   * Get the most recently completed packets, newest first
+   */
+  async getRecentPackets(limit = 5) {
+    await this.ensureInitialized();
+
+    const packets = this.useLocalStorageFallback
+      ? this.getLocalStorageItems('survey_')
+      : await this.getAllData('surveyPackets');
+
+    const recent = packets
+      .filter(packet => packet.completedAt)
+      .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+      .slice(0, limit);
+    return Promise.all(recent.map(packet => this.openRecord(packet)));
+  }
+
+  /**
+   * Whether a packet with this survey ID is already stored
+   */
+  async hasSurveyPacket(surveyId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      return localStorage.getItem(`survey_${surveyId}`) !== null;
+    }
+    return !!(await this.getData('surveyPackets', surveyId));
+  }
+
+  /**
+   * Mark survey packet as synced, recording upload details (remote key, etag)
+   */
+  async markPacketAsSynced(surveyId, details = {}) {
     await this.ensureInitialized();
     
     try {
@@ -145,6 +599,7 @@ class StorageService {
           const packet = JSON.parse(packetStr);
           packet.syncStatus = 'synced';
           packet.syncedAt = new Date().toISOString();
+          packet.syncDetails = details;
           localStorage.setItem(key, JSON.stringify(packet));
         }
       } else {
@@ -152,6 +607,7 @@ class StorageService {
         if (packet) {
           packet.syncStatus = 'synced';
           packet.syncedAt = new Date().toISOString();
+          packet.syncDetails = details;
           await this.putData('surveyPackets', packet);
         }
       }
@@ -162,6 +618,327 @@ class StorageService {
     }
   }
 
+  /**
+   * Update sync fields of a stored packet
+   */
+  async updatePacketSyncState(surveyId, changes) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      const key = `survey_${surveyId}`;
+      const packetStr = localStorage.getItem(key);
+      if (!packetStr) return null;
+      const packet = { ...JSON.parse(packetStr), ...changes };
+      localStorage.setItem(key, JSON.stringify(packet));
+      return packet;
+    }
+
+    const packet = await this.getData('surveyPackets', surveyId);
+    if (!packet) return null;
+    const updated = { ...packet, ...changes };
+    await this.putData('surveyPackets', updated);
+    return updated;
+  }
+
+  /**
+   * Mark survey packet as permanently failed (retries exhausted)
+   */
+  async markPacketAsFailed(surveyId, lastError) {
+    try {
+      await this.updatePacketSyncState(surveyId, {
+        syncStatus: 'failed',
+        failedAt: new Date().toISOString(),
+        lastSyncError: lastError
+      });
+      console.log('Packet marked as failed:', surveyId);
+    } catch (error) {
+      console.error('Failed to mark packet as failed:', error);
+    }
+  }
+
+  /**
+   * Get packets whose sync retries were exhausted
+   */
+  async getFailedPackets() {
+    await this.ensureInitialized();
+
+    try {
+      if (this.useLocalStorageFallback) {
+        return this.getLocalStorageItems('survey_')
+          .filter(packet => packet.syncStatus === 'failed');
+      }
+      return await this.getDataByIndex('surveyPackets', 'syncStatus', 'failed');
+    } catch (error) {
+      console.error('Failed to get failed packets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Return a failed packet to the pending queue with a fresh retry budget
+   */
+  async requeuePacket(surveyId) {
+    const packet = await this.updatePacketSyncState(surveyId, {
+      syncStatus: 'pending',
+      failedAt: null,
+      lastSyncError: null
+    });
+    await this.deleteRetryRecord(surveyId);
+
+    console.log('Packet requeued for sync:', surveyId);
+    return packet;
+  }
+
+  /**
+   * Get the retry record for a packet (attempts, last error, next eligible time)
+   */
+  async getRetryRecord(surveyId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      const recordStr = localStorage.getItem(`retry_${surveyId}`);
+      return recordStr ? JSON.parse(recordStr) : null;
+    }
+    return (await this.getData('syncRetries', surveyId)) || null;
+  }
+
+  /**
+   * Get all retry records
+   */
+  async getAllRetryRecords() {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      return this.getLocalStorageItems('retry_');
+    }
+    return await this.getAllData('syncRetries');
+  }
+
+  /**
+   * Save a retry record
+   */
+  async saveRetryRecord(record) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      localStorage.setItem(`retry_${record.surveyId}`, JSON.stringify(record));
+    } else {
+      await this.putData('syncRetries', record);
+    }
+    return record;
+  }
+
+  /**
+   * Delete the retry record for a packet
+   */
+  async deleteRetryRecord(surveyId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      localStorage.removeItem(`retry_${surveyId}`);
+    } else {
+      await this.deleteData('syncRetries', surveyId);
+    }
+  }
+
+  /**
+   * Get a resumable upload session (uploadId and acknowledged parts)
+   */
+  async getUploadSession(sessionId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      const sessionStr = localStorage.getItem(`upload_${sessionId}`);
+      return sessionStr ? JSON.parse(sessionStr) : null;
+    }
+    return (await this.getData('uploadSessions', sessionId)) || null;
+  }
+
+  /**
+   * Save a resumable upload session
+   */
+  async saveUploadSession(session) {
+    await this.ensureInitialized();
+
+    const sessionData = { ...session, updatedAt: new Date().toISOString() };
+    if (this.useLocalStorageFallback) {
+      localStorage.setItem(`upload_${session.sessionId}`, JSON.stringify(sessionData));
+    } else {
+      await this.putData('uploadSessions', sessionData);
+    }
+    return sessionData;
+  }
+
+  /**
+   * Delete a resumable upload session
+   */
+  async deleteUploadSession(sessionId) {
+    await this.ensureInitialized();
+
+    if (this.useLocalStorageFallback) {
+      localStorage.removeItem(`upload_${sessionId}`);
+    } else {
+      await this.deleteData('uploadSessions', sessionId);
+    }
+  }
+
+  /**
+   * Delete all upload sessions belonging to a packet
+   */
+  async deleteUploadSessionsForSurvey(surveyId) {
+    await this.ensureInitialized();
+
+    const sessions = this.useLocalStorageFallback
+      ? this.getLocalStorageItems('upload_').filter(session => session.surveyId === surveyId)
+      : await this.getDataByIndex('uploadSessions', 'surveyId', surveyId);
+
+    for (const session of sessions) {
+      await this.deleteUploadSession(session.sessionId);
+    }
+  }
+
+  /**
+   * Unlock encrypted storage with the surveyor's credential and encrypt any
+   * data that was stored before encryption was enabled
+   */
+  async unlock(credential, userId) {
+    await this.ensureInitialized();
+    await CryptoService.unlock(credential, userId);
+    await this.encryptExistingData();
+  }
+
+  /**
+   * Enrol a surveyor on this device, vouched for by an enrolled surveyor or
+   * supervisor (`sponsor`: { userId, credential }), and unlock for them.
+   * Existing data, including unsynced packets, stays readable.
+   */
+  async enrolUser(credential, userId, sponsor) {
+    await this.ensureInitialized();
+    await CryptoService.enrolUser(credential, userId, sponsor);
+    await this.encryptExistingData();
+  }
+
+  /**
+   * Forget decryption keys (sign-out); stored data stays encrypted
+   */
+  lock() {
+    CryptoService.lock();
+  }
+
+  isLocked() {
+    return !CryptoService.isUnlocked();
+  }
+
+  /**
+   * Rotate the data key: re-encrypt everything under a new key, then retire the old one
+   */
+  async rotateEncryptionKey() {
+    await this.ensureInitialized();
+
+    const { previousKeyId } = await CryptoService.rotateDataKey();
+    await this.reencryptAllData(record => record.sealed && record.sealed.keyId !== CryptoService.activeKeyId);
+    CryptoService.retireKey(previousKeyId);
+
+    console.log('Encryption key rotation completed');
+  }
+
+  /**
+   * Re-wrap a surveyor's key slot for their new credential/PIN
+   */
+  async changeEncryptionCredential(userId, currentCredential, newCredential) {
+    await this.ensureInitialized();
+    await CryptoService.changeCredential(userId, currentCredential, newCredential);
+  }
+
+  /**
+   * Whether the device holds anything not yet on the server (pending or
+   * failed packets, drafts). Reads only plaintext fields, so it works while
+   * storage is locked.
+   */
+  async hasUnsyncedData() {
+    await this.ensureInitialized();
+
+    const packets = this.useLocalStorageFallback
+      ? this.getLocalStorageItems('survey_')
+      : await this.getAllData('surveyPackets');
+    const draftCount = this.useLocalStorageFallback
+      ? this.getLocalStorageKeys('draft_').length
+      : (await this.getAllData('drafts')).length;
+
+    return draftCount > 0 || packets.some(packet => packet.syncStatus !== 'synced');
+  }
+
+  /**
+   * Seal plaintext records left from before encryption was enabled
+   */
+  async encryptExistingData() {
+    await this.reencryptAllData(record => !record.sealed);
+  }
+
+  /**
+   * Re-seal every packet, draft and media record matching a predicate
+   */
+  async reencryptAllData(shouldReencrypt) {
+    const collections = [
+      { storeName: 'surveyPackets', prefix: 'survey_', plainFields: PACKET_PLAIN_FIELDS },
+      { storeName: 'drafts', prefix: 'draft_', plainFields: DRAFT_PLAIN_FIELDS },
+      { storeName: 'locationTrails', prefix: 'trail_', plainFields: TRAIL_PLAIN_FIELDS }
+    ];
+
+    for (const { storeName, prefix, plainFields } of collections) {
+      const records = this.useLocalStorageFallback
+        ? this.getLocalStorageItems(prefix)
+        : await this.getAllData(storeName);
+
+      for (const record of records.filter(shouldReencrypt)) {
+        const sealed = await this.sealRecord(await this.openRecord(record), plainFields);
+        if (this.useLocalStorageFallback) {
+          localStorage.setItem(`${prefix}${record.surveyId}`, JSON.stringify(sealed));
+        } else {
+          await this.putData(storeName, sealed);
+        }
+      }
+    }
+
+    const mediaRecords = this.useLocalStorageFallback
+      ? this.getLocalStorageItems('media_')
+      : await this.getAllData('media');
+
+    for (const record of mediaRecords.filter(shouldReencrypt)) {
+      const { blob, ...attachment } = await this.getMedia(record.id);
+      await this.putMediaRecord(attachment, blob);
+    }
+  }
+
+  /**
+   * Encrypt all but the plaintext fields of a record into `sealed`
+   */
+  async sealRecord(record, plainFields) {
+    const plain = {};
+    const secret = {};
+    Object.entries(record).forEach(([key, value]) => {
+      if (plainFields.includes(key)) {
+        plain[key] = value;
+      } else if (key !== 'sealed') {
+        secret[key] = value;
+      }
+    });
+
+    return { ...plain, sealed: await CryptoService.encryptJSON(secret) };
+  }
+
+  /**
+   * Decrypt a sealed record back into its full form (plaintext records pass through)
+   */
+  async openRecord(record) {
+    if (!record.sealed) {
+      return record;
+    }
+
+    const { sealed, ...plain } = record;
+    return { ...(await CryptoService.decryptJSON(sealed)), ...plain };
+  }
+
   /**
    * Get storage statistics
    */
@@ -187,6 +964,8 @@ class StorageService {
         completedSurveys: packets.length,
         pendingSync: packets.filter(p => p.syncStatus === 'pending').length,
         syncedSurveys: packets.filter(p => p.syncStatus === 'synced').length,
+        failedSync: packets.filter(p => p.syncStatus === 'failed').length,
+        usage: await this.getStorageUsage(),
         lastUpdate: new Date().toISOString()
       };
 
@@ -198,13 +977,211 @@ class StorageService {
         completedSurveys: 0,
         pendingSync: 0,
         syncedSurveys: 0,
+        failedSync: 0,
+        usage: null,
         lastUpdate: new Date().toISOString()
       };
     }
   }
 
   /**
-   * Clear all local data (for logout/reset)
+   * Byte-level usage per store plus the browser's quota estimate
+   */
+  async getStorageUsage() {
+    await this.ensureInitialized();
+
+    const stores = {};
+    for (const [storeName, prefix] of Object.entries(STORE_PREFIXES)) {
+      if (this.useLocalStorageFallback) {
+        const keys = this.getLocalStorageKeys(prefix);
+        stores[storeName] = {
+          count: keys.length,
+          // localStorage holds UTF-16 strings
+          bytes: keys.reduce((total, key) => total + (key.length + localStorage.getItem(key).length) * 2, 0)
+        };
+      } else {
+        const records = await this.getAllData(storeName);
+        stores[storeName] = {
+          count: records.length,
+          bytes: records.reduce((total, record) => total + this.estimateRecordSize(record), 0)
+        };
+      }
+    }
+
+    const trackedBytes = Object.values(stores).reduce((total, store) => total + store.bytes, 0);
+    let usage = trackedBytes;
+    let quota = null;
+
+    if (this.useLocalStorageFallback) {
+      quota = LOCAL_STORAGE_QUOTA;
+    } else if (navigator.storage && navigator.storage.estimate) {
+      const estimate = await navigator.storage.estimate();
+      usage = Math.max(estimate.usage || 0, trackedBytes);
+      quota = estimate.quota || null;
+    }
+
+    const persisted = navigator.storage && navigator.storage.persisted
+      ? await navigator.storage.persisted()
+      : false;
+
+    return {
+      stores,
+      trackedBytes,
+      usage,
+      quota,
+      available: quota !== null ? Math.max(0, quota - usage) : null,
+      usageRatio: quota ? usage / quota : null,
+      persisted
+    };
+  }
+
+  /**
+   * Approximate size of a stored record (Blobs counted by their size)
+   */
+  estimateRecordSize(record) {
+    let blobBytes = 0;
+    const json = JSON.stringify(record, (key, value) => {
+      if (value instanceof Blob) {
+        blobBytes += value.size;
+        return undefined;
+      }
+      return value;
+    });
+    return blobBytes + json.length * 2;
+  }
+
+  /**
+   * Whether there is room to capture another survey; level is 'ok',
+   * 'warning' or 'critical' with a message for the surveyor
+   */
+  async checkCapacity(requiredBytes = this.retentionPolicy.minFreeBytes) {
+    const usage = await this.getStorageUsage();
+    const { warningUsageRatio, criticalUsageRatio } = this.retentionPolicy;
+
+    if (usage.quota === null) {
+      return { level: 'ok', message: null, usage };
+    }
+
+    if (usage.available < requiredBytes || usage.usageRatio >= criticalUsageRatio) {
+      return {
+        level: 'critical',
+        message: `Storage almost full (${this.formatBytes(usage.available)} free). Sync now so new recordings can be saved.`,
+        usage
+      };
+    }
+
+    if (usage.usageRatio >= warningUsageRatio) {
+      return {
+        level: 'warning',
+        message: `Storage ${Math.round(usage.usageRatio * 100)}% full. Sync soon to free space.`,
+        usage
+      };
+    }
+
+    return { level: 'ok', message: null, usage };
+  }
+
+  /**
+   * Purge synced packets (and their media) older than the retention period,
+   * and the oldest synced ones first while usage is above the purge threshold.
+   * Pending and failed packets are never purged.
+   */
+  async applyRetentionPolicy() {
+    await this.ensureInitialized();
+
+    try {
+      const packets = this.useLocalStorageFallback
+        ? this.getLocalStorageItems('survey_')
+        : await this.getAllData('surveyPackets');
+
+      const synced = packets
+        .filter(packet => packet.syncStatus === 'synced')
+        .sort((a, b) => new Date(a.syncedAt) - new Date(b.syncedAt));
+
+      const cutoff = Date.now() - this.retentionPolicy.syncedRetentionDays * 24 * 60 * 60 * 1000;
+      const purged = [];
+
+      for (const packet of synced) {
+        if (new Date(packet.syncedAt).getTime() < cutoff) {
+          await this.deleteSurveyPacket(packet.surveyId);
+          purged.push(packet.surveyId);
+        }
+      }
+
+      let usage = await this.getStorageUsage();
+      for (const packet of synced) {
+        if (!usage.usageRatio || usage.usageRatio < this.retentionPolicy.purgeAboveUsageRatio) break;
+        if (purged.includes(packet.surveyId)) continue;
+
+        await this.deleteSurveyPacket(packet.surveyId);
+        purged.push(packet.surveyId);
+        usage = await this.getStorageUsage();
+      }
+
+      if (purged.length > 0) {
+        console.log(`Retention policy purged ${purged.length} synced packet(s)`);
+      }
+      return { purged, usage };
+    } catch (error) {
+      console.error('Failed to apply retention policy:', error);
+      return { purged: [], usage: null };
+    }
+  }
+
+  /**
+   * Delete a packet together with its media, retry record and upload sessions
+   */
+  async deleteSurveyPacket(surveyId) {
+    await this.ensureInitialized();
+
+    const packet = this.useLocalStorageFallback
+      ? JSON.parse(localStorage.getItem(`survey_${surveyId}`))
+      : await this.getData('surveyPackets', surveyId);
+    if (!packet) return;
+
+    for (const attachmentId of packet.attachments || []) {
+      await this.deleteMedia(attachmentId);
+    }
+    await this.deleteRetryRecord(surveyId);
+    await this.deleteUploadSessionsForSurvey(surveyId);
+
+    if (this.useLocalStorageFallback) {
+      localStorage.removeItem(`survey_${surveyId}`);
+    } else {
+      await this.deleteData('surveyPackets', surveyId);
+    }
+  }
+
+  /**
+   * Ask the browser not to evict our data under storage pressure
+   */
+  async requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+      return false;
+    }
+
+    try {
+      const alreadyPersisted = await navigator.storage.persisted();
+      if (alreadyPersisted) return true;
+
+      const granted = await navigator.storage.persist();
+      console.log(granted ? 'Persistent storage granted' : 'Persistent storage denied');
+      return granted;
+    } catch (error) {
+      console.error('Failed to request persistent storage:', error);
+      return false;
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown';
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Securely clear all local data (for logout/reset): records are overwritten
+   * before deletion and the keyring is destroyed so leftovers stay unreadable
    */
   async clearAllData() {
     await this.ensureInitialized();
@@ -214,14 +1191,23 @@ class StorageService {
         const keysToRemove = [];
         for (let i = 0; i < localStorage.length; i++) {
           const key = localStorage.key(i);
-          if (key.startsWith('survey_')) {
+          if (['survey_', 'retry_', 'upload_', 'media_', 'draft_', 'trail_'].some(prefix => key.startsWith(prefix))) {
             keysToRemove.push(key);
           }
         }
-        keysToRemove.forEach(key => localStorage.removeItem(key));
+        keysToRemove.forEach(key => {
+          localStorage.setItem(key, 'x'.repeat(localStorage.getItem(key).length));
+          localStorage.removeItem(key);
+        });
       } else {
-        await this.clearStore('surveyPackets');
+        for (const storeName of ['surveyPackets', 'syncRetries', 'uploadSessions', 'media', 'drafts', 'locationTrails']) {
+          await this.overwriteStore(storeName);
+          await this.clearStore(storeName);
+        }
       }
+
+      // Crypto-shredding: without the wrapped keys no remaining copy can be decrypted
+      CryptoService.destroyKeyring();
       
       console.log('All local data cleared');
     } catch (error) {
@@ -246,6 +1232,27 @@ class StorageService {
     }
   }
 
+  /**
+   * List localStorage keys that start with a prefix
+   */
+  getLocalStorageKeys(prefix) {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Read all JSON values in localStorage whose key starts with a prefix
+   */
+  getLocalStorageItems(prefix) {
+    return this.getLocalStorageKeys(prefix).map(key => JSON.parse(localStorage.getItem(key)));
+  }
+
   // IndexedDB helper methods
   async putData(storeName, data) {
     return new Promise((resolve, reject) => {
@@ -292,6 +1299,37 @@ class StorageService {
     });
   }
 
+  async deleteData(storeName, key) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.delete(key);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async overwriteStore(storeName) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.openCursor();
+
+      // Replace each record with a stub holding only its key (best effort;
+      // the browser may still keep old pages until compaction)
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.update({ [store.keyPath]: cursor.primaryKey, wipedAt: new Date().toISOString() });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   async clearStore(storeName) {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([storeName], 'readwrite');
@@ -9,25 +9,247 @@
  */
 
 import StorageService from './StorageService';
+import VerificationService from './VerificationService';
+import {
+  createTransport,
+  buildPacketKey,
+  buildAttachmentKey,
+  serializePacket,
+  TransportError
+} from './SyncTransports';
+import { computeChecksum, isMediaAnswer } from './mediaUtils';
+import {
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_MAX_RETRIES,
+  computeBackoffDelay,
+  nextRetryRecord,
+  isBackingOff
+} from './syncRetry';
+
+// Upload reference slot for the verification's environment photo; the signed
+// verification record itself is left untouched
+const ENVIRONMENT_PHOTO_REF = 'environmentPhoto';
 
 class SyncService {
   constructor() {
     this.isOnline = navigator.onLine;
     this.isSyncing = false;
     this.syncProgress = 0;
-    this.retryAttempts = {};
-    this.maxRetries = 3;
+    this.maxRetries = DEFAULT_MAX_RETRIES;
+
+    // Exponential backoff between retries of a failed packet
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY };
     
-    // AWS S3 configuration (in production, these would be environment variables)
+    // AWS S3 configuration
     this.s3Config = {
-      bucketName: 'groundtruth-survey-ingestion',
-      region: 'us-east-1',
+      bucketName: process.env.REACT_APP_S3_BUCKET || 'groundtruth-survey-ingestion',
+      region: process.env.REACT_APP_S3_REGION || 'us-east-1',
       endpoint: 'https://s3.amazonaws.com'
     };
+
+    // Upload transport configuration ('s3' or 'rest')
+    this.syncConfig = {
+      transport: process.env.REACT_APP_SYNC_TRANSPORT || 's3',
+      presignEndpoint: process.env.REACT_APP_S3_PRESIGN_ENDPOINT || '/api/uploads/presign',
+      multipartEndpoint: process.env.REACT_APP_S3_MULTIPART_ENDPOINT || '/api/uploads/multipart',
+      ingestionEndpoint: process.env.REACT_APP_INGESTION_ENDPOINT || '/api/ingest',
+      bucketName: this.s3Config.bucketName,
+      headers: {},
+      timeoutMs: 30000,
+      // Multipart part size. Only the REST transport honours it; S3 raises
+      // every part but the last to its 5 MB minimum (transport.minPartSize)
+      chunkSizeBytes: 256 * 1024,
+      chunkRetries: 2, // immediate retries of a part before giving up on the attempt
+      fetchImpl: null
+    };
+    this.transport = createTransport(this.syncConfig);
+
+    // Automatic sync (on reconnect, on app start and periodically while online)
+    this.autoSyncConfig = {
+      intervalMs: 5 * 60 * 1000,
+      reconnectDelayMs: 3000 // let the connection settle before uploading
+    };
+    this.autoSyncTimer = null;
+    this.backgroundSyncTag = 'groundtruth-sync';
+    this.listeners = new Set();
     
     this.setupNetworkListeners();
   }
 
+  /**
+   * Override the sync configuration (endpoints, transport, headers, fetch)
+   * and rebuild the upload transport
+   */
+  configure(options = {}) {
+    if (this.isSyncing) {
+      throw new Error('Cannot reconfigure while a sync is in progress');
+    }
+
+    this.syncConfig = { ...this.syncConfig, ...options };
+    this.transport = createTransport(this.syncConfig);
+    this.postConfigToServiceWorker();
+    return this.syncConfig;
+  }
+
+  /**
+   * Start automatic sync: sync now, then periodically while online
+   */
+  startAutoSync() {
+    if (this.autoSyncTimer) return;
+
+    this.autoSyncTimer = setInterval(() => {
+      this.triggerAutoSync('interval');
+    }, this.autoSyncConfig.intervalMs);
+
+    this.setupServiceWorkerMessages();
+    this.postConfigToServiceWorker();
+    this.triggerAutoSync('startup');
+  }
+
+  /**
+   * Stop periodic automatic sync
+   */
+  stopAutoSync() {
+    if (this.autoSyncTimer) {
+      clearInterval(this.autoSyncTimer);
+      this.autoSyncTimer = null;
+    }
+  }
+
+  /**
+   * Run a sync unless offline or already syncing; never throws
+   */
+  async triggerAutoSync(reason) {
+    // Encrypted packets can only be read once a surveyor has signed in
+    if (!this.isOnline || this.isSyncing || StorageService.isLocked()) {
+      return null;
+    }
+
+    try {
+      console.log(`Automatic sync triggered (${reason})`);
+      const result = await this.syncAllPendingData();
+      if (result.total > 0 || result.deferred > 0) {
+        this.notifyListeners({ type: 'sync-complete', reason, result });
+      }
+      return result;
+    } catch (error) {
+      console.error('Automatic sync failed:', error);
+      this.notifyListeners({ type: 'sync-error', reason, error });
+      return null;
+    }
+  }
+
+  /**
+   * Ask for new data to be uploaded: now if online, otherwise via Background Sync
+   */
+  async requestSync() {
+    if (this.isOnline) {
+      return this.triggerAutoSync('request');
+    }
+
+    await this.registerBackgroundSync();
+    return null;
+  }
+
+  /**
+   * Register a Background Sync so the service worker uploads queued packets
+   * when connectivity returns, even if the app has been closed
+   */
+  async registerBackgroundSync() {
+    if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+      return false;
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync.register(this.backgroundSyncTag);
+      console.log('Background sync registered');
+      return true;
+    } catch (error) {
+      console.error('Failed to register background sync:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Hand the upload configuration to the service worker (it cannot read
+   * this instance or build-time environment on its own)
+   */
+  postConfigToServiceWorker() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+      return;
+    }
+
+    // fetchImpl is a function and cannot be posted
+    const { fetchImpl, ...config } = this.syncConfig;
+    navigator.serviceWorker.controller.postMessage({
+      type: 'SYNC_CONFIG',
+      config: { ...config, maxRetries: this.maxRetries, retryPolicy: this.retryPolicy }
+    });
+  }
+
+  /**
+   * Listen for the service worker asking an open window to run the sync
+   */
+  setupServiceWorkerMessages() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'BACKGROUND_SYNC') {
+        this.handleBackgroundSyncRequest(event.ports[0]);
+      } else if (event.data && event.data.type === 'BACKGROUND_SYNC_COMPLETE') {
+        this.notifyListeners({ type: 'sync-complete', reason: 'service-worker', result: event.data.result });
+      }
+    });
+  }
+
+  /**
+   * Run a sync for the service worker's Background Sync and reply on its
+   * MessageChannel port. A reply that is not `ok` makes the service worker
+   * reject the sync event so the browser retries it; `locked` means no
+   * surveyor is signed in here and the service worker uploads on its own.
+   */
+  async handleBackgroundSyncRequest(port) {
+    let reply;
+    if (StorageService.isLocked()) {
+      reply = { ok: false, locked: true };
+    } else if (!this.isOnline || this.isSyncing) {
+      reply = { ok: false, error: this.isSyncing ? 'A sync is already running' : 'No internet connection available' };
+    } else {
+      const result = await this.triggerAutoSync('background-sync');
+      if (!result) {
+        reply = { ok: false, error: 'Sync failed' };
+      } else if (result.failed > 0) {
+        reply = { ok: false, error: `${result.failed} packet(s) failed to upload`, result };
+      } else {
+        reply = { ok: true, result };
+      }
+    }
+
+    if (port) {
+      port.postMessage(reply);
+    }
+    return reply;
+  }
+
+  /**
+   * Subscribe to automatic sync events; returns an unsubscribe function
+   */
+  addSyncListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Sync listener failed:', error);
+      }
+    });
+  }
+
   /**
    * Setup network connectivity listeners
    */
@@ -35,6 +257,7 @@ class SyncService {
     window.addEventListener('online', () => {
       this.isOnline = true;
       console.log('Network connection restored');
+      setTimeout(() => this.triggerAutoSync('online'), this.autoSyncConfig.reconnectDelayMs);
     });
 
     window.addEventListener('offline', () => {
@@ -48,6 +271,7 @@ class SyncService {
    */
   async syncAllPendingData() {
     if (!this.isOnline) {
+      await this.registerBackgroundSync();
       throw new Error('No internet connection available');
     }
 
@@ -59,12 +283,12 @@ class SyncService {
     this.syncProgress = 0;
 
     try {
-      // Get all pending survey packets
-      const pendingPackets = await StorageService.getSurveyPacketsForSync();
+      // Get pending survey packets whose backoff window has elapsed
+      const { eligible: pendingPackets, deferred } = await this.getEligiblePackets();
       
       if (pendingPackets.length === 0) {
         console.log('No data to sync');
-        return { success: true, synced: 0, failed: 0 };
+        return { success: true, synced: 0, failed: 0, deferred };
       }
 
       console.log(`Starting sync of ${pendingPackets.length} survey packets`);
@@ -78,27 +302,35 @@ class SyncService {
         this.syncProgress = ((i + 1) / pendingPackets.length) * 100;
 
         try {
-          // Simulate S3 upload
-          await this.delay(500); // Simulate network delay
+          const upload = await this.uploadPacket(packet);
           
-          // Mark as synced
-          await StorageService.markPacketAsSynced(packet.surveyId);
+          // Only mark as synced once the server confirmed the upload
+          await StorageService.markPacketAsSynced(packet.surveyId, {
+            remoteKey: upload.key,
+            etag: upload.etag
+          });
+          await StorageService.deleteRetryRecord(packet.surveyId);
           syncedCount++;
           
           results.push({
             success: true,
             surveyId: packet.surveyId,
-            s3Key: this.generateS3Key(packet),
+            s3Key: upload.key,
+            etag: upload.etag,
             uploadedAt: new Date().toISOString()
           });
           
         } catch (error) {
           console.error(`Failed to sync packet ${packet.surveyId}:`, error);
           failedCount++;
+          const retry = await this.recordFailure(packet.surveyId, error);
           results.push({ 
             success: false, 
             surveyId: packet.surveyId, 
-            error: error.message 
+            error: error.message,
+            attempts: retry.attempts,
+            terminal: retry.terminal,
+            nextAttemptAt: retry.nextAttemptAt
           });
         }
       }
@@ -107,10 +339,16 @@ class SyncService {
         success: failedCount === 0,
         synced: syncedCount,
         failed: failedCount,
+        deferred,
         total: pendingPackets.length,
         results
       };
 
+      // Synced data may now be purged under the retention policy
+      if (syncedCount > 0) {
+        await StorageService.applyRetentionPolicy();
+      }
+
       console.log('Sync completed:', syncResult);
       return syncResult;
 
@@ -123,17 +361,275 @@ class SyncService {
     }
   }
 
+  /**
+   * Split pending packets into those eligible now and those still backing off
+   */
+  async getEligiblePackets() {
+    const [pendingPackets, retryRecords] = await Promise.all([
+      StorageService.getSurveyPacketsForSync(),
+      StorageService.getAllRetryRecords()
+    ]);
+
+    const now = Date.now();
+    const retriesById = new Map(retryRecords.map(record => [record.surveyId, record]));
+    const eligible = pendingPackets.filter(packet => !isBackingOff(retriesById.get(packet.surveyId), now));
+
+    return { eligible, deferred: pendingPackets.length - eligible.length };
+  }
+
+  /**
+   * Persist a failed attempt; mark the packet failed once retries are exhausted
+   */
+  async recordFailure(surveyId, error) {
+    const previous = await StorageService.getRetryRecord(surveyId);
+    const { record, terminal } = nextRetryRecord(surveyId, previous, error, {
+      maxRetries: this.maxRetries,
+      backoff: attempt => this.computeBackoffDelay(attempt)
+    });
+
+    await StorageService.saveRetryRecord(record);
+    if (terminal) {
+      await StorageService.markPacketAsFailed(surveyId, error.message);
+    }
+
+    return { ...record, terminal };
+  }
+
+  /**
+   * Backoff delay for the given attempt: base * 2^(attempt - 1), capped, with jitter
+   */
+  computeBackoffDelay(attempt) {
+    return computeBackoffDelay(attempt, this.retryPolicy);
+  }
+
+  /**
+   * Get packets whose retries were exhausted, with their retry records
+   */
+  async getFailedPackets() {
+    const packets = await StorageService.getFailedPackets();
+    return Promise.all(packets.map(async packet => ({
+      surveyId: packet.surveyId,
+      completedAt: packet.completedAt,
+      failedAt: packet.failedAt,
+      lastError: packet.lastSyncError,
+      retry: await StorageService.getRetryRecord(packet.surveyId)
+    })));
+  }
+
+  /**
+   * Manually requeue a failed packet for upload
+   */
+  async requeuePacket(surveyId) {
+    return StorageService.requeuePacket(surveyId);
+  }
+
+  /**
+   * Manually requeue every failed packet
+   */
+  async requeueFailedPackets() {
+    const packets = await StorageService.getFailedPackets();
+    for (const packet of packets) {
+      await StorageService.requeuePacket(packet.surveyId);
+    }
+    return packets.length;
+  }
+
+  /**
+   * Upload a packet's media attachments, then the JSON packet referencing them.
+   * The packet only counts as uploaded once every attachment is confirmed.
+   */
+  async uploadPacket(packet) {
+    // A signed packet edited since completion is never uploaded
+    const integrity = await VerificationService.verifyPacket(packet);
+    if (integrity.signed && !integrity.valid) {
+      throw new TransportError(`Packet failed integrity verification: ${integrity.reason}`, { retryable: false });
+    }
+
+    const attachments = await this.collectAttachments(packet);
+    const attachmentRefs = {};
+
+    for (const attachment of attachments) {
+      attachmentRefs[attachment.questionId] = await this.uploadAttachment(packet, attachment);
+    }
+
+    const key = this.generateS3Key(packet);
+    const body = this.serializePacket(this.buildUploadPacket(packet, attachmentRefs));
+
+    const upload = await this.transport.upload({
+      key,
+      body,
+      contentType: 'application/json'
+    });
+
+    await StorageService.deleteUploadSessionsForSurvey(packet.surveyId);
+    return upload;
+  }
+
+  /**
+   * Load the media attachments referenced by a packet's answers
+   */
+  async collectAttachments(packet) {
+    const mediaAnswers = Object.entries(packet.answers || {})
+      .filter(([, answer]) => isMediaAnswer(answer));
+
+    // The environment photo travels with the answers' media
+    const environmentPhoto = packet.verification && packet.verification.environmentPhoto;
+    if (environmentPhoto && environmentPhoto.attachmentId) {
+      mediaAnswers.push([ENVIRONMENT_PHOTO_REF, environmentPhoto]);
+    }
+
+    return Promise.all(mediaAnswers.map(async ([questionId, answer]) => {
+      const media = await StorageService.getMedia(answer.attachmentId);
+      if (!media) {
+        throw new TransportError(`Attachment ${answer.attachmentId} is missing from local storage`, { retryable: false });
+      }
+
+      return {
+        id: media.id,
+        questionId,
+        type: media.type,
+        blob: media.blob,
+        mimeType: media.mimeType,
+        checksum: media.checksum || await computeChecksum(media.blob)
+      };
+    }));
+  }
+
+  /**
+   * Replace media answers with references to the uploaded objects; the
+   * environment photo's reference goes in `environmentPhotoAttachment`
+   */
+  buildUploadPacket(packet, attachmentRefs) {
+    const { [ENVIRONMENT_PHOTO_REF]: environmentPhoto, ...answerRefs } = attachmentRefs;
+    const answers = { ...packet.answers };
+    Object.entries(answerRefs).forEach(([questionId, ref]) => {
+      // Keep the answer fields covered by the packet signature alongside the upload reference
+      answers[questionId] = { ...answers[questionId], attachment: ref };
+    });
+
+    const uploadPacket = { ...packet, answers };
+    if (environmentPhoto) {
+      uploadPacket.environmentPhotoAttachment = environmentPhoto;
+    }
+    return uploadPacket;
+  }
+
+  /**
+   * Upload one attachment in chunks, resuming from the last acknowledged part
+   * recorded in its upload session
+   */
+  async uploadAttachment(packet, attachment) {
+    const sessionId = `${packet.surveyId}:${attachment.id}`;
+    let session = await StorageService.getUploadSession(sessionId);
+
+    if (session && session.size !== attachment.blob.size) {
+      // The media changed since the session started; start over
+      session = null;
+    }
+
+    if (!session) {
+      const key = buildAttachmentKey(packet, attachment);
+      const { uploadId } = await this.transport.createMultipartUpload({
+        key,
+        contentType: attachment.mimeType
+      });
+
+      session = await StorageService.saveUploadSession({
+        sessionId,
+        surveyId: packet.surveyId,
+        attachmentId: attachment.id,
+        key,
+        uploadId,
+        mimeType: attachment.mimeType,
+        size: attachment.blob.size,
+        chunkSize: Math.max(this.syncConfig.chunkSizeBytes, this.transport.minPartSize),
+        parts: [],
+        completed: false,
+        etag: null,
+        createdAt: new Date().toISOString()
+      });
+    }
+
+    if (!session.completed) {
+      session = await this.uploadRemainingParts(session, attachment.blob);
+
+      const result = await this.transport.completeMultipartUpload({
+        key: session.key,
+        uploadId: session.uploadId,
+        parts: session.parts
+      });
+      session = await StorageService.saveUploadSession({ ...session, completed: true, etag: result.etag });
+    }
+
+    return {
+      id: attachment.id,
+      key: session.key,
+      mimeType: session.mimeType,
+      size: session.size,
+      checksum: attachment.checksum,
+      etag: session.etag
+    };
+  }
+
+  /**
+   * Upload every part not yet acknowledged, persisting progress after each one
+   */
+  async uploadRemainingParts(session, blob) {
+    const totalParts = Math.max(1, Math.ceil(session.size / session.chunkSize));
+    const acknowledged = new Set(session.parts.map(part => part.partNumber));
+    let current = session;
+
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      if (acknowledged.has(partNumber)) continue;
+
+      const start = (partNumber - 1) * session.chunkSize;
+      const body = blob.slice(start, Math.min(start + session.chunkSize, session.size));
+
+      const part = await this.uploadPartWithRetry(current, partNumber, body);
+      current = await StorageService.saveUploadSession({
+        ...current,
+        parts: [...current.parts, part].sort((a, b) => a.partNumber - b.partNumber)
+      });
+    }
+
+    return current;
+  }
+
+  async uploadPartWithRetry(session, partNumber, body) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.transport.uploadPart({
+          key: session.key,
+          uploadId: session.uploadId,
+          partNumber,
+          body
+        });
+      } catch (error) {
+        if (error.status === 404) {
+          // The server no longer knows this upload; restart it on the next attempt
+          await StorageService.deleteUploadSession(session.sessionId);
+          throw new TransportError(`Upload session expired: ${error.message}`, { status: 404 });
+        }
+        if (error.retryable === false || attempt >= this.syncConfig.chunkRetries) {
+          throw error;
+        }
+        await this.delay(1000 * (attempt + 1));
+      }
+    }
+  }
+
+  /**
+   * Serialize a survey packet to JSON for upload
+   */
+  serializePacket(packet) {
+    return serializePacket(packet);
+  }
+
   /**
    * Generate S3 key (file path) for survey packet
    */
   generateS3Key(packet) {
-    const date = new Date(packet.completedAt);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // S3 key format: surveys/YYYY/MM/DD/surveyId_timestamp.json
-    return `surveys/${year}/${month}/${day}/${packet.surveyId}_${Date.now()}.json`;
+    return buildPacketKey(packet);
   }
 
   /**
@@ -148,6 +644,7 @@ class SyncService {
       syncProgress: this.syncProgress,
       pendingSync: storageStats.pendingSync,
       syncedSurveys: storageStats.syncedSurveys,
+      failedSync: storageStats.failedSync,
       totalSurveys: storageStats.completedSurveys
     };
   }
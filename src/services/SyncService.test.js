@@ -0,0 +1,306 @@
+import SyncService from './SyncService';
+import StorageService from './StorageService';
+import { createStubServer } from '../testUtils/stubServer';
+
+const ENDPOINT = 'https://ingest.test/api';
+
+// In-memory stand-in for the StorageService methods SyncService uses
+function mockStorage({ packets = [], media = [] } = {}) {
+  const state = {
+    packets: new Map(packets.map(packet => [packet.surveyId, { ...packet }])),
+    media: new Map(media.map(record => [record.id, record])),
+    retries: new Map(),
+    sessions: new Map()
+  };
+
+  jest.spyOn(StorageService, 'getSurveyPacketsForSync').mockImplementation(async () =>
+    [...state.packets.values()].filter(packet => packet.syncStatus === 'pending'));
+  jest.spyOn(StorageService, 'getAllRetryRecords').mockImplementation(async () => [...state.retries.values()]);
+  jest.spyOn(StorageService, 'getRetryRecord').mockImplementation(async id => state.retries.get(id) || null);
+  jest.spyOn(StorageService, 'saveRetryRecord').mockImplementation(async record => state.retries.set(record.surveyId, record));
+  jest.spyOn(StorageService, 'deleteRetryRecord').mockImplementation(async id => state.retries.delete(id));
+  jest.spyOn(StorageService, 'markPacketAsSynced').mockImplementation(async (id, details) => {
+    Object.assign(state.packets.get(id), { syncStatus: 'synced', syncDetails: details });
+  });
+  jest.spyOn(StorageService, 'markPacketAsFailed').mockImplementation(async (id, lastError) => {
+    Object.assign(state.packets.get(id), { syncStatus: 'failed', lastSyncError: lastError });
+  });
+  jest.spyOn(StorageService, 'applyRetentionPolicy').mockResolvedValue(null);
+  jest.spyOn(StorageService, 'getMedia').mockImplementation(async id => state.media.get(id) || null);
+  jest.spyOn(StorageService, 'getUploadSession').mockImplementation(async id => state.sessions.get(id) || null);
+  jest.spyOn(StorageService, 'saveUploadSession').mockImplementation(async session => {
+    state.sessions.set(session.sessionId, session);
+    return session;
+  });
+  jest.spyOn(StorageService, 'deleteUploadSession').mockImplementation(async id => state.sessions.delete(id));
+  jest.spyOn(StorageService, 'deleteUploadSessionsForSurvey').mockImplementation(async surveyId => {
+    [...state.sessions.values()]
+      .filter(session => session.surveyId === surveyId)
+      .forEach(session => state.sessions.delete(session.sessionId));
+  });
+
+  return state;
+}
+
+function packet(surveyId, extra = {}) {
+  return {
+    surveyId,
+    status: 'completed',
+    syncStatus: 'pending',
+    completedAt: '2024-03-05T12:00:00.000Z',
+    answers: { q1: 'Yes' },
+    ...extra
+  };
+}
+
+let server;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(SyncService, 'delay').mockResolvedValue();
+  server = createStubServer();
+  SyncService.isOnline = true;
+  SyncService.configure({
+    transport: 'rest',
+    ingestionEndpoint: ENDPOINT,
+    chunkSizeBytes: 4,
+    chunkRetries: 0,
+    fetchImpl: server.fetchImpl
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SyncService against a stub server', () => {
+  test('uploads pending packets and marks them synced', async () => {
+    const state = mockStorage({ packets: [packet('s1'), packet('s2')] });
+    server.on('POST', ENDPOINT, request => ({ status: 201, headers: { ETag: `"${request.headers['X-GroundTruth-Object-Key']}"` } }));
+
+    const result = await SyncService.syncAllPendingData();
+
+    expect(result).toMatchObject({ success: true, synced: 2, failed: 0, total: 2 });
+    expect(server.requests.map(request => request.headers['X-GroundTruth-Object-Key']))
+      .toEqual(['surveys/2024/03/05/s1.json', 'surveys/2024/03/05/s2.json']);
+    expect(JSON.parse(server.requests[0].body)).toMatchObject({ surveyId: 's1', answers: { q1: 'Yes' } });
+    expect(state.packets.get('s1')).toMatchObject({
+      syncStatus: 'synced',
+      syncDetails: { remoteKey: 'surveys/2024/03/05/s1.json', etag: '"surveys/2024/03/05/s1.json"' }
+    });
+    expect(StorageService.applyRetentionPolicy).toHaveBeenCalled();
+  });
+
+  test('a retried packet goes to the same object key', async () => {
+    const state = mockStorage({ packets: [packet('s1')] });
+    let calls = 0;
+    server.on('POST', ENDPOINT, () => (++calls === 1 ? { status: 503 } : { status: 200 }));
+
+    const first = await SyncService.syncAllPendingData();
+    expect(first).toMatchObject({ synced: 0, failed: 1 });
+    expect(state.retries.get('s1')).toMatchObject({ attempts: 1, lastError: 'Ingestion upload failed with HTTP 503' });
+
+    // Let the backoff window elapse
+    state.retries.get('s1').nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+    const second = await SyncService.syncAllPendingData();
+
+    expect(second).toMatchObject({ synced: 1, failed: 0 });
+    const keys = server.requests.map(request => request.headers['X-GroundTruth-Object-Key']);
+    expect(keys).toEqual(['surveys/2024/03/05/s1.json', 'surveys/2024/03/05/s1.json']);
+    expect(state.retries.has('s1')).toBe(false);
+  });
+
+  test('packets still backing off are deferred', async () => {
+    const state = mockStorage({ packets: [packet('s1')] });
+    state.retries.set('s1', { surveyId: 's1', attempts: 1, nextAttemptAt: new Date(Date.now() + 60000).toISOString() });
+
+    const result = await SyncService.syncAllPendingData();
+
+    expect(result).toEqual({ success: true, synced: 0, failed: 0, deferred: 1 });
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('a packet is marked failed once retries are exhausted or the error is permanent', async () => {
+    const state = mockStorage({ packets: [packet('s1'), packet('s2')] });
+    state.retries.set('s1', { surveyId: 's1', attempts: SyncService.maxRetries, nextAttemptAt: null });
+    server
+      .on('POST', ENDPOINT, request => (request.headers['X-GroundTruth-Object-Key'].includes('s1')
+        ? { status: 500 }
+        : { status: 400, body: 'Bad packet' }));
+
+    const result = await SyncService.syncAllPendingData();
+
+    expect(result.results).toEqual([
+      expect.objectContaining({ surveyId: 's1', attempts: SyncService.maxRetries + 1, terminal: true, nextAttemptAt: null }),
+      expect.objectContaining({ surveyId: 's2', attempts: 1, terminal: true })
+    ]);
+    expect(state.packets.get('s1').syncStatus).toBe('failed');
+    expect(state.packets.get('s2')).toMatchObject({ syncStatus: 'failed', lastSyncError: 'Ingestion upload failed with HTTP 400: Bad packet' });
+  });
+
+  test('media uploads resume from the last acknowledged part', async () => {
+    const blob = new Blob(['0123456789'], { type: 'image/jpeg' });
+    const state = mockStorage({
+      packets: [packet('s1', {
+        answers: { q2: { type: 'photo', attachmentId: 's1_q2', mimeType: 'image/jpeg', size: 10 } },
+        attachments: ['s1_q2']
+      })],
+      media: [{ id: 's1_q2', surveyId: 's1', type: 'photo', blob, mimeType: 'image/jpeg', checksum: 'sum' }]
+    });
+    let failPart = 2;
+    server
+      .on('POST', `${ENDPOINT}/uploads`, () => ({ body: { uploadId: 'up-1' } }))
+      .on('PUT', /\/uploads\/up-1\/parts\/\d+$/, request => {
+        const partNumber = Number(request.url.split('/').pop());
+        if (partNumber === failPart) {
+          failPart = null;
+          return { status: 502 };
+        }
+        return { headers: { ETag: `"p${partNumber}"` } };
+      })
+      .on('POST', `${ENDPOINT}/uploads/up-1/complete`, () => ({ headers: { ETag: '"media"' } }))
+      .on('POST', ENDPOINT, () => ({ status: 201 }));
+
+    const first = await SyncService.syncAllPendingData();
+    expect(first).toMatchObject({ synced: 0, failed: 1 });
+    expect(state.sessions.get('s1:s1_q2').parts).toEqual([{ partNumber: 1, etag: '"p1"' }]);
+
+    state.retries.get('s1').nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+    const second = await SyncService.syncAllPendingData();
+
+    expect(second).toMatchObject({ synced: 1, failed: 0 });
+    const partsSent = server.requests
+      .filter(request => request.method === 'PUT')
+      .map(request => Number(request.url.split('/').pop()));
+    expect(partsSent).toEqual([1, 2, 2, 3]);
+    expect(server.requestsTo('POST', `${ENDPOINT}/uploads`)).toHaveLength(1);
+    expect(server.requestsTo('POST', `${ENDPOINT}/uploads/up-1/complete`)[0].json().parts)
+      .toEqual([{ partNumber: 1, etag: '"p1"' }, { partNumber: 2, etag: '"p2"' }, { partNumber: 3, etag: '"p3"' }]);
+
+    const uploaded = JSON.parse(server.requestsTo('POST', ENDPOINT)[0].body);
+    expect(uploaded.answers.q2.attachment).toEqual({
+      id: 's1_q2',
+      key: 'surveys/2024/03/05/media/s1/s1_q2.jpg',
+      mimeType: 'image/jpeg',
+      size: 10,
+      checksum: 'sum',
+      etag: '"media"'
+    });
+    expect(state.sessions.size).toBe(0);
+  });
+
+  test('S3 media uploads use 5 MB parts and resume from the last acknowledged one', async () => {
+    const MB = 1024 * 1024;
+    const S3 = 'https://uploads.test';
+    SyncService.configure({
+      transport: 's3',
+      presignEndpoint: `${S3}/presign`,
+      multipartEndpoint: `${S3}/multipart`,
+      chunkSizeBytes: 256 * 1024
+    });
+    const blob = new Blob([new Uint8Array(12 * MB)], { type: 'audio/webm' });
+    const state = mockStorage({
+      packets: [packet('s1', {
+        answers: { q2: { type: 'audio', attachmentId: 's1_q2', mimeType: 'audio/webm', size: blob.size } },
+        attachments: ['s1_q2']
+      })],
+      media: [{ id: 's1_q2', surveyId: 's1', type: 'audio', blob, mimeType: 'audio/webm', checksum: 'sum' }]
+    });
+    let failPart = 2;
+    server
+      .on('POST', `${S3}/multipart/create`, () => ({ body: { uploadId: 'up-1' } }))
+      .on('POST', `${S3}/multipart/sign-part`, request => ({ body: { url: `${S3}/bucket/part-${request.json().partNumber}` } }))
+      .on('PUT', /\/bucket\/part-\d+$/, request => {
+        const partNumber = Number(request.url.split('-').pop());
+        if (partNumber === failPart) {
+          failPart = null;
+          return { status: 503 };
+        }
+        return { headers: { ETag: `"p${partNumber}"` } };
+      })
+      .on('POST', `${S3}/multipart/complete`, () => ({ body: { etag: '"media"' } }))
+      .on('POST', `${S3}/presign`, () => ({ body: { url: `${S3}/bucket/packet` } }))
+      .on('PUT', `${S3}/bucket/packet`, () => ({ headers: { ETag: '"packet"' } }));
+
+    const first = await SyncService.syncAllPendingData();
+    expect(first).toMatchObject({ synced: 0, failed: 1 });
+    expect(state.sessions.get('s1:s1_q2')).toMatchObject({ chunkSize: 5 * MB, parts: [{ partNumber: 1, etag: '"p1"' }] });
+
+    state.retries.get('s1').nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+    const second = await SyncService.syncAllPendingData();
+
+    expect(second).toMatchObject({ synced: 1, failed: 0 });
+    const partsSent = server.requests
+      .filter(request => request.method === 'PUT' && /part-\d+$/.test(request.url))
+      .map(request => [Number(request.url.split('-').pop()), request.body.size]);
+    expect(partsSent).toEqual([[1, 5 * MB], [2, 5 * MB], [2, 5 * MB], [3, 2 * MB]]);
+    expect(server.requestsTo('POST', `${S3}/multipart/create`)).toHaveLength(1);
+    expect(server.requestsTo('POST', `${S3}/multipart/complete`)[0].json().parts)
+      .toEqual([{ partNumber: 1, etag: '"p1"' }, { partNumber: 2, etag: '"p2"' }, { partNumber: 3, etag: '"p3"' }]);
+  });
+
+  test('backoff grows exponentially up to the cap', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const { baseDelayMs, maxDelayMs } = SyncService.retryPolicy;
+
+    expect(SyncService.computeBackoffDelay(1)).toBe(baseDelayMs);
+    expect(SyncService.computeBackoffDelay(3)).toBe(baseDelayMs * 4);
+    expect(SyncService.computeBackoffDelay(20)).toBe(maxDelayMs);
+  });
+});
+
+describe('Background Sync requests from the service worker', () => {
+  function replyPort() {
+    return { postMessage: jest.fn() };
+  }
+
+  test('replies ok once the window has uploaded everything', async () => {
+    const state = mockStorage({ packets: [packet('s1')] });
+    jest.spyOn(StorageService, 'isLocked').mockReturnValue(false);
+    server.on('POST', ENDPOINT, () => ({ status: 201 }));
+    const port = replyPort();
+
+    await SyncService.handleBackgroundSyncRequest(port);
+
+    expect(state.packets.get('s1').syncStatus).toBe('synced');
+    expect(port.postMessage).toHaveBeenCalledWith(expect.objectContaining({ ok: true }));
+  });
+
+  test('replies with an error when uploads fail, after recording the retry', async () => {
+    const state = mockStorage({ packets: [packet('s1')] });
+    jest.spyOn(StorageService, 'isLocked').mockReturnValue(false);
+    server.on('POST', ENDPOINT, () => ({ status: 503 }));
+    const port = replyPort();
+
+    await SyncService.handleBackgroundSyncRequest(port);
+
+    expect(state.retries.get('s1')).toMatchObject({ attempts: 1 });
+    expect(port.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+      ok: false,
+      error: '1 packet(s) failed to upload'
+    }));
+  });
+
+  test('tells the service worker to upload itself when nobody is signed in', async () => {
+    mockStorage({ packets: [packet('s1')] });
+    jest.spyOn(StorageService, 'isLocked').mockReturnValue(true);
+    const port = replyPort();
+
+    await SyncService.handleBackgroundSyncRequest(port);
+
+    expect(server.requests).toHaveLength(0);
+    expect(port.postMessage).toHaveBeenCalledWith({ ok: false, locked: true });
+  });
+
+  test('does not report success while offline', async () => {
+    mockStorage({ packets: [packet('s1')] });
+    jest.spyOn(StorageService, 'isLocked').mockReturnValue(false);
+    SyncService.isOnline = false;
+
+    expect(await SyncService.handleBackgroundSyncRequest(null)).toEqual({
+      ok: false,
+      error: 'No internet connection available'
+    });
+  });
+});
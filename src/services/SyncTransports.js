@@ -0,0 +1,330 @@
+/**
+ * GroundTruth AI Sync Transports
+ *
+ * Upload transports used by SyncService to move data off the device:
+ * - S3 presigned-URL PUT (a backend endpoint hands out upload URLs)
+ * - Generic HTTPS/REST ingestion endpoint
+ *
+ * Every transport exposes the same `upload({ key, body, contentType })`
+ * method and throws a TransportError unless the server confirmed the upload.
+ * Large media goes through the multipart methods instead
+ * (`createMultipartUpload`, `uploadPart`, `completeMultipartUpload`) so an
+ * interrupted upload can resume from the last acknowledged part.
+ *
+ * This module has no window/DOM dependencies so the service worker can
+ * share it for Background Sync uploads.
+ */
+
+export class TransportError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'TransportError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Run fetch with an abort timeout and normalize network failures
+ */
+async function fetchWithTimeout(fetchImpl, url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetchImpl(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TransportError(`Request timed out after ${timeoutMs}ms`);
+    }
+    throw new TransportError(`Network request failed: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Throw a TransportError for any non-2xx response
+ */
+async function assertOk(response, action) {
+  if (response.ok) return;
+
+  let detail = '';
+  try {
+    detail = await response.text();
+  } catch (error) {
+    // Body is only used for the error message
+  }
+
+  // 4xx (except timeouts and throttling) will not succeed on retry
+  const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+  throw new TransportError(
+    `${action} failed with HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`,
+    { status: response.status, retryable }
+  );
+}
+
+/**
+ * Upload to S3 using presigned URLs issued by our backend
+ */
+export class S3PresignedTransport {
+  constructor({ presignEndpoint, multipartEndpoint, bucketName, headers = {}, timeoutMs = 30000, fetchImpl } = {}) {
+    if (!presignEndpoint) {
+      throw new Error('S3 transport requires a presignEndpoint');
+    }
+
+    this.name = 's3';
+    // S3 rejects multipart parts smaller than 5 MB (except the last one)
+    this.minPartSize = 5 * 1024 * 1024;
+    this.presignEndpoint = presignEndpoint;
+    this.multipartEndpoint = multipartEndpoint;
+    this.bucketName = bucketName;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+  }
+
+  /**
+   * Request a presigned PUT URL for the given object key
+   */
+  async getPresignedUrl(key, contentType) {
+    const response = await fetchWithTimeout(this.fetchImpl, this.presignEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify({ bucket: this.bucketName, key, contentType, method: 'PUT' })
+    }, this.timeoutMs);
+
+    await assertOk(response, 'Presign request');
+
+    const data = await response.json();
+    if (!data || !data.url) {
+      throw new TransportError('Presign response did not include an upload URL', { retryable: false });
+    }
+    return data;
+  }
+
+  async upload({ key, body, contentType }) {
+    const presigned = await this.getPresignedUrl(key, contentType);
+
+    const response = await fetchWithTimeout(this.fetchImpl, presigned.url, {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType, ...(presigned.headers || {}) },
+      body
+    }, this.timeoutMs);
+
+    await assertOk(response, 'S3 upload');
+
+    return {
+      key,
+      etag: response.headers.get('ETag'),
+      status: response.status
+    };
+  }
+
+  /**
+   * POST a JSON command to the multipart endpoint and return the JSON reply
+   */
+  async multipartRequest(action, payload) {
+    if (!this.multipartEndpoint) {
+      throw new TransportError('S3 transport has no multipartEndpoint configured', { retryable: false });
+    }
+
+    const response = await fetchWithTimeout(this.fetchImpl, `${this.multipartEndpoint}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify({ bucket: this.bucketName, ...payload })
+    }, this.timeoutMs);
+
+    await assertOk(response, `Multipart ${action}`);
+    return response.json();
+  }
+
+  async createMultipartUpload({ key, contentType }) {
+    const data = await this.multipartRequest('create', { key, contentType });
+    if (!data || !data.uploadId) {
+      throw new TransportError('Multipart create response did not include an uploadId', { retryable: false });
+    }
+    return { uploadId: data.uploadId };
+  }
+
+  async uploadPart({ key, uploadId, partNumber, body }) {
+    const { url } = await this.multipartRequest('sign-part', { key, uploadId, partNumber });
+
+    const response = await fetchWithTimeout(this.fetchImpl, url, {
+      method: 'PUT',
+      body
+    }, this.timeoutMs);
+
+    await assertOk(response, `Upload of part ${partNumber}`);
+    return { partNumber, etag: response.headers.get('ETag') };
+  }
+
+  async completeMultipartUpload({ key, uploadId, parts }) {
+    const data = await this.multipartRequest('complete', { key, uploadId, parts });
+    return { key, etag: data && data.etag ? data.etag : null };
+  }
+}
+
+/**
+ * Upload to a generic HTTPS ingestion endpoint
+ */
+export class RestTransport {
+  constructor({ endpoint, headers = {}, timeoutMs = 30000, fetchImpl } = {}) {
+    if (!endpoint) {
+      throw new Error('REST transport requires an endpoint');
+    }
+
+    this.name = 'rest';
+    this.minPartSize = 0;
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+  }
+
+  async upload({ key, body, contentType }) {
+    const response = await fetchWithTimeout(this.fetchImpl, this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        'X-GroundTruth-Object-Key': key,
+        ...this.headers
+      },
+      body
+    }, this.timeoutMs);
+
+    await assertOk(response, 'Ingestion upload');
+
+    return {
+      key,
+      etag: response.headers.get('ETag'),
+      status: response.status
+    };
+  }
+
+  async createMultipartUpload({ key, contentType }) {
+    const response = await fetchWithTimeout(this.fetchImpl, `${this.endpoint}/uploads`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GroundTruth-Object-Key': key,
+        ...this.headers
+      },
+      body: JSON.stringify({ key, contentType })
+    }, this.timeoutMs);
+
+    await assertOk(response, 'Multipart create');
+
+    const data = await response.json();
+    if (!data || !data.uploadId) {
+      throw new TransportError('Multipart create response did not include an uploadId', { retryable: false });
+    }
+    return { uploadId: data.uploadId };
+  }
+
+  async uploadPart({ uploadId, partNumber, body }) {
+    const response = await fetchWithTimeout(
+      this.fetchImpl,
+      `${this.endpoint}/uploads/${encodeURIComponent(uploadId)}/parts/${partNumber}`,
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', ...this.headers },
+        body
+      },
+      this.timeoutMs
+    );
+
+    await assertOk(response, `Upload of part ${partNumber}`);
+    return { partNumber, etag: response.headers.get('ETag') };
+  }
+
+  async completeMultipartUpload({ key, uploadId, parts }) {
+    const response = await fetchWithTimeout(
+      this.fetchImpl,
+      `${this.endpoint}/uploads/${encodeURIComponent(uploadId)}/complete`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify({ key, parts })
+      },
+      this.timeoutMs
+    );
+
+    await assertOk(response, 'Multipart complete');
+    return { key, etag: response.headers.get('ETag') };
+  }
+}
+
+/**
+ * Object key (file path) for a survey packet:
+ * surveys/YYYY/MM/DD/surveyId.json. Stable across retries so a repeated
+ * upload overwrites the same object instead of creating a duplicate.
+ */
+export function buildPacketKey(packet) {
+  const date = new Date(packet.completedAt);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `surveys/${year}/${month}/${day}/${packet.surveyId}.json`;
+}
+
+/**
+ * Object key for a media attachment of a survey packet. Stable across
+ * retries so a resumed upload keeps writing to the same object.
+ */
+export function buildAttachmentKey(packet, attachment) {
+  const date = new Date(packet.completedAt);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `surveys/${year}/${month}/${day}/media/${packet.surveyId}/${attachment.id}.${getFileExtension(attachment.mimeType)}`;
+}
+
+function getFileExtension(mimeType = '') {
+  const subtype = mimeType.split(';')[0].split('/')[1];
+  const extensions = { jpeg: 'jpg', 'x-wav': 'wav', mpeg: 'mp3' };
+  return (subtype && (extensions[subtype] || subtype)) || 'bin';
+}
+
+/**
+ * Serialize a survey packet to JSON for upload
+ */
+export function serializePacket(packet) {
+  return JSON.stringify(packet, (key, value) => {
+    // Blobs cannot be represented in JSON; drop them rather than sending "{}"
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+      return undefined;
+    }
+    return value;
+  });
+}
+
+/**
+ * Build the transport described by a sync configuration
+ */
+export function createTransport(config) {
+  switch (config.transport) {
+    case 's3':
+      return new S3PresignedTransport({
+        presignEndpoint: config.presignEndpoint,
+        multipartEndpoint: config.multipartEndpoint,
+        bucketName: config.bucketName,
+        headers: config.headers,
+        timeoutMs: config.timeoutMs,
+        fetchImpl: config.fetchImpl
+      });
+
+    case 'rest':
+      return new RestTransport({
+        endpoint: config.ingestionEndpoint,
+        headers: config.headers,
+        timeoutMs: config.timeoutMs,
+        fetchImpl: config.fetchImpl
+      });
+
+    default:
+      throw new Error(`Unknown sync transport: ${config.transport}`);
+  }
+}
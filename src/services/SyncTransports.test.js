@@ -0,0 +1,195 @@
+import {
+  S3PresignedTransport,
+  RestTransport,
+  TransportError,
+  buildPacketKey,
+  buildAttachmentKey,
+  serializePacket,
+  createTransport
+} from './SyncTransports';
+import { createStubServer } from '../testUtils/stubServer';
+
+const PACKET = { surveyId: 'survey-1', completedAt: '2024-03-05T12:00:00.000Z', answers: { q1: 'Yes' } };
+
+describe('object keys', () => {
+  test('packet key depends only on survey ID and completion date', () => {
+    const key = buildPacketKey(PACKET);
+
+    expect(key).toBe('surveys/2024/03/05/survey-1.json');
+    expect(buildPacketKey({ ...PACKET, answers: { q1: 'No' } })).toBe(key);
+  });
+
+  test('packet key is the same on every retry', () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(1000);
+    const first = buildPacketKey(PACKET);
+    now.mockReturnValue(999999);
+
+    expect(buildPacketKey(PACKET)).toBe(first);
+    now.mockRestore();
+  });
+
+  test('attachment key uses the media type for the extension', () => {
+    expect(buildAttachmentKey(PACKET, { id: 'survey-1_q2', mimeType: 'image/jpeg' }))
+      .toBe('surveys/2024/03/05/media/survey-1/survey-1_q2.jpg');
+    expect(buildAttachmentKey(PACKET, { id: 'a', mimeType: 'audio/webm;codecs=opus' }))
+      .toBe('surveys/2024/03/05/media/survey-1/a.webm');
+    expect(buildAttachmentKey(PACKET, { id: 'b' })).toBe('surveys/2024/03/05/media/survey-1/b.bin');
+  });
+});
+
+test('serializePacket drops Blobs', () => {
+  const json = serializePacket({ ...PACKET, answers: { q2: { type: 'photo', blob: new Blob(['x']), attachmentId: 'p' } } });
+
+  expect(JSON.parse(json).answers.q2).toEqual({ type: 'photo', attachmentId: 'p' });
+});
+
+describe('createTransport', () => {
+  test('builds the configured transport', () => {
+    expect(createTransport({ transport: 's3', presignEndpoint: '/presign' })).toBeInstanceOf(S3PresignedTransport);
+    expect(createTransport({ transport: 'rest', ingestionEndpoint: '/ingest' })).toBeInstanceOf(RestTransport);
+  });
+
+  test('rejects unknown transports and missing endpoints', () => {
+    expect(() => createTransport({ transport: 'ftp' })).toThrow('Unknown sync transport: ftp');
+    expect(() => createTransport({ transport: 's3' })).toThrow('S3 transport requires a presignEndpoint');
+    expect(() => createTransport({ transport: 'rest' })).toThrow('REST transport requires an endpoint');
+  });
+});
+
+describe('S3PresignedTransport', () => {
+  let server;
+  let transport;
+
+  beforeEach(() => {
+    server = createStubServer();
+    transport = new S3PresignedTransport({
+      presignEndpoint: 'https://api.test/presign',
+      multipartEndpoint: 'https://api.test/multipart',
+      bucketName: 'bucket',
+      headers: { Authorization: 'Bearer token' },
+      fetchImpl: server.fetchImpl
+    });
+  });
+
+  test('uploads to the presigned URL with its headers', async () => {
+    server
+      .on('POST', 'https://api.test/presign', () => ({
+        body: { url: 'https://s3.test/object', headers: { 'x-amz-acl': 'private' } }
+      }))
+      .on('PUT', 'https://s3.test/object', () => ({ headers: { ETag: '"abc"' } }));
+
+    const result = await transport.upload({ key: 'surveys/a.json', body: '{}', contentType: 'application/json' });
+
+    expect(result).toEqual({ key: 'surveys/a.json', etag: '"abc"', status: 200 });
+    const [presign] = server.requestsTo('POST', 'https://api.test/presign');
+    expect(presign.json()).toEqual({ bucket: 'bucket', key: 'surveys/a.json', contentType: 'application/json', method: 'PUT' });
+    expect(presign.headers.Authorization).toBe('Bearer token');
+    const [put] = server.requestsTo('PUT', 'https://s3.test/object');
+    expect(put.headers).toEqual({ 'Content-Type': 'application/json', 'x-amz-acl': 'private' });
+    expect(put.body).toBe('{}');
+  });
+
+  test('client errors are not retryable, server errors are', async () => {
+    server
+      .on('POST', 'https://api.test/presign', () => ({ body: { url: 'https://s3.test/object' } }))
+      .on('PUT', 'https://s3.test/object', () => ({ status: 403, body: 'AccessDenied' }));
+
+    const denied = transport.upload({ key: 'k', body: '{}', contentType: 'application/json' });
+    await expect(denied).rejects.toBeInstanceOf(TransportError);
+    await expect(denied).rejects.toMatchObject({ status: 403, retryable: false, message: 'S3 upload failed with HTTP 403: AccessDenied' });
+
+    server.on('POST', 'https://api.test/multipart/create', () => ({ status: 503 }));
+    await expect(transport.createMultipartUpload({ key: 'k', contentType: 'image/jpeg' }))
+      .rejects.toMatchObject({ status: 503, retryable: true });
+  });
+
+  test('a presign reply without a URL is not retryable', async () => {
+    server.on('POST', 'https://api.test/presign', () => ({ body: {} }));
+
+    await expect(transport.upload({ key: 'k', body: '{}', contentType: 'application/json' }))
+      .rejects.toMatchObject({ retryable: false, message: 'Presign response did not include an upload URL' });
+  });
+
+  test('multipart upload signs each part and completes with the part list', async () => {
+    server
+      .on('POST', 'https://api.test/multipart/create', () => ({ body: { uploadId: 'up-1' } }))
+      .on('POST', 'https://api.test/multipart/sign-part', request => ({
+        body: { url: `https://s3.test/part/${request.json().partNumber}` }
+      }))
+      .on('PUT', /^https:\/\/s3\.test\/part\/\d+$/, request => ({ headers: { ETag: `"etag-${request.url.split('/').pop()}"` } }))
+      .on('POST', 'https://api.test/multipart/complete', () => ({ body: { etag: '"final"' } }));
+
+    const { uploadId } = await transport.createMultipartUpload({ key: 'media/a.jpg', contentType: 'image/jpeg' });
+    const part = await transport.uploadPart({ key: 'media/a.jpg', uploadId, partNumber: 2, body: 'bytes' });
+    const done = await transport.completeMultipartUpload({ key: 'media/a.jpg', uploadId, parts: [part] });
+
+    expect(uploadId).toBe('up-1');
+    expect(part).toEqual({ partNumber: 2, etag: '"etag-2"' });
+    expect(done).toEqual({ key: 'media/a.jpg', etag: '"final"' });
+    expect(server.requestsTo('POST', 'https://api.test/multipart/complete')[0].json()).toEqual({
+      bucket: 'bucket', key: 'media/a.jpg', uploadId: 'up-1', parts: [{ partNumber: 2, etag: '"etag-2"' }]
+    });
+  });
+});
+
+describe('RestTransport', () => {
+  let server;
+  let transport;
+
+  beforeEach(() => {
+    server = createStubServer();
+    transport = new RestTransport({
+      endpoint: 'https://ingest.test/api',
+      headers: { 'X-Api-Key': 'secret' },
+      timeoutMs: 50,
+      fetchImpl: server.fetchImpl
+    });
+  });
+
+  test('posts the body with the object key header', async () => {
+    server.on('POST', 'https://ingest.test/api', () => ({ status: 201, headers: { ETag: '"e1"' } }));
+
+    const result = await transport.upload({ key: 'surveys/a.json', body: '{"a":1}', contentType: 'application/json' });
+
+    expect(result).toEqual({ key: 'surveys/a.json', etag: '"e1"', status: 201 });
+    const [request] = server.requests;
+    expect(request.headers).toEqual({
+      'Content-Type': 'application/json',
+      'X-GroundTruth-Object-Key': 'surveys/a.json',
+      'X-Api-Key': 'secret'
+    });
+    expect(request.body).toBe('{"a":1}');
+  });
+
+  test('multipart upload uses the upload resource URLs', async () => {
+    server
+      .on('POST', 'https://ingest.test/api/uploads', () => ({ body: { uploadId: 'id/1' } }))
+      .on('PUT', 'https://ingest.test/api/uploads/id%2F1/parts/1', () => ({ headers: { ETag: '"p1"' } }))
+      .on('POST', 'https://ingest.test/api/uploads/id%2F1/complete', () => ({ headers: { ETag: '"done"' } }));
+
+    const { uploadId } = await transport.createMultipartUpload({ key: 'media/a.wav', contentType: 'audio/wav' });
+    const part = await transport.uploadPart({ uploadId, partNumber: 1, body: 'bytes' });
+    const done = await transport.completeMultipartUpload({ key: 'media/a.wav', uploadId, parts: [part] });
+
+    expect(part).toEqual({ partNumber: 1, etag: '"p1"' });
+    expect(done).toEqual({ key: 'media/a.wav', etag: '"done"' });
+  });
+
+  test('throttling is retryable', async () => {
+    server.on('POST', 'https://ingest.test/api', () => ({ status: 429 }));
+
+    await expect(transport.upload({ key: 'k', body: '{}', contentType: 'application/json' }))
+      .rejects.toMatchObject({ status: 429, retryable: true });
+  });
+
+  test('network failures and timeouts become retryable TransportErrors', async () => {
+    server.on('POST', 'https://ingest.test/api', () => Promise.reject(new TypeError('Failed to fetch')));
+    await expect(transport.upload({ key: 'k', body: '{}', contentType: 'application/json' }))
+      .rejects.toMatchObject({ name: 'TransportError', retryable: true, message: 'Network request failed: Failed to fetch' });
+
+    server.on('PUT', 'https://ingest.test/api/uploads/slow/parts/1', () => new Promise(() => {}));
+    await expect(transport.uploadPart({ uploadId: 'slow', partNumber: 1, body: 'bytes' }))
+      .rejects.toMatchObject({ name: 'TransportError', retryable: true, message: 'Request timed out after 50ms' });
+  });
+});
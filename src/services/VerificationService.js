@@ -2,13 +2,31 @@
  * GroundTruth AI Verification Service
  * 
  * This service handles all automated verification functionality:
- * - GPS tracking and location verification
+ * - GPS tracking and location verification (adaptive, bounded trail; see locationTrail.js)
  * - Timestamp logging for all survey activities
- * - Environment photo capture
- * - Data integrity checks
+ * - Environment photo capture (geotagged, stored as a media attachment)
+ * - Geofence checks against the assignment's target area
+ * - Data integrity checks (SHA-256 hash chain over the answer log)
+ * - Fraud/quality heuristics with a risk score (see fraudRules.js)
+ * - Data quality score with reasons shown to the surveyor (see qualityScore.js)
+ * - Device-bound ECDSA signature over the completed packet
  * - Survey packet creation with verification metadata
+ *
+ * Positions come from a pluggable location provider (see LocationProviders.js);
+ * the browser's Geolocation API is used unless another provider is set.
  */
 
+import { createLocationProvider, DEFAULT_LOCATION_OPTIONS, LOCATION_ERROR_CODES } from './LocationProviders';
+import { checkLocation, evaluateGeofence, isValidTarget } from './geofence';
+import { HASH_ALGORITHM, GENESIS_HASH, hashAnswer, hashSurveyContent, linkEntry } from './hashChain';
+import { computeVerificationHash, verifyPacket } from './packetSigning';
+import DeviceKeyService from './DeviceKeyService';
+import StorageService from './StorageService';
+import { evaluateFraudRules } from './fraudRules';
+import { evaluateQuality } from './qualityScore';
+import { DEFAULT_TRAIL_OPTIONS, createTrail, shouldRecordFix, addFix, summarizeTrail } from './locationTrail';
+import { STRUCTURED_ANSWER_TYPES } from './answerTypes';
+
 class VerificationService {
   constructor() {
     this.currentSurvey = null;
@@ -21,16 +39,69 @@ class VerificationService {
       environmentPhoto: null,
       answerTimestamps: [],
       locationHistory: [],
+      trailStats: null,
+      resumeEvents: [],
+      locationPermission: null,
+      locationErrors: [],
+      geofenceTarget: null,
       deviceInfo: null
     };
-    this.locationWatcher = null;
+    this.locationProvider = createLocationProvider();
+    this.locationOptions = { ...DEFAULT_LOCATION_OPTIONS };
+    // Answers reuse a recent fix rather than waiting on a fresh one each time
+    this.answerLocationMaxAgeMs = 30000;
+    this.stopWatching = null;
     this.isTracking = false;
+    this.trailOptions = { ...DEFAULT_TRAIL_OPTIONS };
+    this.fixesSincePersist = 0;
+    this.trailPersistQueue = Promise.resolve();
+    // Answer log entries are appended one at a time so each links to the last
+    this.answerLogQueue = Promise.resolve();
+    // Photo of the interview surroundings, taken at survey 'start' or 'end'
+    this.environmentPhotoConfig = {
+      required: process.env.REACT_APP_ENVIRONMENT_PHOTO_REQUIRED !== 'false',
+      stage: process.env.REACT_APP_ENVIRONMENT_PHOTO_STAGE || 'start'
+    };
+  }
+
+  /**
+   * Override environment photo settings ({ required, stage })
+   */
+  configureEnvironmentPhoto(options = {}) {
+    this.environmentPhotoConfig = { ...this.environmentPhotoConfig, ...options };
+    return this.environmentPhotoConfig;
+  }
+
+  /**
+   * Replace the location provider (e.g. a FakeLocationProvider in tests)
+   */
+  setLocationProvider(provider) {
+    this.stopLocationTracking();
+    this.locationProvider = provider;
+  }
+
+  /**
+   * Override Geolocation options (enableHighAccuracy, timeout, maximumAge)
+   */
+  configureLocation(options = {}) {
+    this.locationOptions = { ...this.locationOptions, ...options };
   }
 
   /**
-   * Initialize verification for a new survey
+   * Override location trail settings (sampling intervals, movement
+   * threshold, maxPoints, recentPoints, persistEveryFixes)
    */
-  async startSurvey(surveyId) {
+  configureTrail(options = {}) {
+    this.trailOptions = { ...this.trailOptions, ...options };
+    return this.trailOptions;
+  }
+
+  /**
+   * Initialize verification for a new survey. `geofenceTarget` is the
+   * assignment's target area; `geofenceWarning` is a pre-start check the
+   * surveyor chose to override.
+   */
+  async startSurvey(surveyId, { geofenceTarget = null, geofenceWarning = null } = {}) {
     try {
       this.currentSurvey = surveyId;
       this.verificationData = {
@@ -42,14 +113,19 @@ class VerificationService {
         environmentPhoto: null,
         answerTimestamps: [],
         locationHistory: [],
+        trailStats: null,
+        resumeEvents: [],
+        locationPermission: await this.locationProvider.getPermissionState(),
+        locationErrors: [],
+        geofenceTarget: isValidTarget(geofenceTarget) ? geofenceTarget : null,
+        geofenceWarning,
         deviceInfo: this.getDeviceInfo()
       };
 
-      // Simulate getting initial GPS location
-      const location = await this.simulateGetLocation();
-      this.verificationData.startLocation = location;
+      // A missing fix is recorded in locationErrors rather than blocking the survey
+      this.verificationData.startLocation = await this.getLocation('start');
+      this.setTrail(createTrail([this.verificationData.startLocation]));
       
-      // Start simulated location tracking
       this.startLocationTracking();
       
       console.log('Verification started for survey:', surveyId);
@@ -62,75 +138,257 @@ class VerificationService {
   }
 
   /**
-   * Log an answer with timestamp and location
+   * Resume verification of an interrupted survey from a saved draft state,
+   * continuing the existing trail instead of starting a new one
    */
-  async logAnswer(questionId, answer) {
+  async resumeSurvey(savedState) {
+    try {
+      this.stopLocationTracking();
+      this.currentSurvey = savedState.surveyId;
+      this.verificationData = {
+        ...savedState,
+        answerTimestamps: [...(savedState.answerTimestamps || [])],
+        locationHistory: [...(savedState.locationHistory || [])],
+        resumeEvents: [...(savedState.resumeEvents || [])],
+        locationErrors: [...(savedState.locationErrors || [])]
+      };
+      this.verificationData.locationPermission = await this.locationProvider.getPermissionState();
+
+      // The persisted trail is newer than the draft's copy unless that is missing
+      const storedTrail = await StorageService.getLocationTrail(savedState.surveyId).catch(error => {
+        console.error('Failed to load location trail:', error);
+        return null;
+      });
+      const draftTrail = savedState.trailStats
+        ? { points: this.verificationData.locationHistory, stats: savedState.trailStats }
+        : createTrail(this.verificationData.locationHistory);
+      this.setTrail(storedTrail && storedTrail.stats && storedTrail.stats.samples >= draftTrail.stats.samples
+        ? { points: storedTrail.points, stats: storedTrail.stats }
+        : draftTrail);
+
+      // Record where and when the interview was picked up again
+      const location = await this.getLocation('resume');
+      this.verificationData.resumeEvents.push({
+        timestamp: new Date().toISOString(),
+        location,
+        deviceInfo: this.getDeviceInfo()
+      });
+
+      this.startLocationTracking();
+
+      console.log('Verification resumed for survey:', savedState.surveyId);
+      return this.verificationData;
+
+    } catch (error) {
+      console.error('Failed to resume verification:', error);
+      throw new Error('Verification resume failed');
+    }
+  }
+
+  /**
+   * Snapshot of the live verification state, for saving with a draft
+   */
+  getState() {
+    return JSON.parse(JSON.stringify(this.verificationData));
+  }
+
+  /**
+   * Pause verification without completing the survey (draft kept for resume)
+   */
+  suspendSurvey() {
+    if (!this.currentSurvey) {
+      return null;
+    }
+
+    this.stopLocationTracking();
+    this.persistTrail();
+    this.verificationData.suspendedAt = new Date().toISOString();
+    const state = this.getState();
+    this.currentSurvey = null;
+
+    console.log('Verification suspended for survey:', state.surveyId);
+    return state;
+  }
+
+  /**
+   * Log an answer with timestamp and location as the next hash chain entry
+   */
+  logAnswer(questionId, answer) {
     if (!this.currentSurvey) {
       console.warn('No active survey for answer logging');
-      return;
+      return Promise.resolve();
     }
 
-    try {
-      const location = await this.simulateGetLocation();
-      const timestamp = new Date().toISOString();
+    const timestamp = new Date().toISOString();
+    this.answerLogQueue = this.answerLogQueue
+      .then(() => this.appendAnswerLog(questionId, answer, timestamp))
+      .catch(error => console.error('Failed to log answer:', error));
+    return this.answerLogQueue;
+  }
 
-      const answerLog = {
-        questionId,
-        timestamp,
-        location,
-        answerType: this.getAnswerType(answer),
-        answerLength: this.getAnswerLength(answer)
-      };
+  /**
+   * Log the answers that differ from their last log entry, one chained entry
+   * each. Called when an answer is committed (the surveyor leaves the field
+   * or the question), not on every change, and with every answer before
+   * the chain is sealed so the log always covers the final answers.
+   */
+  commitAnswers(answers) {
+    if (!this.currentSurvey) {
+      return Promise.resolve();
+    }
 
-      this.verificationData.answerTimestamps.push(answerLog);
-      console.log('Answer logged:', answerLog);
+    const timestamp = new Date().toISOString();
+    this.answerLogQueue = this.answerLogQueue
+      .then(async () => {
+        for (const [questionId, answer] of Object.entries(answers)) {
+          if (answer === undefined || await this.isAnswerLogged(questionId, answer)) continue;
+          await this.appendAnswerLog(questionId, answer, timestamp);
+        }
+      })
+      .catch(error => console.error('Failed to log answer:', error));
+    return this.answerLogQueue;
+  }
 
-    } catch (error) {
-      console.error('Failed to log answer:', error);
-      // Continue without location if GPS fails
-      this.verificationData.answerTimestamps.push({
-        questionId,
-        timestamp: new Date().toISOString(),
-        location: null,
-        answerType: this.getAnswerType(answer),
-        answerLength: this.getAnswerLength(answer)
-      });
+  /**
+   * Whether the last log entry for a question holds this answer
+   */
+  async isAnswerLogged(questionId, answer) {
+    const entries = this.verificationData.answerTimestamps;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (String(entries[i].questionId) === String(questionId)) {
+        return entries[i].answerHash === await hashAnswer(answer);
+      }
     }
+    return false;
+  }
+
+  async appendAnswerLog(questionId, answer, timestamp) {
+    // Continues without location if GPS fails; the failure is in locationErrors
+    const location = await this.getLocation('answer', { maximumAge: this.answerLocationMaxAgeMs });
+
+    const entries = this.verificationData.answerTimestamps;
+    const answerLog = await linkEntry(entries, {
+      questionId,
+      timestamp,
+      location,
+      answerType: this.getAnswerType(answer),
+      answerLength: this.getAnswerLength(answer),
+      answerHash: await hashAnswer(answer)
+    });
+
+    entries.push(answerLog);
   }
 
   /**
-   * Complete survey verification and generate final packet
+   * Estimate the quality score the survey would get if completed now, so the
+   * surveyor can review it and go back to fix issues before the packet is
+   * sealed. Does not change the active survey's verification data.
    */
-  async completeSurvey() {
+  async previewQuality({ answers = {}, questions = [] } = {}) {
+    if (!this.currentSurvey) {
+      throw new Error('No active survey to preview');
+    }
+
+    // The latest tracked fix stands in for the end location
+    const { points } = this.getTrail();
+    const verification = {
+      ...this.verificationData,
+      endLocation: points.length > 0 ? points[points.length - 1] : this.verificationData.startLocation,
+      duration: Math.round((Date.now() - new Date(this.verificationData.startTime)) / 1000)
+    };
+    if (verification.geofenceTarget) {
+      verification.geofence = evaluateGeofence(verification, verification.geofenceTarget);
+      verification.outOfFence = verification.geofence.status === 'outside';
+    }
+    verification.fraud = await this.evaluateFraud(answers, questions, verification);
+
+    return evaluateQuality({ verification, answers, questions, environmentPhotoConfig: this.environmentPhotoConfig });
+  }
+
+  /**
+   * Complete survey verification and generate final packet, signed with the
+   * device key over the final answers and per-question notes. `questions`
+   * lets the fraud heuristics judge answer times by question type; `form` is the
+   * `{ formId, version }` the questions came from; `validationOverrides`
+   * lists the warnings the surveyor kept answers despite, with reasons.
+   */
+  async completeSurvey({ answers = {}, notes = null, questions = [], form = null, validationOverrides = [] } = {}) {
     if (!this.currentSurvey) {
       throw new Error('No active survey to complete');
     }
+    if (this.environmentPhotoConfig.required && !this.verificationData.environmentPhoto) {
+      throw new Error('An environment photo is required before completing the survey');
+    }
 
     try {
       // Stop location tracking
       this.stopLocationTracking();
 
-      // Get final location
-      const endLocation = await this.simulateGetLocation();
-      this.verificationData.endLocation = endLocation;
+      // Log any answer not committed yet (e.g. left unsaved by a crash)
+      // before the chain is sealed
+      await this.commitAnswers(answers);
+
+      this.verificationData.endLocation = await this.getLocation('end');
       this.verificationData.endTime = new Date().toISOString();
+      this.verificationData.form = form;
+      this.verificationData.validationOverrides = validationOverrides;
+      if (this.verificationData.endLocation) {
+        this.setTrail(addFix(this.getTrail(), this.verificationData.endLocation, this.trailOptions));
+      }
+      this.verificationData.trailSummary = summarizeTrail(this.getTrail());
+
+      // Compare where the interview happened with where it was assigned
+      if (this.verificationData.geofenceTarget) {
+        const geofence = evaluateGeofence(this.verificationData, this.verificationData.geofenceTarget);
+        this.verificationData.geofence = geofence;
+        this.verificationData.outOfFence = geofence.status === 'outside';
+      }
 
       // Calculate survey duration
       const duration = new Date(this.verificationData.endTime) - new Date(this.verificationData.startTime);
       this.verificationData.duration = Math.round(duration / 1000); // in seconds
 
+      const entries = this.verificationData.answerTimestamps;
+      this.verificationData.answerChain = {
+        algorithm: HASH_ALGORITHM,
+        head: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH,
+        length: entries.length
+      };
+
       // Generate verification hash
-      this.verificationData.verificationHash = this.generateVerificationHash();
+      this.verificationData.verificationHash = await this.generateVerificationHash(this.verificationData);
+      this.verificationData.contentHash = await hashSurveyContent({ answers, notes });
+      this.verificationData.fraud = await this.evaluateFraud(answers, questions);
+      this.verificationData.quality = evaluateQuality({
+        verification: this.verificationData,
+        answers,
+        questions,
+        environmentPhotoConfig: this.environmentPhotoConfig
+      });
 
       // Create final verification packet
       const verificationPacket = {
         ...this.verificationData,
         completedAt: new Date().toISOString(),
-        version: '1.0'
+        version: '1.3'
       };
 
+      // An unsigned packet is still kept; the backend decides whether to accept it
+      try {
+        verificationPacket.signature = await DeviceKeyService.signVerification(verificationPacket);
+      } catch (error) {
+        console.error('Failed to sign survey packet:', error);
+        verificationPacket.signature = null;
+        verificationPacket.signatureError = error.message;
+      }
+
       console.log('Survey verification completed:', verificationPacket);
       
+      // The trail now lives in the packet
+      this.trailPersistQueue = this.trailPersistQueue
+        .then(() => StorageService.deleteLocationTrail(verificationPacket.surveyId))
+        .catch(error => console.error('Failed to delete location trail:', error));
+
       // Reset for next survey
       this.currentSurvey = null;
       
@@ -143,26 +401,141 @@ class VerificationService {
   }
 
   /**
-   * Simulate getting GPS location (for demo purposes)
+   * Whether the environment photo should be taken at this stage ('start' or
+   * 'end') and has not been taken yet
+   */
+  needsEnvironmentPhoto(stage) {
+    return !!this.currentSurvey &&
+      this.environmentPhotoConfig.stage === stage &&
+      !this.verificationData.environmentPhoto;
+  }
+
+  /**
+   * Store a photo of the interview surroundings as a media attachment,
+   * geotagged with a fresh fix, and link it from the verification data
    */
-  simulateGetLocation() {
-    return new Promise((resolve) => {
-      // Simulate a slight delay
-      setTimeout(() => {
-        // Return simulated location data
-        const location = {
-          latitude: 25.6123 + (Math.random() * 0.01),
-          longitude: 85.1274 + (Math.random() * 0.01),
-          accuracy: 10 + (Math.random() * 5),
-          timestamp: new Date().toISOString()
-        };
-        resolve(location);
-      }, 200);
+  async attachEnvironmentPhoto(blob, { source = 'camera', stage = this.environmentPhotoConfig.stage } = {}) {
+    if (!this.currentSurvey) {
+      throw new Error('No active survey for environment photo');
+    }
+
+    const capturedAt = new Date().toISOString();
+    const location = await this.getLocation('environment-photo');
+    const attachment = await StorageService.saveMedia(blob, {
+      surveyId: this.currentSurvey,
+      questionId: 'environment',
+      type: 'environment_photo'
     });
+
+    const previous = this.verificationData.environmentPhoto;
+    this.verificationData.environmentPhoto = {
+      attachmentId: attachment.id,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      checksum: attachment.checksum,
+      capturedAt,
+      location,
+      stage,
+      source
+    };
+
+    // A retake replaces the earlier photo
+    if (previous && previous.attachmentId) {
+      StorageService.deleteMedia(previous.attachmentId).catch(console.error);
+    }
+
+    console.log('Environment photo attached:', attachment.id);
+    return this.verificationData.environmentPhoto;
   }
 
   /**
-   * Start simulated location tracking
+   * Run the fraud heuristics against this survey and the device's recent ones
+   */
+  async evaluateFraud(answers, questions, verification = this.verificationData) {
+    let previousSurveys = [];
+    try {
+      previousSurveys = (await StorageService.getRecentPackets(5))
+        .filter(packet => packet.surveyId !== verification.surveyId);
+    } catch (error) {
+      // Cross-survey rules are skipped; per-survey rules still run
+      console.error('Failed to load recent surveys for fraud checks:', error);
+    }
+
+    const questionTypes = {};
+    questions.forEach(question => {
+      questionTypes[question.id] = question.type;
+    });
+
+    const result = evaluateFraudRules({
+      verification,
+      answers,
+      questionTypes,
+      previousSurveys
+    });
+    if (result.flags.length > 0) {
+      console.warn(`Fraud heuristics flagged survey ${verification.surveyId}:`, result.flags);
+    }
+    return result;
+  }
+
+  /**
+   * Check the surveyor's current position against a target before a survey
+   * starts. Does not touch the active survey's verification data.
+   */
+  async checkGeofence(target) {
+    if (!isValidTarget(target)) {
+      return { status: 'unknown', location: null, error: null };
+    }
+
+    try {
+      const location = await this.locationProvider.getCurrentPosition(this.locationOptions);
+      return { ...checkLocation(location, target), location, error: null };
+    } catch (error) {
+      console.error('Failed to check geofence:', error);
+      return { status: 'unknown', location: null, error: { code: error.code, message: error.message } };
+    }
+  }
+
+  /**
+   * Get a single fix from the location provider; returns null on failure
+   * and records why (timeout, permission denied, ...) in the packet
+   */
+  async getLocation(context, options = {}) {
+    try {
+      return await this.locationProvider.getCurrentPosition({ ...this.locationOptions, ...options });
+    } catch (error) {
+      console.error(`Failed to get ${context} location:`, error);
+      this.recordLocationError(error, context);
+      return null;
+    }
+  }
+
+  /**
+   * Record a location failure; repeats of the same failure are counted
+   * rather than appended so a long outage does not bloat the packet
+   */
+  recordLocationError(error, context) {
+    const code = error.code || LOCATION_ERROR_CODES.POSITION_UNAVAILABLE;
+    const timestamp = new Date().toISOString();
+    const errors = this.verificationData.locationErrors;
+    const last = errors[errors.length - 1];
+
+    if (code === LOCATION_ERROR_CODES.PERMISSION_DENIED) {
+      this.verificationData.locationPermission = 'denied';
+    }
+
+    if (last && last.code === code && last.context === context) {
+      last.count += 1;
+      last.lastAt = timestamp;
+      return;
+    }
+
+    errors.push({ code, message: error.message, context, timestamp, lastAt: timestamp, count: 1 });
+  }
+
+  /**
+   * Start watching the device position; fixes are sampled adaptively into
+   * the location trail, which is persisted every few accepted fixes
    */
   startLocationTracking() {
     if (this.isTracking) {
@@ -170,28 +543,65 @@ class VerificationService {
     }
 
     this.isTracking = true;
-    
-    // Simulate periodic location updates
-    this.locationWatcher = setInterval(async () => {
-      const location = await this.simulateGetLocation();
-      this.verificationData.locationHistory.push(location);
-      
-      // Keep only last 10 locations to prevent memory issues
-      if (this.verificationData.locationHistory.length > 10) {
-        this.verificationData.locationHistory = this.verificationData.locationHistory.slice(-10);
-      }
-    }, 10000); // Every 10 seconds
+    this.fixesSincePersist = 0;
+
+    this.stopWatching = this.locationProvider.watchPosition(
+      (location) => {
+        const trail = this.getTrail();
+        if (!shouldRecordFix(trail.points[trail.points.length - 1], location, this.trailOptions)) {
+          return;
+        }
+
+        this.setTrail(addFix(trail, location, this.trailOptions));
+        this.fixesSincePersist += 1;
+        if (this.fixesSincePersist >= this.trailOptions.persistEveryFixes) {
+          this.persistTrail();
+        }
+      },
+      (error) => {
+        console.error('Location tracking error:', error);
+        this.recordLocationError(error, 'tracking');
+      },
+      this.locationOptions
+    );
+  }
+
+  getTrail() {
+    const { locationHistory, trailStats } = this.verificationData;
+    return trailStats ? { points: locationHistory, stats: trailStats } : createTrail(locationHistory);
+  }
+
+  setTrail(trail) {
+    this.verificationData.locationHistory = trail.points;
+    this.verificationData.trailStats = trail.stats;
+  }
+
+  /**
+   * Save the trail so fixes since the last draft save survive a crash
+   */
+  persistTrail() {
+    const { surveyId } = this.verificationData;
+    if (!surveyId) {
+      return this.trailPersistQueue;
+    }
+
+    this.fixesSincePersist = 0;
+    const trail = JSON.parse(JSON.stringify(this.getTrail()));
+    this.trailPersistQueue = this.trailPersistQueue
+      .then(() => StorageService.saveLocationTrail(surveyId, trail))
+      .catch(error => console.error('Failed to persist location trail:', error));
+    return this.trailPersistQueue;
   }
 
   /**
    * Stop location tracking
    */
   stopLocationTracking() {
-    if (this.locationWatcher) {
-      clearInterval(this.locationWatcher);
-      this.locationWatcher = null;
-      this.isTracking = false;
+    if (this.stopWatching) {
+      this.stopWatching();
+      this.stopWatching = null;
     }
+    this.isTracking = false;
   }
 
   /**
@@ -217,46 +627,41 @@ class VerificationService {
     } else if (typeof answer === 'object' && answer !== null) {
       if (answer.type === 'audio') return 'audio';
       if (answer.type === 'photo') return 'photo';
+      if (STRUCTURED_ANSWER_TYPES.includes(answer.type)) return answer.type;
       return 'object';
     }
     return 'unknown';
   }
 
   /**
-   * Get answer length/size for logging
+   * Get answer length for logging: characters for text and entered values,
+   * choices for multi-select, stored (compressed) byte size for media
    */
   getAnswerLength(answer) {
     if (typeof answer === 'string') {
       return answer.length;
-    } else if (typeof answer === 'object' && answer !== null && answer.blob) {
-      return answer.blob.size;
+    } else if (typeof answer === 'object' && answer !== null) {
+      if (typeof answer.size === 'number') return answer.size;
+      if (answer.blob) return answer.blob.size;
+      if (answer.type === 'multi_select') return answer.values.length;
+      if (answer.value !== undefined && answer.value !== null) return String(answer.value).length;
     }
     return 0;
   }
 
   /**
-   * Generate verification hash for data integrity
+   * Generate verification hash for data integrity (see packetSigning.js)
    */
-  generateVerificationHash() {
-    const dataString = JSON.stringify({
-      surveyId: this.verificationData.surveyId,
-      startTime: this.verificationData.startTime,
-      endTime: this.verificationData.endTime,
-      startLocation: this.verificationData.startLocation,
-      endLocation: this.verificationData.endLocation,
-      answerCount: this.verificationData.answerTimestamps.length,
-      locationCount: this.verificationData.locationHistory.length
-    });
-    
-    // Simple hash function (in production, use crypto.subtle.digest)
-    let hash = 0;
-    for (let i = 0; i < dataString.length; i++) {
-      const char = dataString.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    
-    return Math.abs(hash).toString(16);
+  generateVerificationHash(verificationData) {
+    return computeVerificationHash(verificationData);
+  }
+
+  /**
+   * Verify a completed packet's answer chain, hashes and signature (see
+   * packetSigning.verifyPacket)
+   */
+  verifyPacket(packet, options = {}) {
+    return verifyPacket(packet, options);
   }
 
   /**
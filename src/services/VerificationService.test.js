@@ -0,0 +1,178 @@
+import VerificationService from './VerificationService';
+import StorageService from './StorageService';
+import DeviceKeyService from './DeviceKeyService';
+import { FakeLocationProvider, LOCATION_ERROR_CODES } from './LocationProviders';
+
+const TARGET = { latitude: 0.3476, longitude: 32.5825, radiusMeters: 200 };
+
+// A fix `northDegrees` north of the target (0.001 degrees is about 111 m),
+// `seconds` into the interview
+const fix = (northDegrees, seconds = 0, extra = {}) => ({
+  latitude: TARGET.latitude + northDegrees,
+  longitude: TARGET.longitude,
+  accuracy: 5,
+  timestamp: new Date(Date.parse('2024-03-05T10:00:00.000Z') + seconds * 1000).toISOString(),
+  ...extra
+});
+
+let provider;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(StorageService, 'saveLocationTrail').mockResolvedValue(null);
+  jest.spyOn(StorageService, 'deleteLocationTrail').mockResolvedValue(null);
+  jest.spyOn(StorageService, 'getRecentPackets').mockResolvedValue([]);
+  jest.spyOn(DeviceKeyService, 'signVerification').mockResolvedValue(null);
+
+  provider = new FakeLocationProvider({ position: fix(0) });
+  VerificationService.setLocationProvider(provider);
+  VerificationService.configureEnvironmentPhoto({ required: false });
+  VerificationService.configureTrail({ persistEveryFixes: 2 });
+});
+
+afterEach(async () => {
+  VerificationService.suspendSurvey();
+  await VerificationService.trailPersistQueue;
+  jest.restoreAllMocks();
+});
+
+describe('VerificationService with a fake location provider', () => {
+  test('records the start location and permission state', async () => {
+    const data = await VerificationService.startSurvey('survey-1', { geofenceTarget: TARGET });
+
+    expect(data.startLocation).toMatchObject({ latitude: TARGET.latitude, source: 'fake' });
+    expect(data.locationPermission).toBe('granted');
+    expect(data.geofenceTarget).toEqual(TARGET);
+    expect(data.locationHistory).toHaveLength(1);
+    expect(VerificationService.getVerificationStatus().isTracking).toBe(true);
+  });
+
+  test('samples watched fixes into the trail and persists it', async () => {
+    await VerificationService.startSurvey('survey-1');
+
+    provider.emit(fix(0.001, 10)); // moved, after the moving interval
+    provider.emit(fix(0.001, 12)); // too soon
+    provider.emit(fix(0.002, 20));
+    await VerificationService.trailPersistQueue;
+
+    const { locationHistory, trailStats } = VerificationService.verificationData;
+    expect(locationHistory.map(point => point.timestamp)).toEqual([
+      fix(0).timestamp, fix(0, 10).timestamp, fix(0, 20).timestamp
+    ]);
+    expect(trailStats.samples).toBe(3);
+    expect(trailStats.totalDistanceMeters).toBeCloseTo(222.4, 0);
+    expect(StorageService.saveLocationTrail).toHaveBeenCalledTimes(1);
+    expect(StorageService.saveLocationTrail.mock.calls[0][0]).toBe('survey-1');
+  });
+
+  test('records location failures, counting repeats', async () => {
+    provider.enqueue(LOCATION_ERROR_CODES.TIMEOUT);
+    const data = await VerificationService.startSurvey('survey-1');
+
+    provider.emitError(LOCATION_ERROR_CODES.POSITION_UNAVAILABLE);
+    provider.emitError(LOCATION_ERROR_CODES.POSITION_UNAVAILABLE);
+
+    expect(data.startLocation).toBeNull();
+    expect(VerificationService.verificationData.locationErrors).toEqual([
+      expect.objectContaining({ code: 'TIMEOUT', context: 'start', count: 1 }),
+      expect.objectContaining({ code: 'POSITION_UNAVAILABLE', context: 'tracking', count: 2 })
+    ]);
+  });
+
+  test('denied permission is recorded without blocking the survey', async () => {
+    provider.setPermission('denied');
+
+    const data = await VerificationService.startSurvey('survey-1');
+
+    expect(data.locationPermission).toBe('denied');
+    expect(data.startLocation).toBeNull();
+    expect(data.locationErrors[0]).toMatchObject({ code: 'PERMISSION_DENIED', context: 'start' });
+  });
+
+  test('pre-start geofence check', async () => {
+    await expect(VerificationService.checkGeofence(TARGET)).resolves.toMatchObject({ status: 'inside', distanceMeters: 0 });
+
+    provider.setPosition(fix(0.01));
+    await expect(VerificationService.checkGeofence(TARGET)).resolves.toMatchObject({ status: 'outside', distanceMeters: 1112 });
+
+    provider.enqueue(LOCATION_ERROR_CODES.TIMEOUT);
+    await expect(VerificationService.checkGeofence(TARGET)).resolves.toMatchObject({
+      status: 'unknown',
+      location: null,
+      error: { code: 'TIMEOUT' }
+    });
+
+    await expect(VerificationService.checkGeofence(null)).resolves.toEqual({ status: 'unknown', location: null, error: null });
+  });
+
+  test('a survey that wandered outside the fence is partial', async () => {
+    await VerificationService.startSurvey('survey-1', { geofenceTarget: TARGET });
+    provider.emit(fix(0.005, 30));
+    provider.setPosition(fix(0, 60));
+
+    const packet = await VerificationService.completeSurvey({ answers: {} });
+
+    expect(packet.endLocation).toMatchObject({ latitude: TARGET.latitude });
+    expect(packet.geofence).toMatchObject({ status: 'partial', history: { outside: 1 } });
+    expect(packet.outOfFence).toBe(false);
+  });
+
+  test('a survey that ended outside the fence is flagged', async () => {
+    await VerificationService.startSurvey('survey-1', { geofenceTarget: TARGET });
+    provider.setPosition(fix(0.01, 60));
+
+    const packet = await VerificationService.completeSurvey({ answers: {} });
+
+    expect(packet.geofence).toMatchObject({ status: 'outside', end: { status: 'outside' } });
+    expect(packet.outOfFence).toBe(true);
+    expect(VerificationService.getVerificationStatus().isTracking).toBe(false);
+  });
+});
+
+describe('answer log', () => {
+  test('one chained entry per committed answer', async () => {
+    await VerificationService.startSurvey('survey-1');
+
+    await VerificationService.commitAnswers({ q1: 'Maize' });
+    await VerificationService.commitAnswers({ q1: 'Maize' });
+    await VerificationService.commitAnswers({ q1: 'Maize and beans', q2: undefined });
+
+    const entries = VerificationService.verificationData.answerTimestamps;
+    expect(entries.map(entry => entry.questionId)).toEqual(['q1', 'q1']);
+    expect(entries[1].previousHash).toBe(entries[0].hash);
+    expect(provider.requests.filter(options => options.maximumAge === VerificationService.answerLocationMaxAgeMs))
+      .toHaveLength(2);
+    expect(console.log).not.toHaveBeenCalledWith('Answer logged:', expect.anything());
+  });
+
+  test('completing a survey logs answers that were never committed', async () => {
+    await VerificationService.startSurvey('survey-1');
+    await VerificationService.commitAnswers({ q1: 'Yes' });
+
+    const answers = { q1: 'Yes', q2: { type: 'number', value: 4, unit: null } };
+    const verification = await VerificationService.completeSurvey({ answers });
+
+    expect(verification.answerTimestamps.map(entry => entry.questionId)).toEqual(['q1', 'q2']);
+    expect(verification.answerChain.length).toBe(2);
+    await expect(VerificationService.verifyPacket({ answers, verification })).resolves.toMatchObject({ valid: true });
+  });
+});
+
+describe('quality preview', () => {
+  test('scores the survey before completion without sealing it', async () => {
+    await VerificationService.startSurvey('survey-1', { geofenceTarget: TARGET });
+    provider.emit(fix(0.01, 60));
+    const questions = [{ id: 'q1', type: 'text' }, { id: 'q2', type: 'text' }];
+
+    const preview = await VerificationService.previewQuality({ answers: { q1: 'Yes' }, questions });
+
+    expect(preview.reasons.map(reason => reason.check))
+      .toEqual(expect.arrayContaining(['short_duration', 'out_of_area', 'skipped_questions']));
+    expect(preview.score).toBeLessThan(100);
+    expect(VerificationService.currentSurvey).not.toBeNull();
+    expect(VerificationService.verificationData).not.toHaveProperty('quality');
+    expect(VerificationService.verificationData).not.toHaveProperty('geofence');
+  });
+});
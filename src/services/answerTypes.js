@@ -0,0 +1,76 @@
+/**
+ * GroundTruth AI Answer Shapes
+ *
+ * The value stored in `answers[questionId]` for each question type:
+ * - multiple_choice, text: the chosen option or the typed text
+ * - number: `{ type: 'number', value, unit }`
+ * - date: `{ type: 'date', mode, value }`, value as 'YYYY-MM-DD', 'HH:mm' or
+ *   'YYYY-MM-DDTHH:mm' for the date, time and datetime modes
+ * - multi_select: `{ type: 'multi_select', values, other }`; `values` lists the
+ *   chosen options (plus OTHER_OPTION) and `other` is the specified text
+ * - likert: `{ type: 'likert', value, label }`, value counting from 1
+ * - gps_point: `{ type: 'gps_point', latitude, longitude, accuracy, altitude, timestamp }`
+ * - barcode: `{ type: 'barcode', value, format, source }`, source 'scan' or 'manual'
+ * - audio, photo: media references (see mediaUtils.js)
+ *
+ * An unanswered or cleared question has no value or null.
+ */
+
+export const STRUCTURED_ANSWER_TYPES = ['number', 'date', 'multi_select', 'likert', 'gps_point', 'barcode'];
+
+// Stored in multi_select `values` when "Other (specify)" is chosen
+export const OTHER_OPTION = 'Other';
+
+// HTML input type and value format for each date mode
+export const DATE_MODES = {
+  date: { inputType: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/, example: '2024-01-31' },
+  time: { inputType: 'time', pattern: /^\d{2}:\d{2}$/, example: '09:30' },
+  datetime: { inputType: 'datetime-local', pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/, example: '2024-01-31T09:30' }
+};
+
+export const DEFAULT_LIKERT_POINTS = 5;
+
+// Flags a surveyor can attach to any question alongside a note; a flag that
+// `replacesAnswer` satisfies a required question left unanswered
+export const ANSWER_FLAGS = {
+  unsure: { label: 'Respondent unsure', replacesAnswer: false },
+  refused: { label: 'Refused', replacesAnswer: true },
+  dont_know: { label: "Don't know", replacesAnswer: true }
+};
+
+/**
+ * Whether a question has an answer at all
+ */
+export function hasAnswer(answer) {
+  if (answer === undefined || answer === null || answer === '') return false;
+  if (answer && answer.type === 'multi_select') return answer.values.length > 0;
+  return true;
+}
+
+/**
+ * Plain value of an answer for comparisons in form logic: the number, date,
+ * scale point or code itself, and the list of choices for multi_select
+ */
+export function getAnswerValue(answer) {
+  if (!answer || typeof answer !== 'object' || !STRUCTURED_ANSWER_TYPES.includes(answer.type)) {
+    return answer;
+  }
+  if (answer.type === 'multi_select') return answer.values;
+  if (answer.type === 'gps_point') return `${answer.latitude},${answer.longitude}`;
+  return answer.value;
+}
+
+/**
+ * Points of a likert question as `{ value, label }`, from its `labels` or
+ * from `points` with optional end labels
+ */
+export function getLikertPoints(question) {
+  if (Array.isArray(question.labels)) {
+    return question.labels.map((label, index) => ({ value: index + 1, label }));
+  }
+  const count = question.points || DEFAULT_LIKERT_POINTS;
+  return Array.from({ length: count }, (_, index) => ({
+    value: index + 1,
+    label: index === 0 ? question.minLabel || null : index === count - 1 ? question.maxLabel || null : null
+  }));
+}
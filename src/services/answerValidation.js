@@ -0,0 +1,304 @@
+/**
+ * GroundTruth AI Answer Validation
+ *
+ * Checks an answer against its question: the required flag, the built-in
+ * checks of its type (number range, "Other (specify)", GPS accuracy...) and
+ * the declarative `constraints` listed in the form definition:
+ *
+ *   "constraints": [
+ *     { "pattern": "^[0-9]{10}$", "message": { "en": "Enter 10 digits", "hi": "10 अंक दर्ज करें" } },
+ *     { "min": 1, "max": 30 },
+ *     { "minLength": 10, "maxLength": 500 },
+ *     { "id": "members", "expression": "${household_members} >= ${children}",
+ *       "severity": "warning" }
+ *   ]
+ *
+ * Each constraint uses one kind of check. `severity` is 'error' (default),
+ * which blocks the answer, or 'warning', which the surveyor may override with
+ * a reason. `message` is text or a map of locale to text; without one a
+ * localized default is used. An expression constraint holds when it is true;
+ * it may refer to the question itself and earlier questions, and is skipped
+ * while any other question it refers to is unanswered.
+ */
+
+import { compileExpression } from './expressions';
+import { hasAnswer, getAnswerValue, OTHER_OPTION, ANSWER_FLAGS } from './answerTypes';
+
+export const SEVERITIES = ['error', 'warning'];
+
+const CONSTRAINT_KINDS = {
+  pattern: ['pattern', 'flags'],
+  range: ['min', 'max'],
+  length: ['minLength', 'maxLength'],
+  expression: ['expression']
+};
+const CONSTRAINT_COMMON_FIELDS = ['id', 'severity', 'message'];
+
+export const DEFAULT_LOCALE = 'en';
+
+// Default messages; `{name}` is replaced with the matching parameter
+export const MESSAGES = {
+  en: {
+    required: 'This question is required',
+    notANumber: 'Enter a number',
+    notAWholeNumber: 'Enter a whole number',
+    min: 'Must be at least {min}{unit}',
+    max: 'Must be at most {max}{unit}',
+    dateMin: 'Must be on or after {min}',
+    dateMax: 'Must be on or before {max}',
+    otherUnspecified: 'Specify the other answer',
+    gpsAccuracy: 'Location is only accurate to ±{accuracy} m; capture again (needs ±{maxAccuracy} m)',
+    pattern: 'The answer is not in the expected format',
+    minLength: 'Enter at least {minLength} characters',
+    maxLength: 'Enter at most {maxLength} characters',
+    minChoices: 'Choose at least {minLength}',
+    maxChoices: 'Choose at most {maxLength}',
+    expression: 'This answer does not agree with earlier answers',
+    overrideReason: 'Reason for keeping this answer',
+    overrideRequired: 'Correct the answer or give a reason to continue'
+  },
+  hi: {
+    required: 'यह प्रश्न आवश्यक है',
+    notANumber: 'एक संख्या दर्ज करें',
+    notAWholeNumber: 'एक पूर्ण संख्या दर्ज करें',
+    min: 'कम से कम {min}{unit} होना चाहिए',
+    max: 'अधिकतम {max}{unit} होना चाहिए',
+    dateMin: '{min} या उसके बाद का होना चाहिए',
+    dateMax: '{max} या उससे पहले का होना चाहिए',
+    otherUnspecified: 'अन्य उत्तर बताएं',
+    gpsAccuracy: 'स्थान केवल ±{accuracy} मी तक सटीक है; फिर से लें (±{maxAccuracy} मी आवश्यक)',
+    pattern: 'उत्तर अपेक्षित प्रारूप में नहीं है',
+    minLength: 'कम से कम {minLength} अक्षर दर्ज करें',
+    maxLength: 'अधिकतम {maxLength} अक्षर दर्ज करें',
+    minChoices: 'कम से कम {minLength} चुनें',
+    maxChoices: 'अधिकतम {maxLength} चुनें',
+    expression: 'यह उत्तर पिछले उत्तरों से मेल नहीं खाता',
+    overrideReason: 'यह उत्तर रखने का कारण',
+    overrideRequired: 'उत्तर सुधारें या आगे बढ़ने का कारण बताएं'
+  }
+};
+
+/**
+ * The device's language, e.g. 'hi-IN'
+ */
+export function getLocale() {
+  return (typeof navigator !== 'undefined' && navigator.language) || DEFAULT_LOCALE;
+}
+
+/**
+ * Pick the text for a locale from a string or a `{ locale: text }` map,
+ * falling back to the base language and then the default locale
+ */
+export function localize(message, locale = getLocale()) {
+  if (!message || typeof message === 'string') return message || null;
+  const base = locale.split('-')[0];
+  return message[locale] || message[base] || message[DEFAULT_LOCALE] || Object.values(message)[0] || null;
+}
+
+/**
+ * Localized default message for `key` with `{name}` parameters filled in
+ */
+export function formatMessage(key, params = {}, locale = getLocale()) {
+  const base = locale.split('-')[0];
+  const template = (MESSAGES[locale] || MESSAGES[base] || MESSAGES[DEFAULT_LOCALE])[key] || MESSAGES[DEFAULT_LOCALE][key];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+}
+
+const getConstraintKind = constraint =>
+  Object.keys(CONSTRAINT_KINDS).filter(kind => CONSTRAINT_KINDS[kind].some(field => constraint[field] !== undefined));
+
+const getConstraintId = (constraint, index) => constraint.id || `constraint-${index + 1}`;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * List the problems with a question's `constraints` (empty when valid).
+ * `earlierIds` are the IDs of the questions before this one.
+ */
+export function validateConstraintDefinitions(question, earlierIds) {
+  if (question.constraints === undefined) return [];
+  if (!Array.isArray(question.constraints)) return ['constraints must be a list'];
+
+  const errors = [];
+  const ids = new Set();
+  question.constraints.forEach((constraint, index) => {
+    const fail = message => errors.push(`constraint ${index + 1}: ${message}`);
+    if (!constraint || typeof constraint !== 'object' || Array.isArray(constraint)) {
+      fail('must be an object');
+      return;
+    }
+
+    const kinds = getConstraintKind(constraint);
+    if (kinds.length !== 1) {
+      fail('must use exactly one of pattern, min/max, minLength/maxLength or expression');
+      return;
+    }
+    const kind = kinds[0];
+
+    Object.keys(constraint)
+      .filter(key => !CONSTRAINT_COMMON_FIELDS.includes(key) && !CONSTRAINT_KINDS[kind].includes(key))
+      .forEach(key => fail(`field "${key}" is not allowed with ${kind}`));
+
+    const id = getConstraintId(constraint, index);
+    if (ids.has(id)) fail(`id "${id}" is used by another constraint`);
+    ids.add(id);
+
+    if (constraint.severity !== undefined && !SEVERITIES.includes(constraint.severity)) {
+      fail(`severity must be ${SEVERITIES.join(' or ')}`);
+    }
+    if (constraint.message !== undefined && !(typeof constraint.message === 'string' ||
+        (constraint.message && typeof constraint.message === 'object' && !Array.isArray(constraint.message) &&
+          Object.keys(constraint.message).length > 0 && Object.values(constraint.message).every(text => typeof text === 'string')))) {
+      fail('message must be text or a map of locale to text');
+    }
+
+    if (kind === 'pattern') {
+      if (typeof constraint.pattern !== 'string') {
+        fail('pattern must be a regular expression string');
+        return;
+      }
+      try {
+        new RegExp(constraint.pattern, constraint.flags);
+      } catch (error) {
+        fail(`pattern is not a valid regular expression: ${error.message}`);
+      }
+    } else if (kind === 'range' || kind === 'length') {
+      const [low, high] = CONSTRAINT_KINDS[kind];
+      [low, high].forEach(key => {
+        if (constraint[key] !== undefined && !(isNumber(constraint[key]) && (kind === 'range' || Number.isInteger(constraint[key])))) {
+          fail(`${key} must be a ${kind === 'range' ? 'number' : 'whole number'}`);
+        }
+      });
+      if (isNumber(constraint[low]) && isNumber(constraint[high]) && constraint[low] > constraint[high]) {
+        fail(`${low} must not exceed ${high}`);
+      }
+    } else {
+      try {
+        compileExpression(constraint.expression).references
+          .filter(reference => reference !== String(question.id) && !earlierIds.has(reference))
+          .forEach(reference => fail(`expression refers to "${reference}", which is not this or an earlier question`));
+      } catch (error) {
+        fail(`expression is not valid: ${error.message}`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Checks every question of a type gets; each returns null or a message
+ * `{ key, params }`
+ */
+function checkType(question, answer) {
+  if (!answer || typeof answer !== 'object') return null;
+  const unit = question.unit ? ` ${question.unit}` : '';
+
+  switch (answer.type) {
+    case 'number':
+      if (!Number.isFinite(answer.value)) return { key: 'notANumber' };
+      if (question.integer && !Number.isInteger(answer.value)) return { key: 'notAWholeNumber' };
+      if (isNumber(question.min) && answer.value < question.min) return { key: 'min', params: { min: question.min, unit } };
+      if (isNumber(question.max) && answer.value > question.max) return { key: 'max', params: { max: question.max, unit } };
+      return null;
+    case 'date':
+      // Values of one mode sort as strings
+      if (question.min && answer.value < question.min) return { key: 'dateMin', params: { min: question.min } };
+      if (question.max && answer.value > question.max) return { key: 'dateMax', params: { max: question.max } };
+      return null;
+    case 'multi_select':
+      if (answer.values.includes(OTHER_OPTION) && !(answer.other || '').trim()) return { key: 'otherUnspecified' };
+      return null;
+    case 'gps_point':
+      if (question.maxAccuracyMeters && answer.accuracy > question.maxAccuracyMeters) {
+        return { key: 'gpsAccuracy', params: { accuracy: Math.round(answer.accuracy), maxAccuracy: question.maxAccuracyMeters } };
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a constraint holds; returns null or a default message `{ key, params }`
+ */
+function checkConstraint(constraint, question, answers) {
+  const answer = answers[question.id];
+  const value = getAnswerValue(answer);
+  const kind = getConstraintKind(constraint)[0];
+
+  if (kind === 'pattern') {
+    return new RegExp(constraint.pattern, constraint.flags).test(String(value)) ? null : { key: 'pattern' };
+  }
+
+  if (kind === 'range') {
+    const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    if (!Number.isFinite(number)) return { key: 'notANumber' };
+    const unit = question.unit ? ` ${question.unit}` : '';
+    if (isNumber(constraint.min) && number < constraint.min) return { key: 'min', params: { min: constraint.min, unit } };
+    if (isNumber(constraint.max) && number > constraint.max) return { key: 'max', params: { max: constraint.max, unit } };
+    return null;
+  }
+
+  if (kind === 'length') {
+    const choices = Array.isArray(value);
+    const length = choices ? value.length : String(value).length;
+    if (isNumber(constraint.minLength) && length < constraint.minLength) {
+      return { key: choices ? 'minChoices' : 'minLength', params: { minLength: constraint.minLength } };
+    }
+    if (isNumber(constraint.maxLength) && length > constraint.maxLength) {
+      return { key: choices ? 'maxChoices' : 'maxLength', params: { maxLength: constraint.maxLength } };
+    }
+    return null;
+  }
+
+  const expression = compileExpression(constraint.expression);
+  const waiting = expression.references.some(reference => reference !== String(question.id) && !hasAnswer(answers[reference]));
+  if (waiting) return null;
+  return expression.evaluate(answers) ? null : { key: 'expression' };
+}
+
+/**
+ * Check the answer to `question` given all answers. Returns
+ * `{ errors, warnings }`, each a list of `{ rule, message }`; `rule` is
+ * 'required', 'type' or the constraint's id. The required check only runs
+ * with `requireAnswer` (on Next) so an untouched question shows no error,
+ * and is waived when the question is flagged e.g. as refused.
+ */
+export function checkAnswer(question, answers, { locale = getLocale(), requireAnswer = false, flag = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const answer = answers[question.id];
+
+  if (!hasAnswer(answer)) {
+    const waived = flag && ANSWER_FLAGS[flag] && ANSWER_FLAGS[flag].replacesAnswer;
+    if (requireAnswer && question.required && !waived) {
+      errors.push({ rule: 'required', message: formatMessage('required', {}, locale) });
+    }
+    return { errors, warnings };
+  }
+
+  const typeProblem = checkType(question, answer);
+  if (typeProblem) {
+    errors.push({ rule: 'type', message: formatMessage(typeProblem.key, typeProblem.params, locale) });
+  }
+
+  (question.constraints || []).forEach((constraint, index) => {
+    let problem;
+    try {
+      problem = checkConstraint(constraint, question, answers);
+    } catch (error) {
+      // A broken rule must not trap the surveyor on the question
+      console.error(`Constraint ${index + 1} of question ${question.id} failed:`, error);
+      return;
+    }
+    if (!problem) return;
+
+    const issue = {
+      rule: getConstraintId(constraint, index),
+      message: localize(constraint.message, locale) || formatMessage(problem.key, problem.params, locale)
+    };
+    (constraint.severity === 'warning' ? warnings : errors).push(issue);
+  });
+
+  return { errors, warnings };
+}
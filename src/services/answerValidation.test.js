@@ -0,0 +1,157 @@
+// Expressions reference answers as ${id} inside plain strings
+/* eslint-disable no-template-curly-in-string */
+import { checkAnswer, formatMessage, localize, validateConstraintDefinitions } from './answerValidation';
+
+const PHONE = {
+  id: 'phone',
+  type: 'text',
+  constraints: [
+    { pattern: '^[0-9]{10}$', message: { en: 'Enter 10 digits', hi: '10 अंक दर्ज करें' } }
+  ]
+};
+
+const check = (question, answers, options = {}) => checkAnswer(question, answers, { locale: 'en', ...options });
+
+describe('checkAnswer constraints', () => {
+  test('pattern', () => {
+    expect(check(PHONE, { phone: '0712345678' })).toEqual({ errors: [], warnings: [] });
+    expect(check(PHONE, { phone: '07123' }).errors).toEqual([{ rule: 'constraint-1', message: 'Enter 10 digits' }]);
+  });
+
+  test('range, with the unit in the default message', () => {
+    const question = { id: 'age', type: 'text', unit: 'years', constraints: [{ min: 15, max: 99 }] };
+
+    expect(check(question, { age: '42' }).errors).toEqual([]);
+    expect(check(question, { age: '12' }).errors[0].message).toBe('Must be at least 15 years');
+    expect(check(question, { age: '120' }).errors[0].message).toBe('Must be at most 99 years');
+    expect(check(question, { age: 'old' }).errors[0].message).toBe('Enter a number');
+  });
+
+  test('length of text and number of choices', () => {
+    const text = { id: 'reason', type: 'text', constraints: [{ minLength: 10, maxLength: 20 }] };
+    const choices = { id: 'crops', type: 'multi_select', constraints: [{ maxLength: 2 }] };
+
+    expect(check(text, { reason: 'Too short' }).errors[0].message).toBe('Enter at least 10 characters');
+    expect(check(text, { reason: 'Far too long for this field' }).errors[0].message).toBe('Enter at most 20 characters');
+    expect(check(choices, { crops: { type: 'multi_select', values: ['Rice', 'Maize', 'Beans'] } }).errors[0].message)
+      .toBe('Choose at most 2');
+  });
+
+  test('cross-question expressions wait for the questions they refer to', () => {
+    const question = {
+      id: 'children',
+      type: 'number',
+      constraints: [{ id: 'members', expression: '${household_members} >= ${children}' }]
+    };
+    const children = value => ({ type: 'number', value, unit: null });
+
+    expect(check(question, { children: children(3) }).errors).toEqual([]);
+    expect(check(question, { household_members: children(5), children: children(3) }).errors).toEqual([]);
+    expect(check(question, { household_members: children(2), children: children(3) }).errors).toEqual([
+      { rule: 'members', message: 'This answer does not agree with earlier answers' }
+    ]);
+  });
+
+  test('warnings are reported apart from errors', () => {
+    const question = {
+      id: 'income',
+      type: 'text',
+      constraints: [
+        { id: 'plausible', max: 100000, severity: 'warning', message: 'Unusually high income' },
+        { pattern: '^[0-9]+$' }
+      ]
+    };
+
+    expect(check(question, { income: '250000' })).toEqual({
+      errors: [],
+      warnings: [{ rule: 'plausible', message: 'Unusually high income' }]
+    });
+    expect(check(question, { income: '25k' }).errors.map(error => error.rule)).toEqual(['constraint-2']);
+  });
+
+  test('a broken constraint is skipped rather than blocking the answer', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const question = { id: 'q1', type: 'text', constraints: [{ pattern: '(' }] };
+
+    expect(check(question, { q1: 'anything' })).toEqual({ errors: [], warnings: [] });
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe('required answers', () => {
+  const question = { id: 'q1', type: 'text', required: true, constraints: [{ minLength: 3 }] };
+
+  test('are only checked on Next', () => {
+    expect(check(question, {}).errors).toEqual([]);
+    expect(check(question, {}, { requireAnswer: true }).errors).toEqual([{ rule: 'required', message: 'This question is required' }]);
+  });
+
+  test('are waived when the respondent refused or does not know, but not when unsure', () => {
+    expect(check(question, {}, { requireAnswer: true, flag: 'refused' }).errors).toEqual([]);
+    expect(check(question, {}, { requireAnswer: true, flag: 'dont_know' }).errors).toEqual([]);
+    expect(check(question, {}, { requireAnswer: true, flag: 'unsure' }).errors.map(error => error.rule)).toEqual(['required']);
+  });
+});
+
+describe('localized messages', () => {
+  test('fall back from hi-IN to hi to en', () => {
+    const message = { en: 'English', hi: 'हिन्दी' };
+
+    expect(localize(message, 'hi-IN')).toBe('हिन्दी');
+    expect(localize({ en: 'English', 'hi-IN': 'भारत' }, 'hi-IN')).toBe('भारत');
+    expect(localize(message, 'sw-KE')).toBe('English');
+    expect(localize({ fr: 'Français' }, 'sw')).toBe('Français');
+    expect(formatMessage('required', {}, 'hi-IN')).toBe('यह प्रश्न आवश्यक है');
+    expect(formatMessage('minLength', { minLength: 3 }, 'sw-KE')).toBe('Enter at least 3 characters');
+  });
+
+  test('constraint and default messages follow the locale', () => {
+    expect(check(PHONE, { phone: '1' }, { locale: 'hi-IN' }).errors[0].message).toBe('10 अंक दर्ज करें');
+    expect(check({ id: 'q1', type: 'text', constraints: [{ maxLength: 2 }] }, { q1: 'abc' }, { locale: 'hi-IN' }).errors[0].message)
+      .toBe('अधिकतम 2 अक्षर दर्ज करें');
+  });
+});
+
+describe('validateConstraintDefinitions', () => {
+  const earlier = new Set(['household_members']);
+  const errorsFor = constraints => validateConstraintDefinitions({ id: 'children', constraints }, earlier);
+
+  test('accepts well-formed constraints', () => {
+    expect(validateConstraintDefinitions({ id: 'q1' }, earlier)).toEqual([]);
+    expect(errorsFor([
+      PHONE.constraints[0],
+      { min: 0, max: 20, severity: 'warning' },
+      { minLength: 1 },
+      { id: 'members', expression: '${household_members} >= ${children}' }
+    ])).toEqual([]);
+  });
+
+  test('reports each malformed constraint by position', () => {
+    expect(errorsFor('min 1')).toEqual(['constraints must be a list']);
+    expect(errorsFor([
+      'pattern',
+      { min: 1, minLength: 2 },
+      { pattern: '[' },
+      { min: 5, max: 1 },
+      { minLength: 1.5 },
+      { max: 3, severity: 'fatal', message: [] },
+      { expression: '${later} > 1' },
+      { expression: '${children} >' },
+      { id: 'dup', min: 1 },
+      { id: 'dup', max: 2, unit: 'kg' }
+    ])).toEqual([
+      'constraint 1: must be an object',
+      'constraint 2: must use exactly one of pattern, min/max, minLength/maxLength or expression',
+      expect.stringMatching(/^constraint 3: pattern is not a valid regular expression: /),
+      'constraint 4: min must not exceed max',
+      'constraint 5: minLength must be a whole number',
+      'constraint 6: severity must be error or warning',
+      'constraint 6: message must be text or a map of locale to text',
+      'constraint 7: expression refers to "later", which is not this or an earlier question',
+      'constraint 8: expression is not valid: Unexpected end of expression at position 14',
+      'constraint 10: field "unit" is not allowed with range',
+      'constraint 10: id "dup" is used by another constraint'
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * GroundTruth AI Audio Utilities
+ *
+ * Helpers for recorded answers:
+ * - Negotiating a MediaRecorder MIME type the browser actually supports
+ * - Optional transcoding to 16 kHz mono 16-bit PCM WAV for the ASR pipeline
+ * - A live input level meter
+ */
+
+// In order of preference; Safari only records audio/mp4
+const PREFERRED_AUDIO_TYPES = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/ogg;codecs=opus',
+  'audio/mp4',
+  'audio/aac'
+];
+
+export const DEFAULT_AUDIO_OPTIONS = {
+  transcodeToWav: process.env.REACT_APP_AUDIO_TRANSCODE_WAV === 'true',
+  wavSampleRate: 16000,
+  maxDurationSec: 300,
+  minDurationSec: 0
+};
+
+const getAudioContextClass = () => window.AudioContext || window.webkitAudioContext;
+
+/**
+ * First preferred MIME type MediaRecorder supports, or '' to let the
+ * browser pick (the recorder's `mimeType` then says what it chose)
+ */
+export function getSupportedAudioMimeType() {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) {
+    return '';
+  }
+  return PREFERRED_AUDIO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Encode mono float samples as a 16-bit PCM WAV Blob
+ */
+export function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // PCM header size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Decode a recording and resample it to mono WAV at `sampleRate`.
+ * Returns the WAV Blob and the exact duration in seconds.
+ */
+export async function transcodeToWav(blob, { sampleRate = DEFAULT_AUDIO_OPTIONS.wavSampleRate } = {}) {
+  const AudioContextClass = getAudioContextClass();
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!AudioContextClass || !OfflineContextClass) {
+    throw new Error('Web Audio is not supported on this device');
+  }
+
+  const context = new AudioContextClass();
+  let decoded;
+  try {
+    decoded = await context.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    context.close();
+  }
+
+  // Rendering into a single channel downmixes; the sample rate resamples
+  const offline = new OfflineContextClass(1, Math.max(1, Math.ceil(decoded.duration * sampleRate)), sampleRate);
+  const source = offline.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offline.destination);
+  source.start();
+  const rendered = await offline.startRendering();
+
+  return {
+    blob: encodeWav(rendered.getChannelData(0), sampleRate),
+    durationSec: decoded.duration
+  };
+}
+
+/**
+ * Report the input level (0-1, RMS) of a stream about every animation frame.
+ * Returns a function that stops the meter.
+ */
+export function createLevelMeter(stream, onLevel) {
+  const AudioContextClass = getAudioContextClass();
+  if (!AudioContextClass) {
+    return () => {};
+  }
+
+  const context = new AudioContextClass();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  context.createMediaStreamSource(stream).connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let frame = null;
+  const tick = () => {
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+    // Speech RMS rarely exceeds ~0.3; scale so normal speech fills the meter
+    onLevel(Math.min(1, rms * 3));
+    frame = requestAnimationFrame(tick);
+  };
+  tick();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    context.close();
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * GroundTruth AI Expression Engine
+ *
+ * Small expression language for form logic such as question relevance:
+ *
+ *   ${occupation} = 'Farming' and (${income} < 5000 or not ${has_land} = 'Yes')
+ *
+ * - `${id}` is the answer to question `id` (null when unanswered)
+ * - Literals: numbers, 'single' or "double" quoted strings, true, false, null
+ * - Comparison: =  !=  <  <=  >  >=
+ * - Boolean: and, or, not, parentheses
+ *
+ * Numeric strings compare as numbers, so a text answer "4500" is < 5000.
+ * Ordering comparisons with an unanswered question are false. Structured
+ * answers compare by their plain value (see answerTypes.js), and
+ * `${crops} = 'Rice'` on a multi-select is true when 'Rice' is one of the choices.
+ */
+
+import { getAnswerValue } from './answerTypes';
+
+export class ExpressionError extends Error {
+  constructor(message, { position = null } = {}) {
+    super(position === null ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const COMPARISON_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null'];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (source.startsWith('${', i)) {
+      const end = source.indexOf('}', i);
+      if (end === -1) throw new ExpressionError('Unclosed question reference', { position: i });
+      const id = source.slice(i + 2, end).trim();
+      if (!id) throw new ExpressionError('Empty question reference', { position: i });
+      tokens.push({ type: 'reference', value: id, position: i });
+      i = end + 1;
+    } else if (char === '\'' || char === '"') {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) throw new ExpressionError('Unclosed string', { position: i });
+      tokens.push({ type: 'literal', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if (/[0-9.]/.test(char) || (char === '-' && /[0-9.]/.test(source[i + 1] || ''))) {
+      const match = /^-?(\d+\.?\d*|\.\d+)/.exec(source.slice(i));
+      if (!match) throw new ExpressionError('Invalid number', { position: i });
+      tokens.push({ type: 'literal', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[<>!=]/.test(char)) {
+      const start = i;
+      const operator = ['<=', '>=', '!='].find(op => source.startsWith(op, start)) || char;
+      if (!COMPARISON_OPERATORS.includes(operator)) {
+        throw new ExpressionError(`Unknown operator "${operator}"`, { position: i });
+      }
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (/[a-z]/i.test(char)) {
+      const word = /^[a-z]+/i.exec(source.slice(i))[0];
+      const keyword = word.toLowerCase();
+      if (!KEYWORDS.includes(keyword)) {
+        throw new ExpressionError(`Unknown word "${word}" (wrap text in quotes)`, { position: i });
+      }
+      if (['true', 'false', 'null'].includes(keyword)) {
+        tokens.push({ type: 'literal', value: JSON.parse(keyword), position: i });
+      } else {
+        tokens.push({ type: keyword, position: i });
+      }
+      i += word.length;
+    } else {
+      throw new ExpressionError(`Unexpected character "${char}"`, { position: i });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST:
+ * { type: 'or'|'and', left, right } | { type: 'not', operand }
+ * { type: 'compare', operator, left, right } | reference | literal
+ */
+function parse(tokens, source) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw new ExpressionError(message, { position: token ? token.position : source.length });
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('Unexpected end of expression');
+
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') fail('Expected ")"');
+      index++;
+      return node;
+    }
+    if (token.type === 'reference' || token.type === 'literal') {
+      index++;
+      return token;
+    }
+    return fail(`Unexpected ${token.type === 'operator' ? `"${token.value}"` : `"${token.type}"`}`);
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (token && token.type === 'operator') {
+      index++;
+      return { type: 'compare', operator: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'not') {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek() && peek().type === 'and') {
+      index++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === 'or') {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  if (tokens.length === 0) fail('Expression is empty');
+  const ast = parseOr();
+  if (index < tokens.length) fail('Unexpected token');
+  return ast;
+}
+
+const toNumber = value => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+function compare(operator, left, right) {
+  if (Array.isArray(left) || Array.isArray(right)) {
+    const [list, item] = Array.isArray(left) ? [left, right] : [right, left];
+    const contains = isEmpty(item) ? list.length === 0 : list.some(value => compare('=', value, item));
+    if (operator === '=' || operator === '!=') return operator === '=' ? contains : !contains;
+    return false;
+  }
+
+  if (operator === '=' || operator === '!=') {
+    let equal;
+    if (isEmpty(left) || isEmpty(right)) {
+      equal = isEmpty(left) && isEmpty(right);
+    } else if (toNumber(left) !== null && toNumber(right) !== null) {
+      equal = toNumber(left) === toNumber(right);
+    } else {
+      equal = String(left) === String(right);
+    }
+    return operator === '=' ? equal : !equal;
+  }
+
+  if (isEmpty(left) || isEmpty(right)) return false;
+  const a = toNumber(left) !== null && toNumber(right) !== null ? toNumber(left) : String(left);
+  const b = typeof a === 'number' ? toNumber(right) : String(right);
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+const truthy = value => !isEmpty(value) && value !== false && !(Array.isArray(value) && value.length === 0);
+
+function evaluateNode(node, answers) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'reference':
+      return answers[node.value] === undefined ? null : getAnswerValue(answers[node.value]);
+    case 'not':
+      return !truthy(evaluateNode(node.operand, answers));
+    case 'and':
+      return truthy(evaluateNode(node.left, answers)) && truthy(evaluateNode(node.right, answers));
+    case 'or':
+      return truthy(evaluateNode(node.left, answers)) || truthy(evaluateNode(node.right, answers));
+    default:
+      return compare(node.operator, evaluateNode(node.left, answers), evaluateNode(node.right, answers));
+  }
+}
+
+function collectReferences(node, references) {
+  if (node.type === 'reference') references.add(node.value);
+  ['left', 'right', 'operand'].forEach(key => {
+    if (node[key]) collectReferences(node[key], references);
+  });
+  return references;
+}
+
+const compiled = new Map();
+
+/**
+ * Parse an expression once; returns `{ source, references, evaluate(answers) }`.
+ * Throws an ExpressionError for invalid syntax.
+ */
+export function compileExpression(source) {
+  if (typeof source !== 'string') {
+    throw new ExpressionError('Expression must be a string');
+  }
+  if (!compiled.has(source)) {
+    const ast = parse(tokenize(source), source);
+    compiled.set(source, {
+      source,
+      references: [...collectReferences(ast, new Set())],
+      evaluate: answers => truthy(evaluateNode(ast, answers || {}))
+    });
+  }
+  return compiled.get(source);
+}
+
+/**
+ * Evaluate an expression against answers keyed by question ID
+ */
+export function evaluateExpression(source, answers) {
+  return compileExpression(source).evaluate(answers);
+}
@@ -0,0 +1,82 @@
+// Expressions reference answers as ${id} inside plain strings
+/* eslint-disable no-template-curly-in-string */
+import { ExpressionError, compileExpression, evaluateExpression } from './expressions';
+
+// The error an invalid expression throws
+function errorFor(source) {
+  try {
+    compileExpression(source);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected "${source}" to be rejected`);
+}
+
+describe('evaluateExpression', () => {
+  test('and binds tighter than or, and not tighter than and', () => {
+    expect(evaluateExpression('true or true and false', {})).toBe(true);
+    expect(evaluateExpression('(true or true) and false', {})).toBe(false);
+    expect(evaluateExpression('not false and false', {})).toBe(false);
+    expect(evaluateExpression('not (false and false)', {})).toBe(true);
+    expect(evaluateExpression('not ${a} = 1', { a: 2 })).toBe(true);
+  });
+
+  test('numeric strings compare as numbers, other strings as text', () => {
+    expect(evaluateExpression('${income} < 5000', { income: '4500' })).toBe(true);
+    expect(evaluateExpression('${income} > 10', { income: '9' })).toBe(false);
+    expect(evaluateExpression("${code} = '007'", { code: 7 })).toBe(true);
+    expect(evaluateExpression("${name} < 'b'", { name: 'alice' })).toBe(true);
+    expect(evaluateExpression('${plots} >= 2', { plots: { type: 'number', value: 2, unit: null } })).toBe(true);
+  });
+
+  test('= on a multi-select answer checks whether the choice was selected', () => {
+    const answers = { crops: { type: 'multi_select', values: ['Rice', 'Beans'] } };
+
+    expect(evaluateExpression("${crops} = 'Rice'", answers)).toBe(true);
+    expect(evaluateExpression("${crops} = 'Maize'", answers)).toBe(false);
+    expect(evaluateExpression("${crops} != 'Maize'", answers)).toBe(true);
+    expect(evaluateExpression("${crops} > 'A'", answers)).toBe(false);
+    expect(evaluateExpression('${crops} = null', { crops: { type: 'multi_select', values: [] } })).toBe(true);
+  });
+
+  test('unanswered questions make comparisons and references false', () => {
+    expect(evaluateExpression('${income} < 5000', {})).toBe(false);
+    expect(evaluateExpression('${income} >= 0', { income: '' })).toBe(false);
+    expect(evaluateExpression("${name} = 'Ann'", {})).toBe(false);
+    expect(evaluateExpression('${name}', {})).toBe(false);
+    expect(evaluateExpression('${name} = null', {})).toBe(true);
+    expect(evaluateExpression('${name} != null', { name: 'Ann' })).toBe(true);
+  });
+
+  test('compiled expressions are cached and list their references', () => {
+    const compiled = compileExpression("${a} = 1 and (${b} > 2 or ${a} = 'x')");
+
+    expect(compileExpression("${a} = 1 and (${b} > 2 or ${a} = 'x')")).toBe(compiled);
+    expect(compiled.references).toEqual(['a', 'b']);
+  });
+});
+
+describe('expression errors', () => {
+  test.each([
+    ['${a} = ', 'Unexpected end of expression', 8],
+    ['${a', 'Unclosed question reference', 1],
+    ['${ } = 1', 'Empty question reference', 1],
+    ["${a} = 'Rice", 'Unclosed string', 8],
+    ['${a} == 1', 'Unexpected "="', 7],
+    ['${a} ~ 1', 'Unexpected character "~"', 6],
+    ['${a} = Rice', 'Unknown word "Rice" (wrap text in quotes)', 8],
+    ['(${a} = 1', 'Expected ")"', 10],
+    ['${a} = 1 ${b}', 'Unexpected token', 10],
+    ['', 'Expression is empty', 1]
+  ])('"%s" fails with "%s" at position %i', (source, message, position) => {
+    const error = errorFor(source);
+
+    expect(error).toBeInstanceOf(ExpressionError);
+    expect(error.position).toBe(position - 1);
+    expect(error.message).toBe(`${message} at position ${position}`);
+  });
+
+  test('a non-string expression has no position', () => {
+    expect(errorFor(42)).toMatchObject({ message: 'Expression must be a string', position: null });
+  });
+});
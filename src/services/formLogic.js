@@ -0,0 +1,62 @@
+/**
+ * GroundTruth AI Form Logic
+ *
+ * Skip logic over a form's questions. A question with a `relevant`
+ * expression (see expressions.js) is only asked when the expression is true
+ * for the answers given so far; otherwise it is skipped in both directions
+ * and any answer it had is cleared.
+ */
+
+import { evaluateExpression } from './expressions';
+
+/**
+ * Whether a question should be asked given the current answers
+ */
+export function isQuestionRelevant(question, answers) {
+  return !question.relevant || evaluateExpression(question.relevant, answers);
+}
+
+/**
+ * The questions that are currently relevant, in form order
+ */
+export function getRelevantQuestions(questions, answers) {
+  return questions.filter(question => isQuestionRelevant(question, answers));
+}
+
+/**
+ * Index of the next relevant question after `fromIndex` in direction
+ * `step` (1 or -1), or -1 when there is none
+ */
+export function findRelevantIndex(questions, answers, fromIndex, step) {
+  for (let index = fromIndex + step; index >= 0 && index < questions.length; index += step) {
+    if (isQuestionRelevant(questions[index], answers)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Drop answers to questions that are no longer relevant. Repeats until
+ * stable, since clearing one answer can make later questions irrelevant.
+ * Returns the remaining answers and the cleared `{ questionId, answer }` pairs.
+ */
+export function pruneIrrelevantAnswers(questions, answers) {
+  let remaining = answers;
+  const cleared = [];
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const question of questions) {
+      if (question.id in remaining && !isQuestionRelevant(question, remaining)) {
+        const { [question.id]: answer, ...rest } = remaining;
+        cleared.push({ questionId: question.id, answer });
+        remaining = rest;
+        changed = true;
+      }
+    }
+  }
+
+  return { answers: remaining, cleared };
+}
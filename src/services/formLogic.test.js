@@ -0,0 +1,63 @@
+// Expressions reference answers as ${id} inside plain strings
+/* eslint-disable no-template-curly-in-string */
+import { findRelevantIndex, getRelevantQuestions, isQuestionRelevant, pruneIrrelevantAnswers } from './formLogic';
+
+const QUESTIONS = [
+  { id: 'farms' },
+  { id: 'crops', relevant: "${farms} = 'Yes'" },
+  { id: 'rice_area', relevant: "${crops} = 'Rice'" },
+  { id: 'irrigated', relevant: '${rice_area} > 0' },
+  { id: 'household' }
+];
+
+describe('relevance', () => {
+  test('questions without a relevant expression are always asked', () => {
+    expect(isQuestionRelevant(QUESTIONS[0], {})).toBe(true);
+    expect(isQuestionRelevant(QUESTIONS[1], {})).toBe(false);
+    expect(getRelevantQuestions(QUESTIONS, { farms: 'No' }).map(question => question.id)).toEqual(['farms', 'household']);
+  });
+
+  test('navigation skips irrelevant questions in both directions', () => {
+    const answers = { farms: 'Yes', crops: { type: 'multi_select', values: ['Maize'] } };
+
+    expect(findRelevantIndex(QUESTIONS, answers, 0, 1)).toBe(1);
+    expect(findRelevantIndex(QUESTIONS, answers, 1, 1)).toBe(4);
+    expect(findRelevantIndex(QUESTIONS, answers, 4, -1)).toBe(1);
+    expect(findRelevantIndex(QUESTIONS, answers, 4, 1)).toBe(-1);
+    expect(findRelevantIndex(QUESTIONS, answers, 0, -1)).toBe(-1);
+  });
+});
+
+describe('pruneIrrelevantAnswers', () => {
+  const answers = {
+    farms: 'Yes',
+    crops: { type: 'multi_select', values: ['Rice'] },
+    rice_area: '2',
+    irrigated: 'Yes',
+    household: 5
+  };
+
+  test('keeps answers that are still relevant', () => {
+    expect(pruneIrrelevantAnswers(QUESTIONS, answers)).toEqual({ answers, cleared: [] });
+  });
+
+  test('clearing one answer clears the questions that depended on it', () => {
+    const { answers: remaining, cleared } = pruneIrrelevantAnswers(QUESTIONS, { ...answers, farms: 'No' });
+
+    expect(remaining).toEqual({ farms: 'No', household: 5 });
+    expect(cleared).toEqual([
+      { questionId: 'crops', answer: answers.crops },
+      { questionId: 'rice_area', answer: '2' },
+      { questionId: 'irrigated', answer: 'Yes' }
+    ]);
+  });
+
+  test('follows dependencies declared before the question they depend on', () => {
+    const reversed = [...QUESTIONS].reverse();
+
+    const { answers: remaining, cleared } = pruneIrrelevantAnswers(reversed, { ...answers, farms: 'No' });
+
+    expect(remaining).toEqual({ farms: 'No', household: 5 });
+    expect(cleared.map(entry => entry.questionId)).toEqual(['crops', 'rice_area', 'irrigated']);
+  });
+});
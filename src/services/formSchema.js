@@ -0,0 +1,279 @@
+/**
+ * GroundTruth AI Form Schema
+ *
+ * Questionnaires are JSON form definitions referenced by each assignment as
+ * `{ formId, version }`:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "formId": "farmer-needs",
+ *     "version": 2,
+ *     "title": "Farmer Needs Assessment",
+ *     "questions": [
+ *       { "id": "occupation", "type": "multiple_choice", "question": "...",
+ *         "options": ["Farming", "Other"], "required": true },
+ *       { "id": "crops", "type": "text", "question": "...",
+ *         "relevant": "${occupation} = 'Farming'" }
+ *     ]
+ *   }
+ *
+ * A published version must never change; edit a form by publishing a new version.
+ */
+
+import { compileExpression } from './expressions';
+import { DATE_MODES, OTHER_OPTION } from './answerTypes';
+import { validateConstraintDefinitions } from './answerValidation';
+
+export const FORM_SCHEMA_VERSION = 1;
+
+// Type-specific optional fields each question type accepts; answer shapes
+// are described in answerTypes.js
+export const QUESTION_TYPES = {
+  multiple_choice: ['options'],
+  multi_select: ['options', 'allowOther'],
+  text: ['placeholder', 'multiline'],
+  number: ['unit', 'min', 'max', 'integer', 'placeholder'],
+  date: ['mode', 'min', 'max'],
+  likert: ['labels', 'points', 'minLabel', 'maxLabel'],
+  gps_point: ['maxAccuracyMeters'],
+  barcode: ['formats'],
+  audio: ['minDurationSec', 'maxDurationSec'],
+  photo: []
+};
+
+const COMMON_FIELDS = ['id', 'type', 'question', 'required', 'relevant', 'constraints'];
+// Used for the environment photo's media and upload reference
+const RESERVED_QUESTION_IDS = ['environment', 'environmentPhoto'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+export class FormValidationError extends Error {
+  constructor(message, { errors = [] } = {}) {
+    super(message);
+    this.name = 'FormValidationError';
+    this.errors = errors;
+  }
+}
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function validateQuestion(question, index, seenIds) {
+  const errors = [];
+  const label = question && question.id !== undefined ? `Question ${index + 1} (${question.id})` : `Question ${index + 1}`;
+  const fail = message => errors.push(`${label}: ${message}`);
+
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return [`${label}: must be an object`];
+  }
+
+  const idIsValid = isNonEmptyString(question.id) || Number.isInteger(question.id);
+  if (!idIsValid || !ID_PATTERN.test(String(question.id))) {
+    fail('id must be a number or a string of letters, digits, "-" and "_"');
+  } else if (RESERVED_QUESTION_IDS.includes(String(question.id))) {
+    fail(`id "${question.id}" is reserved`);
+  } else if (seenIds.has(String(question.id))) {
+    fail('id is used by another question');
+  }
+  seenIds.add(String(question.id));
+
+  if (!isNonEmptyString(question.question)) {
+    fail('question text is required');
+  }
+  if (question.required !== undefined && typeof question.required !== 'boolean') {
+    fail('required must be true or false');
+  }
+
+  // Relevance may only depend on questions asked earlier
+  if (question.relevant !== undefined) {
+    try {
+      compileExpression(question.relevant).references
+        .filter(reference => !seenIds.has(reference) || reference === String(question.id))
+        .forEach(reference => fail(`relevant refers to "${reference}", which is not an earlier question`));
+    } catch (error) {
+      fail(`relevant is not a valid expression: ${error.message}`);
+    }
+  }
+
+  // Answer constraints (see answerValidation.js)
+  validateConstraintDefinitions(question, seenIds).forEach(fail);
+
+  const typeFields = QUESTION_TYPES[question.type];
+  if (!typeFields) {
+    fail(`unknown type "${question.type}" (expected ${Object.keys(QUESTION_TYPES).join(', ')})`);
+    return errors;
+  }
+
+  Object.keys(question)
+    .filter(key => !COMMON_FIELDS.includes(key) && !typeFields.includes(key))
+    .forEach(key => fail(`field "${key}" is not allowed for ${question.type} questions`));
+
+  if (question.type === 'multiple_choice' || question.type === 'multi_select') {
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+      fail('options must list at least two choices');
+    } else if (!question.options.every(isNonEmptyString)) {
+      fail('options must be non-empty strings');
+    } else if (new Set(question.options).size !== question.options.length) {
+      fail('options must be unique');
+    }
+  }
+
+  if (question.type === 'multi_select' && question.allowOther !== undefined) {
+    if (typeof question.allowOther !== 'boolean') {
+      fail('allowOther must be true or false');
+    } else if (question.allowOther && Array.isArray(question.options) && question.options.includes(OTHER_OPTION)) {
+      fail(`options must not include "${OTHER_OPTION}" when allowOther is set`);
+    }
+  }
+
+  if (question.type === 'number') {
+    ['min', 'max'].forEach(key => {
+      if (question[key] !== undefined && !isNumber(question[key])) {
+        fail(`${key} must be a number`);
+      }
+    });
+    if (isNumber(question.min) && isNumber(question.max) && question.min > question.max) {
+      fail('min must not exceed max');
+    }
+    if (question.integer !== undefined && typeof question.integer !== 'boolean') {
+      fail('integer must be true or false');
+    }
+    ['unit', 'placeholder'].forEach(key => {
+      if (question[key] !== undefined && typeof question[key] !== 'string') {
+        fail(`${key} must be a string`);
+      }
+    });
+  }
+
+  if (question.type === 'date') {
+    const mode = question.mode === undefined ? 'date' : question.mode;
+    if (!DATE_MODES[mode]) {
+      fail(`mode must be one of ${Object.keys(DATE_MODES).join(', ')}`);
+    } else {
+      ['min', 'max'].forEach(key => {
+        if (question[key] !== undefined && !(typeof question[key] === 'string' && DATE_MODES[mode].pattern.test(question[key]))) {
+          fail(`${key} must be a ${mode} such as "${DATE_MODES[mode].example}"`);
+        }
+      });
+      if (question.min && question.max && question.min > question.max) {
+        fail('min must not be after max');
+      }
+    }
+  }
+
+  if (question.type === 'likert') {
+    if (question.labels !== undefined) {
+      if (!Array.isArray(question.labels) || question.labels.length < 2 || question.labels.length > 11 ||
+          !question.labels.every(isNonEmptyString)) {
+        fail('labels must list 2 to 11 non-empty labels');
+      }
+      if (question.points !== undefined || question.minLabel !== undefined || question.maxLabel !== undefined) {
+        fail('use either labels or points with minLabel/maxLabel, not both');
+      }
+    } else {
+      if (question.points !== undefined && !(Number.isInteger(question.points) && question.points >= 2 && question.points <= 11)) {
+        fail('points must be a whole number from 2 to 11');
+      }
+      ['minLabel', 'maxLabel'].forEach(key => {
+        if (question[key] !== undefined && !isNonEmptyString(question[key])) {
+          fail(`${key} must be a non-empty string`);
+        }
+      });
+    }
+  }
+
+  if (question.type === 'gps_point' && question.maxAccuracyMeters !== undefined &&
+      !(isNumber(question.maxAccuracyMeters) && question.maxAccuracyMeters > 0)) {
+    fail('maxAccuracyMeters must be a positive number');
+  }
+
+  if (question.type === 'barcode' && question.formats !== undefined &&
+      (!Array.isArray(question.formats) || question.formats.length === 0 || !question.formats.every(isNonEmptyString))) {
+    fail('formats must list barcode formats such as "qr_code" or "ean_13"');
+  }
+
+  if (question.type === 'text') {
+    if (question.placeholder !== undefined && typeof question.placeholder !== 'string') {
+      fail('placeholder must be a string');
+    }
+    if (question.multiline !== undefined && typeof question.multiline !== 'boolean') {
+      fail('multiline must be true or false');
+    }
+  }
+
+  if (question.type === 'audio') {
+    ['minDurationSec', 'maxDurationSec'].forEach(key => {
+      if (question[key] !== undefined && !isPositiveInteger(question[key])) {
+        fail(`${key} must be a positive whole number of seconds`);
+      }
+    });
+    if (isPositiveInteger(question.minDurationSec) && isPositiveInteger(question.maxDurationSec) &&
+        question.minDurationSec > question.maxDurationSec) {
+      fail('minDurationSec must not exceed maxDurationSec');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * List every problem with a form definition (empty when it is valid)
+ */
+export function validateForm(form) {
+  if (!form || typeof form !== 'object' || Array.isArray(form)) {
+    return ['Form must be a JSON object'];
+  }
+
+  const errors = [];
+  if (form.schemaVersion !== FORM_SCHEMA_VERSION) {
+    errors.push(`Unsupported schemaVersion ${form.schemaVersion} (expected ${FORM_SCHEMA_VERSION})`);
+  }
+  if (!isNonEmptyString(form.formId) || !ID_PATTERN.test(form.formId)) {
+    errors.push('formId must be a string of letters, digits, "-" and "_"');
+  }
+  if (!isPositiveInteger(form.version)) {
+    errors.push('version must be a positive whole number');
+  }
+  if (!isNonEmptyString(form.title)) {
+    errors.push('title is required');
+  }
+  if (!Array.isArray(form.questions) || form.questions.length === 0) {
+    errors.push('questions must be a non-empty list');
+    return errors;
+  }
+
+  const seenIds = new Set();
+  form.questions.forEach((question, index) => {
+    errors.push(...validateQuestion(question, index, seenIds));
+  });
+  return errors;
+}
+
+/**
+ * Validate a form definition (object or JSON text); throws a
+ * FormValidationError listing every problem
+ */
+export function parseForm(source) {
+  let form = source;
+  if (typeof source === 'string') {
+    try {
+      form = JSON.parse(source);
+    } catch (error) {
+      throw new FormValidationError(`Form is not valid JSON: ${error.message}`, { errors: [error.message] });
+    }
+  }
+
+  const errors = validateForm(form);
+  if (errors.length > 0) {
+    const name = form && form.formId ? `Form ${form.formId} v${form.version}` : 'Form';
+    throw new FormValidationError(`${name} is invalid: ${errors.join('; ')}`, { errors });
+  }
+  return form;
+}
+
+/**
+ * Reference to a form as recorded in drafts and packets
+ */
+export function getFormRef(form) {
+  return { formId: form.formId, version: form.version };
+}
@@ -0,0 +1,98 @@
+// Expressions reference answers as ${id} inside plain strings
+/* eslint-disable no-template-curly-in-string */
+import { FormValidationError, getFormRef, parseForm, validateForm } from './formSchema';
+
+const validForm = (extra = {}) => ({
+  schemaVersion: 1,
+  formId: 'farmer-needs',
+  version: 2,
+  title: 'Farmer Needs Assessment',
+  questions: [
+    { id: 'occupation', type: 'multiple_choice', question: 'Main occupation?', options: ['Farming', 'Other'], required: true },
+    { id: 'crops', type: 'text', question: 'Which crops?', relevant: "${occupation} = 'Farming'" },
+    { id: 'acres', type: 'number', question: 'Farm size?', unit: 'acres', min: 0, constraints: [{ max: 500, severity: 'warning' }] }
+  ],
+  ...extra
+});
+
+const question = fields => validForm({ questions: [{ id: 'q1', question: 'Question?', ...fields }] });
+
+describe('validateForm', () => {
+  test('accepts a well-formed form', () => {
+    expect(validateForm(validForm())).toEqual([]);
+  });
+
+  test('reports problems with the form itself', () => {
+    expect(validateForm([])).toEqual(['Form must be a JSON object']);
+    expect(validateForm({ schemaVersion: 2, formId: 'bad id', version: 0, questions: [] })).toEqual([
+      'Unsupported schemaVersion 2 (expected 1)',
+      'formId must be a string of letters, digits, "-" and "_"',
+      'version must be a positive whole number',
+      'title is required',
+      'questions must be a non-empty list'
+    ]);
+  });
+
+  test('names the question and field of each problem', () => {
+    const form = validForm({
+      questions: [
+        { id: 'q1', type: 'multiple_choice', question: 'Pick one', options: ['Only'] },
+        { id: 'q1', type: 'slider', question: 'Again' },
+        { id: 'environment', type: 'photo', question: 'Photo' },
+        { id: 'q4', type: 'text', question: '', relevant: '${q5} = 1', colour: 'red' },
+        'not a question'
+      ]
+    });
+
+    expect(validateForm(form)).toEqual([
+      'Question 1 (q1): options must list at least two choices',
+      'Question 2 (q1): id is used by another question',
+      'Question 2 (q1): unknown type "slider" (expected multiple_choice, multi_select, text, number, date, likert, gps_point, barcode, audio, photo)',
+      'Question 3 (environment): id "environment" is reserved',
+      'Question 4 (q4): question text is required',
+      'Question 4 (q4): relevant refers to "q5", which is not an earlier question',
+      'Question 4 (q4): field "colour" is not allowed for text questions',
+      'Question 5: must be an object'
+    ]);
+  });
+
+  test.each([
+    [{ type: 'number', min: 10, max: 1 }, 'min must not exceed max'],
+    [{ type: 'date', mode: 'date', min: '05/03/2024' }, 'min must be a date such as'],
+    [{ type: 'likert', labels: ['Agree', 'Disagree'], points: 5 }, 'use either labels or points with minLabel/maxLabel, not both'],
+    [{ type: 'multi_select', options: ['A', 'A'] }, 'options must be unique'],
+    [{ type: 'audio', minDurationSec: 60, maxDurationSec: 30 }, 'minDurationSec must not exceed maxDurationSec'],
+    [{ type: 'gps_point', maxAccuracyMeters: -5 }, 'maxAccuracyMeters must be a positive number'],
+    [{ type: 'text', relevant: '${q1} = ' }, 'relevant is not a valid expression: Unexpected end of expression at position 9'],
+    [{ type: 'text', constraints: [{ min: 1, pattern: 'x' }] }, 'constraint 1: must use exactly one of']
+  ])('rejects %j', (fields, message) => {
+    expect(validateForm(question({ ...fields }))).toEqual([expect.stringContaining(`Question 1 (q1): ${message}`)]);
+  });
+});
+
+describe('parseForm', () => {
+  test('returns a valid form from an object or JSON text', () => {
+    expect(parseForm(validForm())).toEqual(validForm());
+    expect(parseForm(JSON.stringify(validForm()))).toEqual(validForm());
+    expect(getFormRef(validForm())).toEqual({ formId: 'farmer-needs', version: 2 });
+  });
+
+  test('throws a FormValidationError listing every problem', () => {
+    const form = validForm({ title: '', questions: [{ id: 'q1', type: 'text' }] });
+
+    let error = null;
+    try {
+      parseForm(form);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(FormValidationError);
+    expect(error.message).toBe('Form farmer-needs v2 is invalid: title is required; Question 1 (q1): question text is required');
+    expect(error.errors).toEqual(['title is required', 'Question 1 (q1): question text is required']);
+  });
+
+  test('reports text that is not JSON', () => {
+    expect(() => parseForm('{"formId": ')).toThrow(/^Form is not valid JSON: /);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * GroundTruth AI Fraud Heuristics
+ *
+ * Rule-based checks on surveyor behaviour, run when a survey is completed.
+ * Each rule has an `id`, a `weight` and an `evaluate(context)` that returns
+ * null or a flag `{ message, details }`. The context is:
+ * - `verification`: the survey's verification data
+ * - `answers`: final answers keyed by question ID
+ * - `questionTypes`: question type keyed by question ID
+ * - `previousSurveys`: earlier completed packets on this device, newest first
+ *
+ * To add a heuristic, append a rule; weights add up to the risk score (0-100).
+ */
+
+import { haversineDistance } from './geofence';
+import { canonicalize } from './hashChain';
+import { isMediaAnswer } from './mediaUtils';
+
+export const RULES_VERSION = 1;
+
+// Minimum plausible time on a question; typed text also needs time per character
+const MIN_ANSWER_MS = {
+  multiple_choice: 1500,
+  multi_select: 2500,
+  text: 2000,
+  number: 2000,
+  date: 2500,
+  likert: 1500,
+  gps_point: 3000,
+  barcode: 2000,
+  audio: 5000,
+  photo: 3000,
+  default: 1500
+};
+const MIN_MS_PER_TYPED_CHAR = 100;
+const MAX_PLAUSIBLE_SPEED_MPS = 55; // ~200 km/h
+const BACK_TO_BACK_GAP_MS = 5 * 60 * 1000;
+const SAME_SPOT_METERS = 25;
+
+/**
+ * Time spent on each question: from the previous answer (or survey start)
+ * to the last change of this question's answer
+ */
+function getQuestionTimings(verification) {
+  const timings = new Map();
+  let previousAt = Date.parse(verification.startTime);
+
+  (verification.answerTimestamps || []).forEach(entry => {
+    const at = Date.parse(entry.timestamp);
+    const timing = timings.get(entry.questionId);
+    if (timing) {
+      timing.lastAt = at;
+      timing.answerLength = entry.answerLength;
+    } else {
+      timings.set(entry.questionId, {
+        questionId: entry.questionId,
+        startedAt: previousAt,
+        lastAt: at,
+        answerLength: entry.answerLength
+      });
+    }
+    previousAt = at;
+  });
+
+  return [...timings.values()];
+}
+
+/**
+ * Every recorded fix, oldest first. The same fix can appear more than once
+ * (e.g. the start location is also the first trail point), so duplicates
+ * are dropped.
+ */
+function getLocationTrail(verification) {
+  const seen = new Set();
+  return [
+    verification.startLocation,
+    ...(verification.locationHistory || []),
+    ...(verification.answerTimestamps || []).map(entry => entry.location),
+    ...(verification.resumeEvents || []).map(event => event.location),
+    verification.endLocation
+  ]
+    .filter(location => {
+      if (!location || !Number.isFinite(location.latitude)) return false;
+      const key = `${location.timestamp}|${location.latitude}|${location.longitude}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+export const fraudRules = [
+  {
+    id: 'fast_answers',
+    weight: 25,
+    description: 'Questions answered faster than is plausible for their type',
+    evaluate({ verification, questionTypes = {} }) {
+      const timings = getQuestionTimings(verification).map(timing => {
+        const type = questionTypes[timing.questionId] || 'default';
+        const minMs = (MIN_ANSWER_MS[type] || MIN_ANSWER_MS.default) +
+          (type === 'text' ? timing.answerLength * MIN_MS_PER_TYPED_CHAR : 0);
+        return { questionId: timing.questionId, elapsedMs: timing.lastAt - timing.startedAt, minMs };
+      });
+      const fast = timings.filter(timing => timing.elapsedMs < timing.minMs);
+
+      if (fast.length < 2 || fast.length / timings.length < 0.3) return null;
+      return {
+        message: `${fast.length} of ${timings.length} questions answered implausibly fast`,
+        details: fast
+      };
+    }
+  },
+  {
+    id: 'identical_answers',
+    weight: 30,
+    description: 'Answers repeat those of a recent survey',
+    evaluate({ answers = {}, previousSurveys = [] }) {
+      for (const previous of previousSurveys.slice(0, 3)) {
+        const common = Object.keys(answers).filter(questionId =>
+          previous.answers && questionId in previous.answers &&
+          !isMediaAnswer(answers[questionId]) && !isMediaAnswer(previous.answers[questionId])
+        );
+        const identical = common.filter(questionId =>
+          canonicalize(answers[questionId]) === canonicalize(previous.answers[questionId])
+        );
+
+        if (common.length >= 3 && identical.length / common.length >= 0.9) {
+          return {
+            message: `${identical.length} of ${common.length} answers identical to survey ${previous.surveyId}`,
+            details: { surveyId: previous.surveyId, identical: identical.length, compared: common.length }
+          };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'impossible_speed',
+    weight: 35,
+    description: 'Consecutive fixes imply impossible travel speed (GPS teleport)',
+    evaluate({ verification }) {
+      const trail = getLocationTrail(verification);
+      const jumps = [];
+
+      for (let i = 1; i < trail.length; i++) {
+        const from = trail[i - 1];
+        const to = trail[i];
+        // Ignore movement explained by the fixes' own uncertainty
+        const distance = haversineDistance(from, to) - (from.accuracy || 0) - (to.accuracy || 0);
+        if (distance <= 200) continue;
+
+        const seconds = (Date.parse(to.timestamp) - Date.parse(from.timestamp)) / 1000;
+        const speed = seconds > 0 ? distance / seconds : Infinity;
+        if (speed > MAX_PLAUSIBLE_SPEED_MPS) {
+          jumps.push({
+            from: from.timestamp,
+            to: to.timestamp,
+            distanceMeters: Math.round(distance),
+            speedKmh: Number.isFinite(speed) ? Math.round(speed * 3.6) : null
+          });
+        }
+      }
+
+      if (jumps.length === 0) return null;
+      return { message: `${jumps.length} location jump(s) faster than ${Math.round(MAX_PLAUSIBLE_SPEED_MPS * 3.6)} km/h`, details: jumps };
+    }
+  },
+  {
+    id: 'mock_location',
+    weight: 35,
+    description: 'Location fixes look simulated (perfect accuracy or frozen coordinates)',
+    evaluate({ verification }) {
+      const trail = getLocationTrail(verification);
+      if (trail.length === 0) return null;
+
+      const reasons = [];
+      if (trail.some(location => location.source === 'fake')) {
+        reasons.push('fixes came from a simulated location provider');
+      }
+      if (trail.some(location => typeof location.accuracy === 'number' && location.accuracy < 1)) {
+        reasons.push('accuracy better than 1 m');
+      }
+      // Real receivers jitter; mock apps replay the exact same fix
+      const first = trail[0];
+      if (trail.length >= 5 && trail.every(location =>
+        location.latitude === first.latitude &&
+        location.longitude === first.longitude &&
+        location.accuracy === first.accuracy
+      )) {
+        reasons.push(`${trail.length} identical fixes`);
+      }
+
+      if (reasons.length === 0) return null;
+      return { message: `Possible mock location: ${reasons.join('; ')}`, details: { reasons, fixes: trail.length } };
+    }
+  },
+  {
+    id: 'back_to_back_same_spot',
+    weight: 20,
+    description: 'Started right after the previous survey at the same spot',
+    evaluate({ verification, previousSurveys = [] }) {
+      const previous = previousSurveys[0];
+      if (!previous || !previous.verification) return null;
+
+      const previousEnd = previous.verification.endTime || previous.completedAt;
+      const gapMs = Date.parse(verification.startTime) - Date.parse(previousEnd);
+      const from = previous.verification.endLocation;
+      const to = verification.startLocation;
+      if (!(gapMs >= 0 && gapMs < BACK_TO_BACK_GAP_MS) || !from || !to) return null;
+
+      const distance = haversineDistance(from, to);
+      if (distance >= SAME_SPOT_METERS) return null;
+      return {
+        message: `Started ${Math.round(gapMs / 1000)}s after survey ${previous.surveyId}, ${Math.round(distance)} m away`,
+        details: { surveyId: previous.surveyId, gapSeconds: Math.round(gapMs / 1000), distanceMeters: Math.round(distance) }
+      };
+    }
+  }
+];
+
+/**
+ * Run every rule; a failing rule is reported in `errors` instead of
+ * aborting the evaluation
+ */
+export function evaluateFraudRules(context, rules = fraudRules) {
+  const flags = [];
+  const errors = [];
+
+  rules.forEach(rule => {
+    try {
+      const flag = rule.evaluate(context);
+      if (flag) {
+        flags.push({ rule: rule.id, weight: rule.weight, ...flag });
+      }
+    } catch (error) {
+      errors.push({ rule: rule.id, error: error.message });
+    }
+  });
+
+  const riskScore = Math.min(100, flags.reduce((score, flag) => score + flag.weight, 0));
+  let riskLevel = 'low';
+  if (riskScore >= 60) {
+    riskLevel = 'high';
+  } else if (riskScore >= 30) {
+    riskLevel = 'medium';
+  }
+
+  return {
+    rulesVersion: RULES_VERSION,
+    riskScore,
+    riskLevel,
+    flags,
+    errors,
+    evaluatedAt: new Date().toISOString()
+  };
+}
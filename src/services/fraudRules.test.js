@@ -0,0 +1,108 @@
+import { evaluateFraudRules, fraudRules } from './fraudRules';
+
+const START = Date.parse('2024-03-05T10:00:00.000Z');
+const at = seconds => new Date(START + seconds * 1000).toISOString();
+
+// A fix `northMeters` north of a fixed point (0.001 degrees is about 111 m)
+const fix = (northMeters, seconds, extra = {}) => ({
+  latitude: 0.3476 + northMeters / 111195,
+  longitude: 32.5825,
+  accuracy: 8,
+  timestamp: at(seconds),
+  ...extra
+});
+
+const run = (id, context) => evaluateFraudRules(context, fraudRules.filter(rule => rule.id === id));
+
+describe('impossible_speed', () => {
+  test('flags a jump faster than 200 km/h', () => {
+    const result = run('impossible_speed', {
+      verification: { startLocation: fix(0, 0), locationHistory: [fix(5000, 30)], endLocation: fix(5000, 600) }
+    });
+
+    expect(result.flags).toEqual([expect.objectContaining({
+      rule: 'impossible_speed',
+      weight: 35,
+      details: [expect.objectContaining({ from: at(0), to: at(30), distanceMeters: 4984 })]
+    })]);
+    expect(result.flags[0].details[0].speedKmh).toBeGreaterThan(500);
+  });
+
+  test('ignores driving speeds and movement within the fixes\' accuracy', () => {
+    const driving = run('impossible_speed', { verification: { startLocation: fix(0, 0), endLocation: fix(1000, 60) } });
+    const jitter = run('impossible_speed', {
+      verification: { startLocation: fix(0, 0, { accuracy: 150 }), endLocation: fix(300, 1, { accuracy: 150 }) }
+    });
+
+    expect(driving.flags).toEqual([]);
+    expect(jitter.flags).toEqual([]);
+  });
+});
+
+describe('mock_location', () => {
+  test('flags perfect accuracy', () => {
+    const result = run('mock_location', { verification: { startLocation: fix(0, 0, { accuracy: 0 }), endLocation: fix(10, 600) } });
+
+    expect(result.flags[0]).toMatchObject({ message: 'Possible mock location: accuracy better than 1 m' });
+  });
+
+  test('flags frozen coordinates and simulated providers, but not a jittering receiver', () => {
+    const frozen = Array.from({ length: 5 }, (_, index) => fix(0, index * 60));
+    const jittering = frozen.map((location, index) => ({ ...location, accuracy: 8 + index }));
+
+    expect(run('mock_location', { verification: { locationHistory: frozen } }).flags[0].details.reasons)
+      .toEqual(['5 identical fixes']);
+    expect(run('mock_location', { verification: { startLocation: fix(0, 0, { source: 'fake' }) } }).flags[0].details.reasons)
+      .toEqual(['fixes came from a simulated location provider']);
+    expect(run('mock_location', { verification: { locationHistory: jittering } }).flags).toEqual([]);
+  });
+});
+
+describe('back_to_back_same_spot', () => {
+  const previous = (gapSeconds, northMeters) => [{
+    surveyId: 'earlier',
+    verification: { endTime: at(-gapSeconds), endLocation: fix(northMeters, -gapSeconds) }
+  }];
+  const verification = { startTime: at(0), startLocation: fix(0, 0) };
+
+  test('flags a survey started within 5 minutes at the same spot', () => {
+    expect(run('back_to_back_same_spot', { verification, previousSurveys: previous(90, 10) }).flags).toEqual([
+      expect.objectContaining({
+        message: 'Started 90s after survey earlier, 10 m away',
+        details: { surveyId: 'earlier', gapSeconds: 90, distanceMeters: 10 }
+      })
+    ]);
+  });
+
+  test('does not flag a later start, a different spot or the first survey', () => {
+    expect(run('back_to_back_same_spot', { verification, previousSurveys: previous(6 * 60, 10) }).flags).toEqual([]);
+    expect(run('back_to_back_same_spot', { verification, previousSurveys: previous(90, 100) }).flags).toEqual([]);
+    expect(run('back_to_back_same_spot', { verification, previousSurveys: [] }).flags).toEqual([]);
+  });
+});
+
+describe('evaluateFraudRules', () => {
+  test('adds up the weights into a capped risk score and level', () => {
+    const verification = {
+      startTime: at(0),
+      startLocation: fix(0, 0, { accuracy: 0 }),
+      endLocation: fix(5000, 30)
+    };
+    const previousSurveys = [{ surveyId: 'earlier', verification: { endTime: at(-60), endLocation: fix(0, -60) } }];
+
+    const result = evaluateFraudRules({ verification, previousSurveys });
+
+    expect(result.flags.map(flag => flag.rule)).toEqual(['impossible_speed', 'mock_location', 'back_to_back_same_spot']);
+    expect(result).toMatchObject({ riskScore: 90, riskLevel: 'high', errors: [] });
+    expect(evaluateFraudRules({ verification: {} })).toMatchObject({ riskScore: 0, riskLevel: 'low', flags: [] });
+  });
+
+  test('a failing rule is reported without stopping the others', () => {
+    const broken = { id: 'broken', weight: 10, evaluate: () => { throw new Error('bad data'); } };
+
+    const result = evaluateFraudRules({ verification: {} }, [broken, ...fraudRules]);
+
+    expect(result.errors).toEqual([{ rule: 'broken', error: 'bad data' }]);
+    expect(result.riskScore).toBe(0);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * GroundTruth AI Geofence Utilities
+ *
+ * Distance checks between recorded locations and an assignment's target area.
+ * A target is either a point with a radius:
+ *   { latitude, longitude, radiusMeters }
+ * or a polygon with an optional buffer:
+ *   { polygon: [{ latitude, longitude }, ...], radiusMeters }
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+const DEFAULT_RADIUS_METERS = 200;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Great-circle (haversine) distance in meters between two points
+ */
+export function haversineDistance(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Ray-casting point-in-polygon test
+ */
+export function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Distance in meters from a point to a polygon's boundary (0 when inside).
+ * Uses a local flat projection, accurate at survey-area scale.
+ */
+export function distanceToPolygon(point, polygon) {
+  if (pointInPolygon(point, polygon)) {
+    return 0;
+  }
+
+  const metersPerDegLat = toRadians(1) * EARTH_RADIUS_METERS;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRadians(point.latitude));
+  const project = vertex => ({
+    x: (vertex.longitude - point.longitude) * metersPerDegLng,
+    y: (vertex.latitude - point.latitude) * metersPerDegLat
+  });
+
+  let minDistance = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = project(polygon[j]);
+    const b = project(polygon[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    // Closest point on segment a-b to the origin (the projected point)
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    minDistance = Math.min(minDistance, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return minDistance;
+}
+
+/**
+ * Whether an assignment target has usable coordinates
+ */
+export function isValidTarget(target) {
+  if (!target) return false;
+  if (Array.isArray(target.polygon)) return target.polygon.length >= 3;
+  return Number.isFinite(target.latitude) && Number.isFinite(target.longitude);
+}
+
+/**
+ * Check one location against a target. A fix outside the fence by less than
+ * its reported accuracy is 'uncertain' rather than 'outside'.
+ */
+export function checkLocation(location, target) {
+  if (!location || !isValidTarget(target)) {
+    return null;
+  }
+
+  let outsideByMeters;
+  let distanceMeters;
+  if (Array.isArray(target.polygon)) {
+    distanceMeters = distanceToPolygon(location, target.polygon);
+    outsideByMeters = Math.max(0, distanceMeters - (target.radiusMeters || 0));
+  } else {
+    distanceMeters = haversineDistance(location, target);
+    outsideByMeters = Math.max(0, distanceMeters - (target.radiusMeters || DEFAULT_RADIUS_METERS));
+  }
+
+  const accuracy = location.accuracy || 0;
+  let status = 'inside';
+  if (outsideByMeters > accuracy) {
+    status = 'outside';
+  } else if (outsideByMeters > 0) {
+    status = 'uncertain';
+  }
+
+  return {
+    status,
+    distanceMeters: Math.round(distanceMeters),
+    outsideByMeters: Math.round(outsideByMeters),
+    accuracy: location.accuracy !== undefined ? location.accuracy : null,
+    timestamp: location.timestamp
+  };
+}
+
+/**
+ * Evaluate a survey's start, end and tracked locations against its target.
+ * Status is 'outside' when the interview started or ended outside the fence,
+ * 'partial' when only tracked points left it, 'unknown' without any fix.
+ */
+export function evaluateGeofence(verificationData, target) {
+  if (!isValidTarget(target)) {
+    return null;
+  }
+
+  const start = checkLocation(verificationData.startLocation, target);
+  const end = checkLocation(verificationData.endLocation, target);
+  const history = (verificationData.locationHistory || [])
+    .map(location => checkLocation(location, target))
+    .filter(Boolean);
+  const outsideHistory = history.filter(result => result.status === 'outside');
+
+  const checked = [start, end, ...history].filter(Boolean);
+  let status = 'inside';
+  if (checked.length === 0) {
+    status = 'unknown';
+  } else if ((start && start.status === 'outside') || (end && end.status === 'outside')) {
+    status = 'outside';
+  } else if (outsideHistory.length > 0) {
+    status = 'partial';
+  }
+
+  return {
+    target,
+    status,
+    start,
+    end,
+    history: {
+      checked: history.length,
+      outside: outsideHistory.length
+    },
+    maxOutsideByMeters: checked.reduce((max, result) => Math.max(max, result.outsideByMeters), 0),
+    evaluatedAt: new Date().toISOString()
+  };
+}
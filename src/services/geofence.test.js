@@ -0,0 +1,118 @@
+import {
+  haversineDistance,
+  pointInPolygon,
+  distanceToPolygon,
+  isValidTarget,
+  checkLocation,
+  evaluateGeofence
+} from './geofence';
+
+// 0.001 degrees of latitude is about 111 m
+const TARGET = { latitude: 0.3476, longitude: 32.5825, radiusMeters: 200 };
+const at = (northDegrees, extra = {}) => ({
+  latitude: TARGET.latitude + northDegrees,
+  longitude: TARGET.longitude,
+  accuracy: 10,
+  timestamp: '2024-03-05T10:00:00.000Z',
+  ...extra
+});
+
+// Square of about 222 m around the target
+const SQUARE = [
+  { latitude: 0.3466, longitude: 32.5815 },
+  { latitude: 0.3486, longitude: 32.5815 },
+  { latitude: 0.3486, longitude: 32.5835 },
+  { latitude: 0.3466, longitude: 32.5835 }
+];
+
+describe('distances', () => {
+  test('haversine distance of one degree of latitude', () => {
+    expect(haversineDistance({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(111195, -1);
+    expect(haversineDistance(TARGET, TARGET)).toBe(0);
+  });
+
+  test('point in polygon and distance to its boundary', () => {
+    expect(pointInPolygon(TARGET, SQUARE)).toBe(true);
+    expect(pointInPolygon(at(0.002), SQUARE)).toBe(false);
+    expect(distanceToPolygon(TARGET, SQUARE)).toBe(0);
+    // 0.001 degrees north of the northern edge
+    expect(distanceToPolygon(at(0.002), SQUARE)).toBeCloseTo(111.2, 0);
+  });
+});
+
+test('isValidTarget', () => {
+  expect(isValidTarget(TARGET)).toBe(true);
+  expect(isValidTarget({ polygon: SQUARE })).toBe(true);
+  expect(isValidTarget({ polygon: SQUARE.slice(0, 2) })).toBe(false);
+  expect(isValidTarget({ latitude: '0.3', longitude: 32 })).toBe(false);
+  expect(isValidTarget(null)).toBe(false);
+});
+
+describe('checkLocation', () => {
+  test('inside the radius', () => {
+    expect(checkLocation(at(0.001), TARGET)).toEqual({
+      status: 'inside',
+      distanceMeters: 111,
+      outsideByMeters: 0,
+      accuracy: 10,
+      timestamp: '2024-03-05T10:00:00.000Z'
+    });
+  });
+
+  test('outside by more than the fix accuracy', () => {
+    expect(checkLocation(at(0.003), TARGET)).toMatchObject({ status: 'outside', distanceMeters: 334, outsideByMeters: 134 });
+  });
+
+  test('outside by less than the fix accuracy is uncertain', () => {
+    expect(checkLocation(at(0.003, { accuracy: 150 }), TARGET).status).toBe('uncertain');
+  });
+
+  test('point targets default to a 200 m radius', () => {
+    const { radiusMeters, ...point } = TARGET;
+    expect(checkLocation(at(0.0017), point).status).toBe('inside');
+    expect(checkLocation(at(0.0025), point).status).toBe('outside');
+  });
+
+  test('polygon targets with a buffer', () => {
+    expect(checkLocation(at(0.0005), { polygon: SQUARE }).status).toBe('inside');
+    expect(checkLocation(at(0.002), { polygon: SQUARE }).status).toBe('outside');
+    expect(checkLocation(at(0.002), { polygon: SQUARE, radiusMeters: 150 }).status).toBe('inside');
+  });
+
+  test('no result without a location or a valid target', () => {
+    expect(checkLocation(null, TARGET)).toBeNull();
+    expect(checkLocation(at(0), {})).toBeNull();
+  });
+});
+
+describe('evaluateGeofence', () => {
+  test('inside when every fix is inside', () => {
+    const result = evaluateGeofence({ startLocation: at(0), endLocation: at(0.001), locationHistory: [at(0.0005)] }, TARGET);
+
+    expect(result).toMatchObject({
+      status: 'inside',
+      start: { status: 'inside' },
+      end: { status: 'inside' },
+      history: { checked: 1, outside: 0 },
+      maxOutsideByMeters: 0
+    });
+  });
+
+  test('outside when the interview started or ended outside', () => {
+    expect(evaluateGeofence({ startLocation: at(0.01), endLocation: at(0) }, TARGET).status).toBe('outside');
+    expect(evaluateGeofence({ startLocation: at(0), endLocation: at(0.01) }, TARGET).status).toBe('outside');
+  });
+
+  test('partial when only tracked points left the fence', () => {
+    const result = evaluateGeofence({ startLocation: at(0), endLocation: at(0), locationHistory: [at(0), at(0.003)] }, TARGET);
+
+    expect(result.status).toBe('partial');
+    expect(result.history).toEqual({ checked: 2, outside: 1 });
+    expect(result.maxOutsideByMeters).toBe(134);
+  });
+
+  test('unknown without any fix, null without a target', () => {
+    expect(evaluateGeofence({ startLocation: null, endLocation: null }, TARGET).status).toBe('unknown');
+    expect(evaluateGeofence({ startLocation: at(0) }, null)).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * GroundTruth AI Answer Hash Chain
+ *
+ * Tamper evidence for the answer log. Every entry stores the SHA-256 of the
+ * answer content (the media checksum for recordings and photos) and of the
+ * previous entry, so changing, removing or reordering any entry breaks every
+ * hash after it. The chain head is stored in the packet; `verifyAnswerChain`
+ * recomputes the chain and reports the first entry that does not match.
+ */
+
+import { bufferToHex, isMediaAnswer } from './mediaUtils';
+
+export const HASH_ALGORITHM = 'SHA-256';
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted, so equal values always hash the same
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * SHA-256 (hex) of a string
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest(HASH_ALGORITHM, new TextEncoder().encode(text));
+  return bufferToHex(digest);
+}
+
+/**
+ * Hash of an answer's content. Media answers are identified by their stored
+ * checksum plus capture metadata; preview URLs and thumbnails are
+ * device-local and excluded.
+ */
+export function hashAnswer(answer) {
+  if (isMediaAnswer(answer)) {
+    const { type, attachmentId, mimeType, size, checksum, width, height, capturedAt, location } = answer;
+    return sha256Hex(canonicalize({ type, attachmentId, mimeType, size, checksum, width, height, capturedAt, location }));
+  }
+  return sha256Hex(canonicalize(answer));
+}
+
+/**
+ * Hash of a packet's final content: every answer (by answer hash) and the
+ * surveyor's notes
+ */
+export async function hashSurveyContent({ answers = {}, notes = null } = {}) {
+  const answerHashes = {};
+  for (const [questionId, answer] of Object.entries(answers || {})) {
+    answerHashes[questionId] = await hashAnswer(answer);
+  }
+  return sha256Hex(canonicalize({ answers: answerHashes, notes }));
+}
+
+/**
+ * Hash of a log entry: every field except the entry's own `hash`
+ */
+export function hashEntry(entry) {
+  const { hash, ...fields } = entry;
+  return sha256Hex(canonicalize(fields));
+}
+
+/**
+ * Complete an entry with its position in the chain and its hash
+ */
+export async function linkEntry(entries, fields) {
+  const previous = entries[entries.length - 1];
+  const entry = {
+    ...fields,
+    index: entries.length,
+    previousHash: previous && previous.hash ? previous.hash : GENESIS_HASH
+  };
+  entry.hash = await hashEntry(entry);
+  return entry;
+}
+
+/**
+ * Recompute an answer log's hash chain.
+ *
+ * `head` is the stored chain head; `answers` (optional) are the final answers
+ * from the packet, each of which must match the last logged entry for its
+ * question. Returns `{ valid, length, head, firstTamperedIndex, reason }`;
+ * `firstTamperedIndex` is null when the tampering is not tied to one entry.
+ */
+export async function verifyAnswerChain(entries = [], { head = null, answers = null } = {}) {
+  const fail = (firstTamperedIndex, reason) => ({
+    valid: false,
+    length: entries.length,
+    head: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH,
+    firstTamperedIndex,
+    reason
+  });
+
+  let previousHash = GENESIS_HASH;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.index !== i) {
+      return fail(i, `Entry ${i} has index ${entry.index}`);
+    }
+    if (entry.previousHash !== previousHash) {
+      return fail(i, `Entry ${i} does not link to the previous entry`);
+    }
+    if (await hashEntry(entry) !== entry.hash) {
+      return fail(i, `Entry ${i} content does not match its hash`);
+    }
+    previousHash = entry.hash;
+  }
+
+  if (head !== null && head !== previousHash) {
+    // Entries were appended after the recorded head, or removed from the end
+    const headIndex = entries.findIndex(entry => entry.hash === head);
+    const firstTamperedIndex = head === GENESIS_HASH ? 0 : headIndex >= 0 ? headIndex + 1 : entries.length;
+    return fail(firstTamperedIndex, 'Chain head does not match the recorded head');
+  }
+
+  if (answers) {
+    const lastEntryByQuestion = new Map();
+    entries.forEach(entry => lastEntryByQuestion.set(String(entry.questionId), entry));
+
+    for (const [questionId, answer] of Object.entries(answers)) {
+      const entry = lastEntryByQuestion.get(String(questionId));
+      if (!entry) {
+        return fail(null, `Answer to question ${questionId} is not in the log`);
+      }
+      if (await hashAnswer(answer) !== entry.answerHash) {
+        return fail(entry.index, `Answer to question ${questionId} does not match entry ${entry.index}`);
+      }
+    }
+  }
+
+  return { valid: true, length: entries.length, head: previousHash, firstTamperedIndex: null, reason: null };
+}
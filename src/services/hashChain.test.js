@@ -0,0 +1,108 @@
+import { GENESIS_HASH, canonicalize, hashAnswer, linkEntry, verifyAnswerChain } from './hashChain';
+
+const PHOTO = {
+  type: 'photo',
+  attachmentId: 's1_q2',
+  mimeType: 'image/jpeg',
+  size: 2048,
+  checksum: 'a'.repeat(64),
+  capturedAt: '2024-03-05T10:01:00.000Z',
+  previewUrl: 'blob:local-preview'
+};
+
+const ANSWERS = { q1: 'Maize', q2: PHOTO, q3: { type: 'number', value: 4, unit: 'acres' } };
+
+// Answer log with one entry per question, in order
+async function buildLog(answers = ANSWERS) {
+  const entries = [];
+  for (const [questionId, answer] of Object.entries(answers)) {
+    entries.push(await linkEntry(entries, {
+      questionId,
+      answerHash: await hashAnswer(answer),
+      timestamp: `2024-03-05T10:0${entries.length}:00.000Z`
+    }));
+  }
+  return { entries, head: entries[entries.length - 1].hash };
+}
+
+describe('canonicalize', () => {
+  test('sorts keys and drops undefined fields', () => {
+    expect(canonicalize({ b: 1, a: [undefined, { d: undefined, c: 'x' }] })).toBe('{"a":[null,{"c":"x"}],"b":1}');
+  });
+});
+
+describe('verifyAnswerChain', () => {
+  test('accepts an untouched log with its head and answers', async () => {
+    const { entries, head } = await buildLog();
+
+    expect(await verifyAnswerChain(entries, { head, answers: ANSWERS })).toEqual({
+      valid: true,
+      length: 3,
+      head,
+      firstTamperedIndex: null,
+      reason: null
+    });
+    expect(await verifyAnswerChain([], { head: GENESIS_HASH })).toMatchObject({ valid: true, head: GENESIS_HASH });
+  });
+
+  test('a changed answer is reported at its entry', async () => {
+    const { entries, head } = await buildLog();
+
+    const result = await verifyAnswerChain(entries, { head, answers: { ...ANSWERS, q3: { ...ANSWERS.q3, value: 40 } } });
+
+    expect(result).toMatchObject({ valid: false, firstTamperedIndex: 2, reason: 'Answer to question q3 does not match entry 2' });
+  });
+
+  test('a changed media checksum is reported at its entry, a new preview URL is not', async () => {
+    const { entries, head } = await buildLog();
+
+    const swapped = await verifyAnswerChain(entries, { head, answers: { ...ANSWERS, q2: { ...PHOTO, checksum: 'b'.repeat(64) } } });
+    const relinked = await verifyAnswerChain(entries, { head, answers: { ...ANSWERS, q2: { ...PHOTO, previewUrl: 'blob:other' } } });
+
+    expect(swapped).toMatchObject({ valid: false, firstTamperedIndex: 1 });
+    expect(relinked.valid).toBe(true);
+  });
+
+  test('an entry edited in the log is reported at that entry', async () => {
+    const { entries, head } = await buildLog();
+    const edited = entries.map(entry => (entry.index === 1 ? { ...entry, answerHash: 'f'.repeat(64) } : entry));
+
+    expect(await verifyAnswerChain(edited, { head })).toMatchObject({
+      valid: false,
+      firstTamperedIndex: 1,
+      reason: 'Entry 1 content does not match its hash'
+    });
+  });
+
+  test('reordered entries are reported at the first moved position', async () => {
+    const { entries, head } = await buildLog();
+
+    const swapped = await verifyAnswerChain([entries[0], entries[2], entries[1]], { head });
+    const renumbered = await verifyAnswerChain(
+      [entries[0], { ...entries[2], index: 1 }, { ...entries[1], index: 2 }],
+      { head }
+    );
+
+    expect(swapped).toMatchObject({ valid: false, firstTamperedIndex: 1, reason: 'Entry 1 has index 2' });
+    expect(renumbered).toMatchObject({ valid: false, firstTamperedIndex: 1, reason: 'Entry 1 does not link to the previous entry' });
+  });
+
+  test('entries removed from or appended to the end are caught by the head', async () => {
+    const { entries, head } = await buildLog();
+    const appended = [...entries, await linkEntry(entries, { questionId: 'q4', answerHash: await hashAnswer('late') })];
+
+    expect(await verifyAnswerChain(entries.slice(0, 2), { head })).toMatchObject({ valid: false, firstTamperedIndex: 2 });
+    expect(await verifyAnswerChain(appended, { head })).toMatchObject({ valid: false, firstTamperedIndex: 3 });
+    expect(await verifyAnswerChain(entries, { head: GENESIS_HASH })).toMatchObject({ valid: false, firstTamperedIndex: 0 });
+  });
+
+  test('an answer missing from the log is not tied to an entry', async () => {
+    const { entries, head } = await buildLog();
+
+    expect(await verifyAnswerChain(entries, { head, answers: { ...ANSWERS, q9: 'Unlogged' } })).toMatchObject({
+      valid: false,
+      firstTamperedIndex: null,
+      reason: 'Answer to question q9 is not in the log'
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * GroundTruth AI Image Utilities
+ *
+ * Client-side processing of captured photos before they are stored:
+ * - Downscaling and JPEG compression to a maximum dimension and byte size
+ * - Small thumbnails for previews
+ */
+
+const envNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const DEFAULT_PHOTO_OPTIONS = {
+  maxDimension: envNumber(process.env.REACT_APP_PHOTO_MAX_DIMENSION, 1600),
+  maxBytes: envNumber(process.env.REACT_APP_PHOTO_MAX_BYTES, 500 * 1024),
+  quality: envNumber(process.env.REACT_APP_PHOTO_QUALITY, 0.85),
+  minQuality: 0.5,
+  thumbnailSize: 240,
+  thumbnailQuality: 0.7
+};
+
+/**
+ * Decode an image Blob, honouring EXIF orientation where supported
+ */
+async function loadImage(blob) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    } catch (error) {
+      // Fall back to an <img> element (older Safari)
+    }
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Unable to decode image'));
+      image.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Draw an image scaled to fit within `maxDimension` and encode it as JPEG
+ */
+function renderJPEG(image, maxDimension, quality) {
+  const sourceWidth = image.width || image.naturalWidth;
+  const sourceHeight = image.height || image.naturalHeight;
+  const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve({ blob, width, height }) : reject(new Error('Image encoding failed'))),
+      'image/jpeg',
+      quality
+    );
+  });
+}
+
+/**
+ * Downscale and compress a photo. Quality is lowered step by step until the
+ * result fits `maxBytes`, then the dimensions are reduced if it still does not.
+ */
+export async function compressImage(blob, options = {}) {
+  const { maxDimension, maxBytes, quality, minQuality } = { ...DEFAULT_PHOTO_OPTIONS, ...options };
+  const image = await loadImage(blob);
+
+  let dimension = maxDimension;
+  let currentQuality = quality;
+  let result = await renderJPEG(image, dimension, currentQuality);
+
+  for (let attempt = 0; result.blob.size > maxBytes && attempt < 8; attempt++) {
+    if (currentQuality - 0.1 >= minQuality) {
+      currentQuality -= 0.1;
+    } else {
+      dimension = Math.round(dimension * 0.8);
+    }
+    result = await renderJPEG(image, dimension, currentQuality);
+  }
+
+  if (image.close) image.close();
+  return { ...result, quality: Math.round(currentQuality * 100) / 100, originalSize: blob.size };
+}
+
+/**
+ * Small JPEG preview of a photo
+ */
+export async function createThumbnail(blob, options = {}) {
+  const { thumbnailSize, thumbnailQuality } = { ...DEFAULT_PHOTO_OPTIONS, ...options };
+  const image = await loadImage(blob);
+  const result = await renderJPEG(image, thumbnailSize, thumbnailQuality);
+  if (image.close) image.close();
+  return result.blob;
+}
@@ -0,0 +1,135 @@
+/**
+ * GroundTruth AI Location Trail
+ *
+ * Bounded, full-length record of where an interview took place:
+ * - Adaptive sampling: fixes are kept often while moving, rarely while stationary
+ * - Older points are thinned out (every other point) instead of being dropped,
+ *   so the trail always spans the whole interview
+ * - Running statistics cover every accepted fix, including thinned-out ones
+ *
+ * A trail is `{ points, stats }`; `stats` is
+ * `{ samples, totalDistanceMeters, maxDisplacementMeters, anchor }`.
+ */
+
+import { haversineDistance } from './geofence';
+
+export const DEFAULT_TRAIL_OPTIONS = {
+  movingIntervalMs: 5000,
+  stationaryIntervalMs: 60000,
+  // Movement below this (or the fix's own accuracy) counts as GPS jitter
+  movementThresholdMeters: 10,
+  maxPoints: 300,
+  // Newest points always kept at full resolution
+  recentPoints: 100,
+  // Persist the trail after this many accepted fixes
+  persistEveryFixes: 5
+};
+
+const isFix = location => !!location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude);
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Build a trail (with statistics) from points, e.g. a legacy locationHistory
+ */
+export function createTrail(points = []) {
+  let trail = { points: [], stats: { samples: 0, totalDistanceMeters: 0, maxDisplacementMeters: 0, anchor: null } };
+  points.filter(isFix).forEach(point => {
+    trail = addFix(trail, point, { maxPoints: Infinity });
+  });
+  return trail;
+}
+
+/**
+ * Whether a fix should be recorded, given the last recorded point
+ */
+export function shouldRecordFix(lastPoint, location, options = {}) {
+  if (!isFix(location)) return false;
+  if (!lastPoint) return true;
+
+  const { movingIntervalMs, stationaryIntervalMs, movementThresholdMeters } = { ...DEFAULT_TRAIL_OPTIONS, ...options };
+  const elapsedMs = Date.parse(location.timestamp) - Date.parse(lastPoint.timestamp);
+  const moved = haversineDistance(lastPoint, location) > Math.max(movementThresholdMeters, location.accuracy || 0);
+
+  return elapsedMs >= (moved ? movingIntervalMs : stationaryIntervalMs);
+}
+
+/**
+ * Thin out everything but the newest `recentPoints` until the trail fits
+ * `maxPoints`. The first and last points are always kept.
+ */
+export function downsampleTrail(points, options = {}) {
+  const { maxPoints, recentPoints } = { ...DEFAULT_TRAIL_OPTIONS, ...options };
+  let result = points;
+
+  while (result.length > Math.max(2, maxPoints)) {
+    // The newest point always counts as recent, so it is never thinned out
+    const splitAt = Math.max(1, Math.min(result.length - 1, result.length - recentPoints));
+    const older = result.slice(0, splitAt).filter((point, index) => index % 2 === 0);
+    // Nothing left to thin: fall back to thinning the recent points too
+    const lastIndex = result.length - 1;
+    result = older.length === splitAt
+      ? result.filter((point, index) => index % 2 === 0 || index === lastIndex)
+      : [...older, ...result.slice(splitAt)];
+  }
+  return result;
+}
+
+/**
+ * Add an accepted fix: update the running statistics, append it and
+ * downsample if the trail is over its bound. Returns a new trail.
+ */
+export function addFix(trail, location, options = {}) {
+  const { movementThresholdMeters } = { ...DEFAULT_TRAIL_OPTIONS, ...options };
+  const stats = { ...trail.stats, samples: trail.stats.samples + 1 };
+  const origin = trail.points[0] || location;
+
+  // Distance accrues only once the fix leaves the jitter radius of the last anchor
+  if (!stats.anchor) {
+    stats.anchor = location;
+  } else {
+    const step = haversineDistance(stats.anchor, location);
+    if (step > Math.max(movementThresholdMeters, stats.anchor.accuracy || 0, location.accuracy || 0)) {
+      stats.totalDistanceMeters += step;
+      stats.anchor = location;
+    }
+  }
+  stats.maxDisplacementMeters = Math.max(stats.maxDisplacementMeters, haversineDistance(origin, location));
+
+  return { points: downsampleTrail([...trail.points, location], options), stats };
+}
+
+/**
+ * Summary of a trail for the packet. The dwell radius is the distance from
+ * the centroid that contains 90% of the retained points.
+ */
+export function summarizeTrail(trail) {
+  const { points, stats } = trail;
+  if (points.length === 0) {
+    return { pointCount: 0, samples: 0, totalDistanceMeters: 0, maxDisplacementMeters: 0, dwellRadiusMeters: null, centroid: null, durationSec: 0 };
+  }
+
+  const centroid = {
+    latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+    longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length
+  };
+  const distances = points.map(point => haversineDistance(centroid, point)).sort((a, b) => a - b);
+  const dwellRadius = distances[Math.min(distances.length - 1, Math.ceil(distances.length * 0.9) - 1)];
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    pointCount: points.length,
+    samples: stats.samples,
+    totalDistanceMeters: round(stats.totalDistanceMeters),
+    maxDisplacementMeters: round(stats.maxDisplacementMeters),
+    dwellRadiusMeters: round(dwellRadius),
+    centroid: {
+      latitude: Math.round(centroid.latitude * 1e6) / 1e6,
+      longitude: Math.round(centroid.longitude * 1e6) / 1e6
+    },
+    firstAt: first.timestamp,
+    lastAt: last.timestamp,
+    durationSec: Math.round((Date.parse(last.timestamp) - Date.parse(first.timestamp)) / 1000)
+  };
+}
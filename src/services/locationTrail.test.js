@@ -0,0 +1,106 @@
+import { addFix, createTrail, downsampleTrail, shouldRecordFix, summarizeTrail } from './locationTrail';
+
+const START = Date.parse('2024-03-05T10:00:00.000Z');
+
+// A fix `northMeters` north of a fixed point, `seconds` into the interview
+const fix = (northMeters, seconds, accuracy = 5) => ({
+  latitude: 0.3476 + northMeters / 111195,
+  longitude: 32.5825,
+  accuracy,
+  timestamp: new Date(START + seconds * 1000).toISOString()
+});
+
+const points = count => Array.from({ length: count }, (_, index) => fix(index, index * 5));
+
+describe('downsampleTrail', () => {
+  test.each([
+    [301, { maxPoints: 300, recentPoints: 100 }],
+    [1000, { maxPoints: 300, recentPoints: 100 }],
+    [50, { maxPoints: 10, recentPoints: 0 }],
+    [51, { maxPoints: 10, recentPoints: 0 }],
+    [50, { maxPoints: 10, recentPoints: 40 }],
+    [7, { maxPoints: 1, recentPoints: 0 }]
+  ])('keeps the first and last of %i points within %j', (count, options) => {
+    const trail = points(count);
+
+    const result = downsampleTrail(trail, options);
+
+    expect(result.length).toBeLessThanOrEqual(Math.max(2, options.maxPoints));
+    expect(result[0]).toBe(trail[0]);
+    expect(result[result.length - 1]).toBe(trail[count - 1]);
+  });
+
+  test('thins older points before the recent ones', () => {
+    const trail = points(301);
+
+    const result = downsampleTrail(trail, { maxPoints: 300, recentPoints: 100 });
+
+    expect(result.slice(-100)).toEqual(trail.slice(-100));
+    expect(result.slice(0, 3)).toEqual([trail[0], trail[2], trail[4]]);
+  });
+
+  test('leaves a trail within its bound untouched', () => {
+    const trail = points(10);
+
+    expect(downsampleTrail(trail, { maxPoints: 10 })).toBe(trail);
+  });
+});
+
+describe('shouldRecordFix', () => {
+  test('samples often while moving and rarely while stationary', () => {
+    expect(shouldRecordFix(null, fix(0, 0))).toBe(true);
+    expect(shouldRecordFix(fix(0, 0), fix(50, 5))).toBe(true);
+    expect(shouldRecordFix(fix(0, 0), fix(50, 4))).toBe(false);
+    expect(shouldRecordFix(fix(0, 0), fix(3, 30))).toBe(false);
+    expect(shouldRecordFix(fix(0, 0), fix(3, 60))).toBe(true);
+    expect(shouldRecordFix(fix(0, 0), fix(50, 30, 80))).toBe(false);
+    expect(shouldRecordFix(fix(0, 0), { timestamp: fix(0, 60).timestamp })).toBe(false);
+  });
+});
+
+describe('summarizeTrail', () => {
+  test('summarizes distance, displacement, dwell radius and duration', () => {
+    const trail = createTrail([fix(0, 0), fix(4, 60), fix(100, 120), fix(100, 180), fix(0, 240)]);
+
+    const summary = summarizeTrail(trail);
+
+    expect(summary).toMatchObject({
+      pointCount: 5,
+      samples: 5,
+      maxDisplacementMeters: 100,
+      firstAt: fix(0, 0).timestamp,
+      lastAt: fix(0, 240).timestamp,
+      durationSec: 240
+    });
+    // The 4 m step is jitter; only the walk there and back counts
+    expect(summary.totalDistanceMeters).toBeCloseTo(200, 0);
+    expect(summary.dwellRadiusMeters).toBeCloseTo(59.2, 0);
+    expect(summary.centroid).toEqual({ latitude: expect.any(Number), longitude: 32.5825 });
+  });
+
+  test('statistics cover fixes that were thinned out', () => {
+    let trail = createTrail();
+    points(20).forEach(point => {
+      trail = addFix(trail, point, { maxPoints: 5, recentPoints: 2, movementThresholdMeters: 0 });
+    });
+
+    const summary = summarizeTrail(trail);
+
+    expect(summary.pointCount).toBeLessThanOrEqual(5);
+    expect(summary.samples).toBe(20);
+    expect(summary.maxDisplacementMeters).toBe(19);
+    expect(summary.durationSec).toBe(95);
+  });
+
+  test('an empty trail has no centroid', () => {
+    expect(summarizeTrail(createTrail())).toEqual({
+      pointCount: 0,
+      samples: 0,
+      totalDistanceMeters: 0,
+      maxDisplacementMeters: 0,
+      dwellRadiusMeters: null,
+      centroid: null,
+      durationSec: 0
+    });
+  });
+});
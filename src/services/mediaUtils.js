@@ -0,0 +1,75 @@
+/**
+ * GroundTruth AI Media Utilities
+ *
+ * Helpers shared by storage, sync and verification for binary media:
+ * - SHA-256 checksums of Blobs
+ * - Blob/ArrayBuffer <-> base64 conversion (localStorage fallback, encryption)
+ */
+
+/**
+ * Hex-encode an ArrayBuffer
+ */
+export function bufferToHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * SHA-256 checksum (hex) of a Blob
+ */
+export async function computeChecksum(blob) {
+  const buffer = await blob.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return bufferToHex(digest);
+}
+
+/**
+ * Encode a Blob as a base64 string (without the data: URL prefix)
+ */
+export function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Decode a base64 string back into a Blob
+ */
+export function base64ToBlob(base64, mimeType = 'application/octet-stream') {
+  return new Blob([base64ToBuffer(base64)], { type: mimeType });
+}
+
+/**
+ * Encode an ArrayBuffer or typed array as base64
+ */
+export function bufferToBase64(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into an ArrayBuffer
+ */
+export function base64ToBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Whether an answer references a stored media attachment
+ */
+export function isMediaAnswer(answer) {
+  return !!answer && typeof answer === 'object' && !!answer.attachmentId;
+}
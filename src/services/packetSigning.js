@@ -0,0 +1,145 @@
+/**
+ * GroundTruth AI Packet Signing
+ *
+ * ECDSA P-256 / SHA-256 signatures over a packet's verification record.
+ * The record commits to the answers (answer chain head and content hash), so
+ * a valid signature proves the packet was completed on the device holding the
+ * key and not edited afterwards.
+ *
+ * Signatures embed the public key (JWK) and its fingerprint, so any holder of
+ * the packet can check them; whether the fingerprint belongs to an enrolled
+ * device is up to the verifier (`trustedFingerprints`). This module only
+ * needs WebCrypto, so backends running Node 18+ and the service worker can
+ * use it unchanged.
+ */
+
+import { bufferToBase64, base64ToBuffer } from './mediaUtils';
+import { canonicalize, sha256Hex, hashSurveyContent, verifyAnswerChain } from './hashChain';
+
+export const SIGNATURE_ALGORITHM = 'ES256';
+export const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Fingerprint of an EC public key: SHA-256 (hex) over its required JWK
+ * members in canonical order, as in RFC 7638
+ */
+export function computeKeyFingerprint(publicKeyJwk) {
+  const { crv, kty, x, y } = publicKeyJwk;
+  return sha256Hex(canonicalize({ crv, kty, x, y }));
+}
+
+/**
+ * Bytes that are signed: the canonical JSON of the verification record
+ * without its signature
+ */
+export function signingPayload(verification) {
+  const { signature, ...record } = verification;
+  return new TextEncoder().encode(canonicalize(record));
+}
+
+/**
+ * Sign a verification record with a device key
+ */
+export async function signVerification(verification, { privateKey, publicKeyJwk, fingerprint }) {
+  const value = await crypto.subtle.sign(SIGN_PARAMS, privateKey, signingPayload(verification));
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyFingerprint: fingerprint,
+    publicKey: publicKeyJwk,
+    value: bufferToBase64(value)
+  };
+}
+
+/**
+ * Check a verification record's signature. Pass `trustedFingerprints` to
+ * also require the key to belong to an enrolled device.
+ * Returns `{ valid, fingerprint, reason }`.
+ */
+export async function verifyVerificationSignature(verification, { trustedFingerprints = null } = {}) {
+  const signature = verification && verification.signature;
+  if (!signature) {
+    return { valid: false, fingerprint: null, reason: 'Packet is not signed' };
+  }
+
+  const fail = reason => ({ valid: false, fingerprint: signature.keyFingerprint || null, reason });
+
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return fail(`Unsupported signature algorithm ${signature.algorithm}`);
+  }
+  if (await computeKeyFingerprint(signature.publicKey) !== signature.keyFingerprint) {
+    return fail('Public key does not match its fingerprint');
+  }
+  if (trustedFingerprints && !trustedFingerprints.includes(signature.keyFingerprint)) {
+    return fail('Packet was signed by a device that is not enrolled');
+  }
+
+  try {
+    const publicKey = await crypto.subtle.importKey('jwk', signature.publicKey, KEY_ALGORITHM, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      SIGN_PARAMS,
+      publicKey,
+      base64ToBuffer(signature.value),
+      signingPayload(verification)
+    );
+    return valid ? { valid: true, fingerprint: signature.keyFingerprint, reason: null } : fail('Signature does not match packet contents');
+  } catch (error) {
+    return fail(`Signature could not be checked: ${error.message}`);
+  }
+}
+
+/**
+ * Verification hash: SHA-256 over the survey summary and the answer chain
+ * head, which commits to every answer
+ */
+export function computeVerificationHash(verification) {
+  return sha256Hex(canonicalize({
+    surveyId: verification.surveyId,
+    startTime: verification.startTime,
+    endTime: verification.endTime,
+    startLocation: verification.startLocation,
+    endLocation: verification.endLocation,
+    answerChain: verification.answerChain,
+    locationHistory: verification.locationHistory,
+    trailSummary: verification.trailSummary
+  }));
+}
+
+/**
+ * Verify a completed packet: recompute the answer chain against the
+ * packet's answers, the verification hash over the summary and, for signed
+ * packets, the content hash and device signature. `trustedFingerprints`
+ * restricts signatures to enrolled devices; `requireSignature` rejects
+ * unsigned packets.
+ */
+export async function verifyPacket(packet, { trustedFingerprints = null, requireSignature = false } = {}) {
+  const verification = packet.verification || {};
+  const chain = verification.answerChain || {};
+  const result = await verifyAnswerChain(verification.answerTimestamps || [], {
+    head: chain.head || null,
+    answers: packet.answers || null
+  });
+  const fail = reason => ({ ...result, valid: false, reason });
+
+  if (!result.valid) {
+    return { ...result, signed: !!verification.signature };
+  }
+  if (await computeVerificationHash(verification) !== verification.verificationHash) {
+    return fail('Verification hash does not match the survey summary');
+  }
+
+  if (!verification.signature) {
+    return requireSignature ? { ...fail('Packet is not signed'), signed: false } : { ...result, signed: false };
+  }
+
+  const content = { answers: packet.answers || {}, notes: packet.notes === undefined ? null : packet.notes };
+  if (await hashSurveyContent(content) !== verification.contentHash) {
+    return { ...fail('Answers or notes do not match the signed content hash'), signed: true };
+  }
+
+  const signature = await verifyVerificationSignature(verification, { trustedFingerprints });
+  if (!signature.valid) {
+    return { ...fail(signature.reason), signed: true, fingerprint: signature.fingerprint };
+  }
+  return { ...result, signed: true, fingerprint: signature.fingerprint };
+}
@@ -0,0 +1,125 @@
+import { hashAnswer, hashSurveyContent, linkEntry } from './hashChain';
+import {
+  KEY_ALGORITHM,
+  computeKeyFingerprint,
+  computeVerificationHash,
+  signVerification,
+  verifyPacket,
+  verifyVerificationSignature
+} from './packetSigning';
+
+async function createDeviceKey() {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+  const publicKeyJwk = await crypto.subtle.exportKey('jwk', publicKey);
+  return { privateKey, publicKeyJwk, fingerprint: await computeKeyFingerprint(publicKeyJwk) };
+}
+
+// A packet completed and signed the way VerificationService does it
+async function signedPacket(deviceKey, { answers = { q1: 'Maize', q2: 3 }, notes = null } = {}) {
+  const answerTimestamps = [];
+  for (const [questionId, answer] of Object.entries(answers)) {
+    answerTimestamps.push(await linkEntry(answerTimestamps, { questionId, answerHash: await hashAnswer(answer) }));
+  }
+
+  const verification = {
+    surveyId: 's1',
+    startTime: '2024-03-05T10:00:00.000Z',
+    endTime: '2024-03-05T10:20:00.000Z',
+    startLocation: { latitude: 0.3476, longitude: 32.5825, accuracy: 5 },
+    endLocation: { latitude: 0.3477, longitude: 32.5825, accuracy: 5 },
+    answerTimestamps,
+    answerChain: { algorithm: 'SHA-256', head: answerTimestamps[answerTimestamps.length - 1].hash, length: answerTimestamps.length },
+    locationHistory: [],
+    fraud: { riskScore: 0, riskLevel: 'low', flags: [] }
+  };
+  verification.verificationHash = await computeVerificationHash(verification);
+  verification.contentHash = await hashSurveyContent({ answers, notes });
+  verification.signature = await signVerification(verification, deviceKey);
+
+  return { surveyId: 's1', answers, notes, verification };
+}
+
+let deviceKey;
+
+beforeAll(async () => {
+  deviceKey = await createDeviceKey();
+});
+
+describe('computeKeyFingerprint', () => {
+  test('is a SHA-256 hex digest over the required members only', async () => {
+    const { publicKeyJwk, fingerprint } = deviceKey;
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(await computeKeyFingerprint({ ...publicKeyJwk, key_ops: ['verify'], ext: true })).toBe(fingerprint);
+    expect(await computeKeyFingerprint((await createDeviceKey()).publicKeyJwk)).not.toBe(fingerprint);
+  });
+});
+
+describe('verification signatures', () => {
+  test('a signed record verifies and names its key', async () => {
+    const { verification } = await signedPacket(deviceKey);
+
+    expect(verification.signature).toMatchObject({ algorithm: 'ES256', keyFingerprint: deviceKey.fingerprint });
+    expect(await verifyVerificationSignature(verification)).toEqual({ valid: true, fingerprint: deviceKey.fingerprint, reason: null });
+    expect(await verifyVerificationSignature(verification, { trustedFingerprints: [deviceKey.fingerprint] }))
+      .toMatchObject({ valid: true });
+  });
+
+  test('rejects an edited record, an unenrolled device and a swapped key', async () => {
+    const { verification } = await signedPacket(deviceKey);
+    const other = await createDeviceKey();
+
+    expect(await verifyVerificationSignature({ ...verification, endTime: '2024-03-05T11:00:00.000Z' }))
+      .toMatchObject({ valid: false, reason: 'Signature does not match packet contents' });
+    expect(await verifyVerificationSignature(verification, { trustedFingerprints: [other.fingerprint] }))
+      .toMatchObject({ valid: false, reason: 'Packet was signed by a device that is not enrolled' });
+    expect(await verifyVerificationSignature({
+      ...verification,
+      signature: { ...verification.signature, publicKey: other.publicKeyJwk }
+    })).toMatchObject({ valid: false, reason: 'Public key does not match its fingerprint' });
+    expect(await verifyVerificationSignature({
+      ...verification,
+      signature: { ...verification.signature, publicKey: other.publicKeyJwk, keyFingerprint: other.fingerprint }
+    })).toMatchObject({ valid: false, reason: 'Signature does not match packet contents' });
+  });
+});
+
+describe('verifyPacket', () => {
+  test('accepts an untouched signed packet', async () => {
+    const packet = await signedPacket(deviceKey, { notes: { q1: { note: 'Checked with the farmer', flag: null } } });
+
+    expect(await verifyPacket(packet, { trustedFingerprints: [deviceKey.fingerprint], requireSignature: true }))
+      .toMatchObject({ valid: true, signed: true, fingerprint: deviceKey.fingerprint, length: 2 });
+  });
+
+  test('rejects a packet whose answer was edited after signing', async () => {
+    const packet = await signedPacket(deviceKey);
+
+    expect(await verifyPacket({ ...packet, answers: { ...packet.answers, q2: 30 } })).toMatchObject({
+      valid: false,
+      signed: true,
+      firstTamperedIndex: 1,
+      reason: 'Answer to question q2 does not match entry 1'
+    });
+  });
+
+  test('rejects edited notes and edited verification fields', async () => {
+    const packet = await signedPacket(deviceKey);
+    const fraud = { riskScore: 0, riskLevel: 'low', flags: [], edited: true };
+
+    expect(await verifyPacket({ ...packet, notes: { q1: { note: 'Added later', flag: null } } }))
+      .toMatchObject({ valid: false, reason: 'Answers or notes do not match the signed content hash' });
+    expect(await verifyPacket({ ...packet, verification: { ...packet.verification, fraud } }))
+      .toMatchObject({ valid: false, reason: 'Signature does not match packet contents' });
+    expect(await verifyPacket({ ...packet, verification: { ...packet.verification, endTime: '2024-03-05T10:05:00.000Z' } }))
+      .toMatchObject({ valid: false, reason: 'Verification hash does not match the survey summary' });
+  });
+
+  test('unsigned packets pass only when a signature is not required', async () => {
+    const { verification, ...rest } = await signedPacket(deviceKey);
+    const unsigned = { ...rest, verification: { ...verification, signature: null } };
+
+    expect(await verifyPacket(unsigned)).toMatchObject({ valid: true, signed: false });
+    expect(await verifyPacket(unsigned, { requireSignature: true })).toMatchObject({ valid: false, reason: 'Packet is not signed' });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * GroundTruth AI Data Quality Score
+ *
+ * Estimates how likely a completed survey is to pass review, so surveyors can
+ * fix problems while still at the household. Each check has an `id`, a
+ * maximum `penalty` and an `evaluate(context)` that returns null or an issue
+ * `{ message, penalty?, details }` (penalty defaults to the maximum).
+ * The context is:
+ * - `verification`: the survey's verification data (including `fraud`)
+ * - `answers`: final answers keyed by question ID
+ * - `questions`: the survey's questions (skipped-by-logic questions are ignored)
+ * - `environmentPhotoConfig`: `{ required }`; a missing environment photo only
+ *   counts when it is required
+ *
+ * The score starts at 100 and each issue deducts its penalty.
+ */
+
+import { isMediaAnswer } from './mediaUtils';
+import { getRelevantQuestions } from './formLogic';
+import { hasAnswer } from './answerTypes';
+
+export const QUALITY_VERSION = 1;
+
+const MEDIA_TYPES = ['audio', 'photo'];
+// Expected minimum time on a question when judging the overall duration
+const MIN_SECONDS_PER_QUESTION = 20;
+const POOR_ACCURACY_METERS = 50;
+
+const formatDuration = seconds => (seconds < 120 ? `${Math.round(seconds)} s` : `${Math.round(seconds / 60)} min`);
+
+/**
+ * Accuracy of every fix recorded for the survey
+ */
+function getAccuracies(verification) {
+  return [
+    verification.startLocation,
+    ...(verification.locationHistory || []),
+    ...(verification.answerTimestamps || []).map(entry => entry.location),
+    verification.endLocation
+  ]
+    .filter(location => location && typeof location.accuracy === 'number')
+    .map(location => location.accuracy)
+    .sort((a, b) => a - b);
+}
+
+export const qualityChecks = [
+  {
+    id: 'short_duration',
+    penalty: 20,
+    evaluate({ verification, answers = {}, questions = [] }) {
+      const expectedSec = getRelevantQuestions(questions, answers).length * MIN_SECONDS_PER_QUESTION;
+      if (typeof verification.duration !== 'number' || verification.duration >= expectedSec) return null;
+      return {
+        message: `Interview took ${formatDuration(verification.duration)}; at least ${formatDuration(expectedSec)} is expected`,
+        details: { durationSec: verification.duration, expectedSec }
+      };
+    }
+  },
+  {
+    id: 'gps_accuracy',
+    penalty: 25,
+    evaluate({ verification }) {
+      const accuracies = getAccuracies(verification);
+      if (accuracies.length === 0) {
+        return { message: 'No GPS location was recorded', details: { fixes: 0 } };
+      }
+
+      const median = accuracies[Math.floor(accuracies.length / 2)];
+      if (median <= POOR_ACCURACY_METERS) return null;
+      return {
+        message: `GPS accuracy was poor (typically ±${Math.round(median)} m)`,
+        penalty: 15,
+        details: { medianAccuracyMeters: Math.round(median), fixes: accuracies.length }
+      };
+    }
+  },
+  {
+    id: 'out_of_area',
+    penalty: 20,
+    evaluate({ verification }) {
+      if (!verification.outOfFence) return null;
+      const outsideByMeters = verification.geofence ? verification.geofence.maxOutsideByMeters : null;
+      return {
+        message: outsideByMeters
+          ? `Interview took place up to ${Math.round(outsideByMeters)} m outside the assigned area`
+          : 'Interview took place outside the assigned area',
+        details: { outsideByMeters }
+      };
+    }
+  },
+  {
+    id: 'skipped_questions',
+    penalty: 20,
+    evaluate({ answers = {}, questions = [] }) {
+      const skipped = getRelevantQuestions(questions, answers)
+        .filter(question => !MEDIA_TYPES.includes(question.type) && !hasAnswer(answers[question.id]))
+        .map(question => question.id);
+      if (skipped.length === 0) return null;
+      return {
+        message: `${skipped.length} question(s) left unanswered`,
+        penalty: Math.min(20, skipped.length * 5),
+        details: { questionIds: skipped }
+      };
+    }
+  },
+  {
+    id: 'missing_media',
+    penalty: 15,
+    evaluate({ verification, answers = {}, questions = [], environmentPhotoConfig = {} }) {
+      const missing = getRelevantQuestions(questions, answers)
+        .filter(question => MEDIA_TYPES.includes(question.type) && !isMediaAnswer(answers[question.id]))
+        .map(question => ({ questionId: question.id, type: question.type }));
+      if (environmentPhotoConfig.required && !verification.environmentPhoto) {
+        missing.push({ questionId: 'environment', type: 'photo' });
+      }
+      if (missing.length === 0) return null;
+      return {
+        message: `${missing.length} recording(s) or photo(s) missing`,
+        penalty: Math.min(15, missing.length * 5),
+        details: missing
+      };
+    }
+  },
+  {
+    id: 'fraud_flags',
+    penalty: 40,
+    evaluate({ verification }) {
+      const fraud = verification.fraud;
+      if (!fraud || fraud.flags.length === 0) return null;
+      return {
+        message: fraud.flags.map(flag => flag.message).join('; '),
+        penalty: fraud.riskLevel === 'high' ? 40 : fraud.riskLevel === 'medium' ? 25 : 10,
+        details: { riskScore: fraud.riskScore, riskLevel: fraud.riskLevel, rules: fraud.flags.map(flag => flag.rule) }
+      };
+    }
+  }
+];
+
+/**
+ * Run every check; a failing check is reported in `errors` instead of
+ * aborting the evaluation
+ */
+export function evaluateQuality(context, checks = qualityChecks) {
+  const reasons = [];
+  const errors = [];
+
+  checks.forEach(check => {
+    try {
+      const issue = check.evaluate(context);
+      if (issue) {
+        reasons.push({ check: check.id, ...issue, penalty: Math.min(check.penalty, issue.penalty || check.penalty) });
+      }
+    } catch (error) {
+      errors.push({ check: check.id, error: error.message });
+    }
+  });
+
+  const score = Math.max(0, 100 - reasons.reduce((total, reason) => total + reason.penalty, 0));
+  let grade = 'good';
+  if (score < 50) {
+    grade = 'poor';
+  } else if (score < 80) {
+    grade = 'fair';
+  }
+
+  return {
+    qualityVersion: QUALITY_VERSION,
+    score,
+    grade,
+    reasons,
+    errors,
+    evaluatedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,94 @@
+// Expressions reference answers as ${id} inside plain strings
+/* eslint-disable no-template-curly-in-string */
+import { evaluateQuality, qualityChecks } from './qualityScore';
+
+const missingMedia = qualityChecks.filter(check => check.id === 'missing_media');
+
+describe('missing_media', () => {
+  const questions = [{ id: 'q1', type: 'photo' }];
+  const answers = { q1: { type: 'photo', attachmentId: 's1_q1' } };
+
+  test('a missing environment photo only counts when it is required', () => {
+    const optional = evaluateQuality({ verification: {}, answers, questions, environmentPhotoConfig: { required: false } }, missingMedia);
+    const unconfigured = evaluateQuality({ verification: {}, answers, questions }, missingMedia);
+    const required = evaluateQuality({ verification: {}, answers, questions, environmentPhotoConfig: { required: true } }, missingMedia);
+
+    expect(optional.reasons).toEqual([]);
+    expect(unconfigured.reasons).toEqual([]);
+    expect(required.reasons).toEqual([
+      expect.objectContaining({ check: 'missing_media', penalty: 5, details: [{ questionId: 'environment', type: 'photo' }] })
+    ]);
+  });
+
+  test('missing answers to media questions count either way', () => {
+    const result = evaluateQuality({ verification: {}, answers: {}, questions }, missingMedia);
+
+    expect(result.reasons[0]).toMatchObject({ penalty: 5, details: [{ questionId: 'q1', type: 'photo' }] });
+  });
+});
+
+describe('evaluateQuality', () => {
+  const QUESTIONS = [
+    { id: 'q1', type: 'text' },
+    { id: 'q2', type: 'text' },
+    { id: 'q3', type: 'text', relevant: "${q1} = 'Yes'" }
+  ];
+  const goodVerification = {
+    duration: 600,
+    startLocation: { latitude: 0.3476, longitude: 32.5825, accuracy: 8 },
+    environmentPhoto: { attachmentId: 'env' }
+  };
+  // A check that costs exactly `penalty` points
+  const costing = penalty => ({ id: `cost_${penalty}`, penalty, evaluate: () => ({ message: 'Issue' }) });
+
+  test('a clean survey scores 100', () => {
+    const result = evaluateQuality({ verification: goodVerification, answers: { q1: 'No', q2: 'Maize' }, questions: QUESTIONS });
+
+    expect(result).toMatchObject({ score: 100, grade: 'good', reasons: [], errors: [], qualityVersion: 1 });
+  });
+
+  test('each issue deducts its penalty', () => {
+    const verification = {
+      duration: 30,
+      startLocation: { latitude: 0.3476, longitude: 32.5825, accuracy: 120 },
+      outOfFence: true,
+      geofence: { maxOutsideByMeters: 340 },
+      fraud: { riskScore: 35, riskLevel: 'medium', flags: [{ rule: 'impossible_speed', message: '1 location jump(s)' }] }
+    };
+
+    const result = evaluateQuality({ verification, answers: { q1: 'Yes' }, questions: QUESTIONS });
+
+    expect(result.reasons.map(reason => [reason.check, reason.penalty])).toEqual([
+      ['short_duration', 20],
+      ['gps_accuracy', 15],
+      ['out_of_area', 20],
+      ['skipped_questions', 10],
+      ['fraud_flags', 25]
+    ]);
+    expect(result.reasons[0].message).toBe('Interview took 30 s; at least 60 s is expected');
+    expect(result).toMatchObject({ score: 10, grade: 'poor' });
+    expect(evaluateQuality({ verification: {} }).reasons.map(reason => reason.check)).toEqual(['gps_accuracy']);
+  });
+
+  test.each([
+    [[], 100, 'good'],
+    [[20], 80, 'good'],
+    [[20, 1], 79, 'fair'],
+    [[40, 10], 50, 'fair'],
+    [[40, 11], 49, 'poor'],
+    [[40, 40, 40], 0, 'poor']
+  ])('penalties %j give %i (%s)', (penalties, score, grade) => {
+    const result = evaluateQuality({ verification: {} }, penalties.map(costing));
+
+    expect(result).toMatchObject({ score, grade });
+  });
+
+  test('an issue cannot cost more than its check allows, and a failing check is reported', () => {
+    const greedy = { id: 'greedy', penalty: 5, evaluate: () => ({ message: 'Issue', penalty: 50 }) };
+    const broken = { id: 'broken', penalty: 10, evaluate: () => { throw new Error('bad data'); } };
+
+    const result = evaluateQuality({ verification: {} }, [greedy, broken]);
+
+    expect(result).toMatchObject({ score: 95, errors: [{ check: 'broken', error: 'bad data' }] });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * GroundTruth AI Storage Migrations
+ *
+ * Ordered registry of the IndexedDB schema. Each entry upgrades the database
+ * from `version - 1` to `version`:
+ * - `upgrade(db, transaction)` creates/changes object stores and indexes
+ * - `migratePacket(packet, transaction)` (optional) transforms every stored
+ *   survey packet; `transaction` is null in the localStorage fallback.
+ *   Packets saved since encryption at rest only expose their plaintext
+ *   fields here (the payload is in `packet.sealed`), because keys are not
+ *   available before sign-in.
+ *
+ * Released migrations must never be edited; append a new version instead so
+ * devices in the field upgrade without losing unsynced data.
+ */
+
+export const migrations = [
+  {
+    version: 1,
+    description: 'Survey packets store',
+    upgrade(db) {
+      const packetStore = db.createObjectStore('surveyPackets', { keyPath: 'surveyId' });
+      packetStore.createIndex('status', 'status', { unique: false });
+      packetStore.createIndex('completedAt', 'completedAt', { unique: false });
+      packetStore.createIndex('syncStatus', 'syncStatus', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Sync retry queue',
+    upgrade(db) {
+      const retryStore = db.createObjectStore('syncRetries', { keyPath: 'surveyId' });
+      retryStore.createIndex('nextAttemptAt', 'nextAttemptAt', { unique: false });
+    }
+  },
+  {
+    version: 3,
+    description: 'Resumable media upload sessions',
+    upgrade(db) {
+      const sessionStore = db.createObjectStore('uploadSessions', { keyPath: 'sessionId' });
+      sessionStore.createIndex('surveyId', 'surveyId', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'Media store; packets reference attachments by ID',
+    upgrade(db) {
+      const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
+      mediaStore.createIndex('surveyId', 'surveyId', { unique: false });
+    },
+    migratePacket(packet, transaction) {
+      const answers = { ...packet.answers };
+      const attachments = [];
+
+      Object.entries(answers).forEach(([questionId, answer]) => {
+        if (!answer || typeof answer !== 'object' || !('blob' in answer)) return;
+
+        const { blob, url, ...rest } = answer;
+
+        // Only IndexedDB kept real Blobs; localStorage turned them into {}
+        if (transaction && blob instanceof Blob) {
+          const id = `${packet.surveyId}_${questionId}`;
+          transaction.objectStore('media').put({
+            id,
+            surveyId: packet.surveyId,
+            questionId,
+            type: answer.type,
+            blob,
+            mimeType: blob.type || 'application/octet-stream',
+            size: blob.size,
+            checksum: null, // crypto.subtle cannot run inside an upgrade transaction
+            createdAt: packet.createdAt || new Date().toISOString()
+          });
+          answers[questionId] = { ...rest, attachmentId: id, mimeType: blob.type, size: blob.size };
+          attachments.push(id);
+        } else {
+          answers[questionId] = { ...rest, attachmentId: null, mediaLost: true };
+        }
+      });
+
+      return { ...packet, answers, attachments };
+    }
+  },
+  {
+    version: 5,
+    description: 'In-progress survey drafts',
+    upgrade(db) {
+      const draftStore = db.createObjectStore('drafts', { keyPath: 'surveyId' });
+      draftStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+    }
+  },
+  {
+    version: 6,
+    description: 'Device signing keys (non-extractable CryptoKeys)',
+    upgrade(db) {
+      db.createObjectStore('deviceKeys', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 7,
+    description: 'Location trails of in-progress surveys, persisted as they grow',
+    upgrade(db) {
+      db.createObjectStore('locationTrails', { keyPath: 'surveyId' });
+    }
+  },
+  {
+    version: 8,
+    description: 'Cached questionnaire form definitions',
+    upgrade(db) {
+      db.createObjectStore('forms', { keyPath: 'key' });
+    }
+  }
+];
+
+export const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Migrations needed to go from `fromVersion` to `toVersion`, in order
+ */
+export function getPendingMigrations(fromVersion, toVersion = LATEST_VERSION) {
+  return migrations
+    .filter(migration => migration.version > fromVersion && migration.version <= toVersion)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply a list of packet transforms in order
+ */
+export function transformPacket(packet, pending, transaction = null) {
+  return pending
+    .filter(migration => migration.migratePacket)
+    .reduce((current, migration) => migration.migratePacket(current, transaction), packet);
+}
+
+/**
+ * Run pending migrations inside an IndexedDB `onupgradeneeded` handler.
+ *
+ * Store changes run first, in version order. Packet transforms are then
+ * composed into a single cursor pass so that two migrations never race on
+ * the same record.
+ */
+export function runMigrations(db, transaction, oldVersion, newVersion = LATEST_VERSION) {
+  const pending = getPendingMigrations(oldVersion, newVersion);
+
+  pending.forEach(migration => {
+    console.log(`Applying storage migration v${migration.version}: ${migration.description}`);
+    migration.upgrade(db, transaction);
+  });
+
+  const hasPacketTransforms = pending.some(migration => migration.migratePacket);
+  if (!hasPacketTransforms || oldVersion === 0) {
+    return;
+  }
+
+  const cursorRequest = transaction.objectStore('surveyPackets').openCursor();
+  cursorRequest.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    cursor.update(transformPacket(cursor.value, pending, transaction));
+    cursor.continue();
+  };
+}
@@ -0,0 +1,244 @@
+import 'fake-indexeddb/auto';
+import StorageService from './StorageService';
+import { LATEST_VERSION, migrations, runMigrations } from './storageMigrations';
+
+const DB_NAME = StorageService.dbName;
+
+const STORES_BY_VERSION = {
+  1: ['surveyPackets'],
+  2: ['syncRetries'],
+  3: ['uploadSessions'],
+  4: ['media'],
+  5: ['drafts'],
+  6: ['deviceKeys'],
+  7: ['locationTrails'],
+  8: ['forms']
+};
+
+// Open the database at `version` with the released migrations, as that
+// version of the app left it, and store the given records
+function seedDatabase(version, records = {}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, version);
+    request.onupgradeneeded = (event) => {
+      runMigrations(event.target.result, event.target.transaction, 0, version);
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const storeNames = Object.keys(records);
+      if (storeNames.length === 0) {
+        db.close();
+        resolve();
+        return;
+      }
+
+      const transaction = db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(storeName => {
+        records[storeName].forEach(record => transaction.objectStore(storeName).put(record));
+      });
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    };
+  });
+}
+
+function getAll(storeName) {
+  return new Promise((resolve, reject) => {
+    const request = StorageService.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function deleteDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// A packet as saved before the media store existed (v1-v3): media inline
+function inlineMediaPacket(surveyId) {
+  return {
+    surveyId,
+    status: 'completed',
+    syncStatus: 'pending',
+    completedAt: '2024-03-01T10:00:00.000Z',
+    createdAt: '2024-03-01T09:30:00.000Z',
+    answers: {
+      q1: 'Maize',
+      q2: {
+        type: 'photo',
+        blob: new Blob(['jpeg-bytes'], { type: 'image/jpeg' }),
+        url: 'blob:http://localhost/photo',
+        capturedAt: '2024-03-01T09:45:00.000Z'
+      },
+      q3: {
+        type: 'audio',
+        blob: new Blob(['webm-audio-bytes'], { type: 'audio/webm' }),
+        duration: 12
+      }
+    }
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  if (StorageService.db) {
+    StorageService.db.close();
+    StorageService.db = null;
+  }
+  StorageService.useLocalStorageFallback = false;
+  localStorage.clear();
+  await deleteDatabase();
+  jest.restoreAllMocks();
+});
+
+describe('storage migrations', () => {
+  test('registry versions are consecutive and end at LATEST_VERSION', () => {
+    expect(migrations.map(migration => migration.version))
+      .toEqual(Array.from({ length: LATEST_VERSION }, (_, index) => index + 1));
+    // Add the stores of a new migration to STORES_BY_VERSION
+    expect(Object.keys(STORES_BY_VERSION).map(Number)).toHaveLength(LATEST_VERSION);
+  });
+
+  test('a fresh install creates every store', async () => {
+    await StorageService.initializeDB();
+
+    expect(StorageService.db.version).toBe(LATEST_VERSION);
+    expect([...StorageService.db.objectStoreNames].sort())
+      .toEqual(Object.values(STORES_BY_VERSION).flat().sort());
+  });
+
+  test.each(Array.from({ length: LATEST_VERSION - 1 }, (_, index) => index + 1))('upgrades a v%i database to the latest schema', async (version) => {
+    const packet = version < 4
+      ? { surveyId: `survey-v${version}`, status: 'completed', syncStatus: 'pending', answers: { q1: 'Yes' } }
+      : { surveyId: `survey-v${version}`, status: 'completed', syncStatus: 'pending', answers: { q1: 'Yes' }, attachments: [] };
+    await seedDatabase(version, { surveyPackets: [packet] });
+
+    await StorageService.initializeDB();
+
+    expect(StorageService.db.version).toBe(LATEST_VERSION);
+    Object.values(STORES_BY_VERSION).flat().forEach(storeName => {
+      expect(StorageService.db.objectStoreNames.contains(storeName)).toBe(true);
+    });
+
+    const [stored] = await getAll('surveyPackets');
+    expect(stored.surveyId).toBe(packet.surveyId);
+    expect(stored.answers.q1).toBe('Yes');
+    expect(stored.attachments).toEqual([]);
+  });
+
+  test('v4 moves inline media Blobs into the media store', async () => {
+    const packet = inlineMediaPacket('survey-inline');
+    await seedDatabase(3, { surveyPackets: [packet] });
+
+    await StorageService.initializeDB();
+
+    const [stored] = await getAll('surveyPackets');
+    expect(stored.attachments).toEqual(['survey-inline_q2', 'survey-inline_q3']);
+    expect(stored.answers.q1).toBe('Maize');
+    expect(stored.answers.q2).toEqual({
+      type: 'photo',
+      capturedAt: '2024-03-01T09:45:00.000Z',
+      attachmentId: 'survey-inline_q2',
+      mimeType: 'image/jpeg',
+      size: 10
+    });
+    expect(stored.answers.q3).toMatchObject({ attachmentId: 'survey-inline_q3', mimeType: 'audio/webm', duration: 12 });
+    expect(stored.answers.q3).not.toHaveProperty('blob');
+
+    const media = await getAll('media');
+    expect(media).toHaveLength(2);
+    const photo = media.find(record => record.id === 'survey-inline_q2');
+    expect(photo).toMatchObject({
+      surveyId: 'survey-inline',
+      questionId: 'q2',
+      type: 'photo',
+      mimeType: 'image/jpeg',
+      size: 10,
+      checksum: null,
+      createdAt: '2024-03-01T09:30:00.000Z'
+    });
+    expect(photo.blob).toBeInstanceOf(Blob);
+    expect(photo.blob.size).toBe(10);
+  });
+
+  test('packets saved after v4 are not transformed again', async () => {
+    const packet = {
+      surveyId: 'survey-v5',
+      status: 'completed',
+      syncStatus: 'pending',
+      answers: { q2: { type: 'photo', attachmentId: 'survey-v5_q2', mimeType: 'image/jpeg', size: 10 } },
+      attachments: ['survey-v5_q2']
+    };
+    const media = {
+      id: 'survey-v5_q2',
+      surveyId: 'survey-v5',
+      questionId: 'q2',
+      blob: new Blob(['jpeg-bytes'], { type: 'image/jpeg' })
+    };
+    await seedDatabase(5, { surveyPackets: [packet], media: [media] });
+
+    await StorageService.initializeDB();
+
+    expect(await getAll('surveyPackets')).toEqual([packet]);
+    expect((await getAll('media')).map(record => record.id)).toEqual(['survey-v5_q2']);
+  });
+
+  test('encrypted packets and other stores keep their records', async () => {
+    const sealedPacket = {
+      surveyId: 'survey-sealed',
+      status: 'completed',
+      syncStatus: 'pending',
+      attachments: [],
+      sealed: { keyId: 'key-1', iv: 'aXY=', data: 'Y2lwaGVydGV4dA==' }
+    };
+    const draft = { surveyId: 'draft-1', updatedAt: '2024-03-02T08:00:00.000Z', sealed: { keyId: 'key-1' } };
+    const retry = { surveyId: 'survey-sealed', attempts: 2, nextAttemptAt: '2024-03-02T09:00:00.000Z' };
+    await seedDatabase(7, { surveyPackets: [sealedPacket], drafts: [draft], syncRetries: [retry] });
+
+    await StorageService.initializeDB();
+
+    expect(await getAll('surveyPackets')).toEqual([sealedPacket]);
+    expect(await getAll('drafts')).toEqual([draft]);
+    expect(await getAll('syncRetries')).toEqual([retry]);
+    expect(await getAll('forms')).toEqual([]);
+  });
+
+  test('localStorage fallback marks media lost in pre-v4 packets', () => {
+    const packet = {
+      surveyId: 'survey-ls',
+      answers: { q1: 'Maize', q2: { type: 'photo', blob: {}, url: 'blob:http://localhost/photo' } }
+    };
+    localStorage.setItem('survey_survey-ls', JSON.stringify(packet));
+
+    StorageService.migrateLocalStorage();
+
+    const stored = JSON.parse(localStorage.getItem('survey_survey-ls'));
+    expect(stored.answers).toEqual({
+      q1: 'Maize',
+      q2: { type: 'photo', attachmentId: null, mediaLost: true }
+    });
+    expect(stored.attachments).toEqual([]);
+    expect(localStorage.getItem(`${DB_NAME}_schemaVersion`)).toBe(String(LATEST_VERSION));
+  });
+
+  test('localStorage fallback skips packet transforms once at the latest version', () => {
+    const packet = { surveyId: 'survey-ls', answers: { q2: { type: 'photo', attachmentId: null, mediaLost: true } } };
+    localStorage.setItem('survey_survey-ls', JSON.stringify(packet));
+    localStorage.setItem(`${DB_NAME}_schemaVersion`, String(LATEST_VERSION));
+
+    StorageService.migrateLocalStorage();
+
+    expect(JSON.parse(localStorage.getItem('survey_survey-ls'))).toEqual(packet);
+  });
+});
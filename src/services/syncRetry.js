@@ -0,0 +1,58 @@
+/**
+ * GroundTruth AI Sync Retry Policy
+ *
+ * Retry bookkeeping for failed packet uploads. Shared by SyncService and the
+ * service worker's direct Background Sync uploads, so a packet backs off the
+ * same way whichever of them tried it.
+ */
+
+// Exponential backoff between retries of a failed packet
+export const DEFAULT_RETRY_POLICY = {
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 30 * 60 * 1000,
+  jitter: 0.5 // fraction of the delay that is randomized
+};
+
+export const DEFAULT_MAX_RETRIES = 3;
+
+/**
+ * Backoff delay for the given attempt: base * 2^(attempt - 1), capped, with jitter
+ */
+export function computeBackoffDelay(attempt, policy = DEFAULT_RETRY_POLICY) {
+  const { baseDelayMs, maxDelayMs, jitter } = policy;
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential * (1 - jitter * Math.random()));
+}
+
+/**
+ * Retry record after a failed attempt, given the previous record (or null).
+ * `terminal` is set once retries are exhausted or the error is not retryable;
+ * the packet should then be marked failed and `nextAttemptAt` is null.
+ */
+export function nextRetryRecord(surveyId, previous, error, {
+  maxRetries = DEFAULT_MAX_RETRIES,
+  backoff = attempt => computeBackoffDelay(attempt)
+} = {}) {
+  const attempts = (previous ? previous.attempts : 0) + 1;
+  const terminal = attempts > maxRetries || error.retryable === false;
+
+  return {
+    record: {
+      surveyId,
+      attempts,
+      lastError: error.message,
+      lastAttemptAt: new Date().toISOString(),
+      nextAttemptAt: terminal
+        ? null
+        : new Date(Date.now() + backoff(attempts)).toISOString()
+    },
+    terminal
+  };
+}
+
+/**
+ * Whether a packet is still backing off
+ */
+export function isBackingOff(record, now = Date.now()) {
+  return !!(record && record.nextAttemptAt && new Date(record.nextAttemptAt).getTime() > now);
+}
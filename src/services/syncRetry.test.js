@@ -0,0 +1,60 @@
+import { DEFAULT_RETRY_POLICY, computeBackoffDelay, nextRetryRecord, isBackingOff } from './syncRetry';
+
+const NOW = new Date('2024-03-05T12:00:00.000Z').getTime();
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('syncRetry', () => {
+  test('backoff doubles per attempt up to the cap, less up to half as jitter', () => {
+    const { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_POLICY;
+    expect(computeBackoffDelay(1)).toBe(baseDelayMs);
+    expect(computeBackoffDelay(2)).toBe(baseDelayMs * 2);
+    expect(computeBackoffDelay(20)).toBe(maxDelayMs);
+
+    Math.random.mockReturnValue(1);
+    expect(computeBackoffDelay(1)).toBe(baseDelayMs / 2);
+    expect(computeBackoffDelay(1, { baseDelayMs: 1000, maxDelayMs: 1000, jitter: 0 })).toBe(1000);
+  });
+
+  test('counts attempts and schedules the next one', () => {
+    const first = nextRetryRecord('s1', null, new Error('503'));
+    expect(first).toEqual({
+      record: {
+        surveyId: 's1',
+        attempts: 1,
+        lastError: '503',
+        lastAttemptAt: expect.any(String),
+        nextAttemptAt: new Date(NOW + DEFAULT_RETRY_POLICY.baseDelayMs).toISOString()
+      },
+      terminal: false
+    });
+
+    const second = nextRetryRecord('s1', first.record, new Error('503'), { backoff: () => 5 });
+    expect(second.record.attempts).toBe(2);
+    expect(second.record.nextAttemptAt).toBe(new Date(NOW + 5).toISOString());
+  });
+
+  test('is terminal once retries are exhausted or the error is not retryable', () => {
+    expect(nextRetryRecord('s1', { attempts: 3 }, new Error('503'), { maxRetries: 3 })).toMatchObject({
+      record: { attempts: 4, nextAttemptAt: null },
+      terminal: true
+    });
+
+    const rejected = Object.assign(new Error('400'), { retryable: false });
+    expect(nextRetryRecord('s1', null, rejected).terminal).toBe(true);
+  });
+
+  test('a packet backs off only until nextAttemptAt', () => {
+    expect(isBackingOff(null)).toBe(false);
+    expect(isBackingOff({ nextAttemptAt: null })).toBe(false);
+    expect(isBackingOff({ nextAttemptAt: new Date(NOW + 1).toISOString() })).toBe(true);
+    expect(isBackingOff({ nextAttemptAt: new Date(NOW).toISOString() })).toBe(false);
+  });
+});
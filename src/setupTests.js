@@ -0,0 +1,74 @@
+/**
+ * Jest setup, loaded by react-scripts before every test file
+ */
+
+// jsdom has no structuredClone, which fake-indexeddb uses to copy records.
+// Blobs and CryptoKeys are immutable, so clones share them the way a browser
+// store would keep them as Blobs and usable keys.
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = function structuredClone(value) {
+    if (value === null || typeof value !== 'object' || value instanceof Blob ||
+        Object.prototype.toString.call(value) === '[object CryptoKey]') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+    if (value instanceof ArrayBuffer) {
+      return value.slice(0);
+    }
+    if (ArrayBuffer.isView(value)) {
+      return new value.constructor(value);
+    }
+    if (value instanceof Map) {
+      return new Map([...value].map(([key, item]) => [structuredClone(key), structuredClone(item)]));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => structuredClone(item));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, structuredClone(item)]));
+  };
+}
+
+// jsdom has neither Web Crypto nor TextEncoder; use Node's implementations
+if (!global.crypto || !global.crypto.subtle) {
+  const { webcrypto } = require('crypto');
+  // Node's SubtleCrypto rejects ArrayBuffers created in the jsdom realm, so
+  // copy them into Node-realm bytes first
+  const toNodeBytes = (arg) => (
+    Object.prototype.toString.call(arg) === '[object ArrayBuffer]' ? new Uint8Array(arg) : arg
+  );
+  const subtle = new Proxy(webcrypto.subtle, {
+    get(target, prop) {
+      const member = target[prop];
+      return typeof member === 'function'
+        ? (...args) => member.apply(target, args.map(toNodeBytes))
+        : member;
+    }
+  });
+  Object.defineProperty(global, 'crypto', {
+    value: { subtle, getRandomValues: array => webcrypto.getRandomValues(array) },
+    configurable: true
+  });
+}
+if (typeof global.TextEncoder === 'undefined') {
+  const { TextEncoder, TextDecoder } = require('util');
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
+
+// jsdom's Blob lacks the promise-based readers
+if (typeof Blob !== 'undefined' && !Blob.prototype.arrayBuffer) {
+  const read = (blob, method) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+  });
+  Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return read(this, 'readAsArrayBuffer');
+  };
+  Blob.prototype.text = function text() {
+    return read(this, 'readAsText');
+  };
+}
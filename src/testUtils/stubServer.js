@@ -0,0 +1,81 @@
+/**
+ * Stub HTTP server for tests
+ *
+ * `fetchImpl` is passed to the sync transports in place of `fetch`. Routes
+ * are matched on method and URL (exact, or a RegExp); each handler gets the
+ * request and returns `{ status, body, headers }`, or a promise that never
+ * settles to simulate a hung connection. Every request is kept in
+ * `requests`, and an unmatched request gets a 404.
+ */
+
+function createResponse({ status = 200, body = null, headers = {} } = {}) {
+  const headerMap = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const text = body === null ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => (headerMap.has(name.toLowerCase()) ? headerMap.get(name.toLowerCase()) : null) },
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  };
+}
+
+export function createStubServer() {
+  const routes = [];
+  const requests = [];
+
+  const server = {
+    requests,
+
+    /**
+     * Register a handler for `method` and `url` (string or RegExp)
+     */
+    on(method, url, handler) {
+      routes.push({ method, url, handler });
+      return server;
+    },
+
+    /**
+     * Requests received for a method and URL
+     */
+    requestsTo(method, url) {
+      return requests.filter(request => request.method === method && matches(url, request.url));
+    },
+
+    fetchImpl(url, options = {}) {
+      const request = {
+        url,
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        body: options.body,
+        json: () => JSON.parse(options.body)
+      };
+      requests.push(request);
+
+      const route = routes.find(candidate => candidate.method === request.method && matches(candidate.url, url));
+      if (!route) {
+        return Promise.resolve(createResponse({ status: 404, body: `No stub route for ${request.method} ${url}` }));
+      }
+
+      return new Promise((resolve, reject) => {
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => {
+            const error = new Error('The operation was aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        }
+        Promise.resolve()
+          .then(() => route.handler(request))
+          .then(result => resolve(createResponse(result)), reject);
+      });
+    }
+  };
+
+  return server;
+}
+
+function matches(pattern, url) {
+  return pattern instanceof RegExp ? pattern.test(url) : pattern === url;
+}